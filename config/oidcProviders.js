@@ -0,0 +1,49 @@
+// OpenID Connect providers for "Sign in with ..." - a provider is enabled when its client ID is set.
+// The generic provider lets any standards-compliant issuer (e.g. a university IdP, or a local
+// mock provider during development) be used through OIDC_GENERIC_* variables.
+const getOidcProviders = () => ({
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.OIDC_GOOGLE_CLIENT_ID,
+    clientSecret: process.env.OIDC_GOOGLE_CLIENT_SECRET,
+    scope: 'openid email profile',
+  },
+  microsoft: {
+    name: 'Microsoft',
+    // 'organizations' accepts any work/school account; set a tenant ID to restrict to one university
+    issuer: `https://login.microsoftonline.com/${process.env.OIDC_MICROSOFT_TENANT || 'organizations'}/v2.0`,
+    clientId: process.env.OIDC_MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.OIDC_MICROSOFT_CLIENT_SECRET,
+    scope: 'openid email profile',
+  },
+  generic: {
+    name: process.env.OIDC_GENERIC_NAME || 'Single Sign-On',
+    issuer: process.env.OIDC_GENERIC_ISSUER,
+    clientId: process.env.OIDC_GENERIC_CLIENT_ID,
+    clientSecret: process.env.OIDC_GENERIC_CLIENT_SECRET,
+    scope: process.env.OIDC_GENERIC_SCOPE || 'openid email profile',
+  },
+});
+
+// Get an enabled provider by key, or null
+const getOidcProvider = (key) => {
+  const provider = getOidcProviders()[key];
+  if (!provider || !provider.clientId || !provider.issuer) {
+    return null;
+  }
+  return { key, ...provider };
+};
+
+// List enabled providers (public info only)
+const getEnabledOidcProviders = () => {
+  return Object.keys(getOidcProviders())
+    .map(getOidcProvider)
+    .filter(Boolean)
+    .map(({ key, name }) => ({ key, name }));
+};
+
+module.exports = {
+  getOidcProvider,
+  getEnabledOidcProviders,
+};
@@ -0,0 +1,72 @@
+// Permission catalogue. Roles (models/Role) grant a list of these; '*' grants everything.
+const PERMISSIONS = {
+  'course:create': 'Create courses',
+  'course:edit:any': 'Edit courses created by other users',
+  'course:delete:any': 'Delete courses created by other users',
+  'course:publish': 'Publish courses without an access code',
+  'course:review': 'Approve drafts of public courses and configure course review',
+  'forum:moderate': 'Delete any forum post or reply',
+  'review:moderate': 'See reports on course reviews and hide or restore reviews',
+  'announcement:create': 'Create announcements for all users',
+  'announcement:delete': 'Delete announcements',
+  'premium:configure': 'Change premium and trial settings',
+  'security:configure': 'Change security settings and clear lockouts',
+  'analytics:view': 'View platform statistics',
+  'user:view': 'View all user profiles',
+  'user:manage': 'Create, edit and delete users and assign roles',
+  'role:manage': 'Create and edit roles',
+  'user:impersonate': 'View the app as another user',
+  'audit:view': 'View the audit log',
+};
+
+const ALL_PERMISSIONS = '*';
+
+// Built-in roles, matching what the hard-coded role checks allowed before permissions existed.
+// Used when a role has no document yet, and as the source for scripts/migrateUserRoles.js.
+const DEFAULT_ROLES = {
+  user: {
+    description: 'Student',
+    permissions: ['course:create'],
+  },
+  instructor: {
+    description: 'Instructor',
+    permissions: ['course:create', 'user:view'],
+  },
+  admin: {
+    description: 'Administrator',
+    permissions: [ALL_PERMISSIONS],
+  },
+};
+
+// Permissions within a single course, granted by the user's role on that course's staff
+const COURSE_STAFF_PERMISSIONS = {
+  content: 'Edit course content, quizzes, assignments and course settings',
+  grade: 'See and grade submissions and quiz attempts, and release grades',
+  roster: 'View the enrolment roster and student progress',
+  staff: 'Invite, change and remove course staff',
+  delete: 'Delete the course',
+};
+
+// Course staff roles. The course's instructor is always the owner; Course.staff lists everyone else.
+const COURSE_STAFF_ROLES = {
+  owner: {
+    description: 'Owner',
+    permissions: ['content', 'grade', 'roster', 'staff', 'delete'],
+  },
+  co_instructor: {
+    description: 'Co-instructor',
+    permissions: ['content', 'grade', 'roster'],
+  },
+  ta: {
+    description: 'Teaching assistant',
+    permissions: ['grade', 'roster'],
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  COURSE_STAFF_PERMISSIONS,
+  COURSE_STAFF_ROLES,
+};
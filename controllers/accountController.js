@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const sendEmail = require('../utils/sendEmail');
+const generateVerificationToken = require('../utils/generateVerificationToken');
+const { signOutEverywhere } = require('../utils/sessionService');
+const { DELETION_GRACE_DAYS, buildAccountExport } = require('../utils/accountService');
+
+// Request an email change - a confirmation link is sent to the new address
+exports.requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new email and your current password',
+      });
+    }
+
+    const email = newEmail.toLowerCase().trim();
+    if (!/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a valid email',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address',
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email',
+      });
+    }
+
+    const { verificationToken, hashedToken } = generateVerificationToken();
+    user.pendingEmail = email;
+    user.pendingEmailToken = hashedToken;
+    user.pendingEmailExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    await user.save({ validateBeforeSave: false });
+
+    const frontendUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host').replace(':3000', '')}`;
+    const confirmUrl = `${frontendUrl}/confirm-email.html?token=${verificationToken}`;
+
+    try {
+      await sendEmail({
+        email,
+        subject: 'Confirm your new email address - EduWave',
+        html: `
+          <h1>Confirm your new email address</h1>
+          <p>You asked to change the email address of your EduWave account to this one. Click the link below to confirm:</p>
+          <a href="${confirmUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4A6CF7; color: white; text-decoration: none; border-radius: 5px;">Confirm Email Change</a>
+          <p>Or copy and paste this URL into your browser:</p>
+          <p>${confirmUrl}</p>
+          <p>This link will expire in 24 hours. Until then you can keep signing in with your current address.</p>
+          <p>If you did not request this change, please ignore this email.</p>
+        `,
+      });
+    } catch (error) {
+      console.error('Email sending failed:', error);
+      user.pendingEmail = undefined;
+      user.pendingEmailToken = undefined;
+      user.pendingEmailExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send confirmation email. Please try again later.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `A confirmation link has been sent to ${email}`,
+      data: {
+        pendingEmail: email,
+      },
+    });
+  } catch (error) {
+    console.error('Email change request error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during email change request',
+    });
+  }
+};
+
+// Confirm an email change with the token from the confirmation link
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!token || token.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required',
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token.trim())
+      .digest('hex');
+
+    const user = await User.findOne({
+      pendingEmailToken: hashedToken,
+      pendingEmailExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token',
+      });
+    }
+
+    // The address may have been registered since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      user.pendingEmail = undefined;
+      user.pendingEmailToken = undefined;
+      user.pendingEmailExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email',
+      });
+    }
+
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.pendingEmail = undefined;
+    user.pendingEmailToken = undefined;
+    user.pendingEmailExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Let the old address know, in case the change was not made by its owner
+    try {
+      await sendEmail({
+        email: oldEmail,
+        subject: 'Your email address was changed - EduWave',
+        html: `
+          <h1>Your email address was changed</h1>
+          <p>The email address of your EduWave account was changed to ${user.email}.</p>
+          <p>If you did not make this change, please contact support immediately.</p>
+        `,
+      });
+    } catch (error) {
+      console.error('Email change notice failed (non-blocking):', error.message || error);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address updated successfully',
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during email change confirmation',
+    });
+  }
+};
+
+// Download everything stored about the signed-in user as a zip of JSON files
+exports.exportAccountData = async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user._id);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="eduwave-data-export-${date}.zip"`,
+      'Content-Length': archive.length,
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during data export',
+    });
+  }
+};
+
+// Schedule the signed-in user's account for deletion after the grace period
+exports.requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password to delete your account',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (!user.deletionScheduledFor) {
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Other devices are signed out; this one stays signed in so the request can be cancelled
+    await signOutEverywhere(user._id, 'logout_all', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}. Sign in and cancel before then to keep it.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor,
+        graceDays: DELETION_GRACE_DAYS,
+      },
+    });
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during account deletion request',
+    });
+  }
+};
+
+// Cancel a pending account deletion
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user || !user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion',
+      });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -6,6 +6,8 @@ const PdfFile = require('../models/PdfFile');
 const Announcement = require('../models/Announcement');
 const AdminSettings = require('../models/AdminSettings');
 const ForumPost = require('../models/Forum');
+const { getActiveLockouts, clearLockout } = require('../utils/rateLimiter');
+const { roleExists } = require('../utils/permissionService');
 
 // Get overview statistics
 exports.getOverview = async (req, res) => {
@@ -333,3 +335,182 @@ exports.updatePremiumSettings = async (req, res) => {
   }
 };
 
+// Course review settings
+exports.getCourseSettings = async (req, res) => {
+  try {
+    const settings = await AdminSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseReviewRequired: settings.courseReviewRequired,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+exports.updateCourseSettings = async (req, res) => {
+  try {
+    const { courseReviewRequired } = req.body;
+
+    const settings = await AdminSettings.getSettings();
+
+    if (courseReviewRequired !== undefined) settings.courseReviewRequired = courseReviewRequired;
+    settings.updatedAt = new Date();
+
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseReviewRequired: settings.courseReviewRequired,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Security settings
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await AdminSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+        loginProtection: settings.loginProtection,
+        passwordPolicy: settings.passwordPolicy,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles, loginProtection, passwordPolicy } = req.body;
+
+    const settings = await AdminSettings.getSettings();
+
+    if (twoFactorRequiredRoles !== undefined) {
+      const rolesValid = Array.isArray(twoFactorRequiredRoles)
+        && (await Promise.all(twoFactorRequiredRoles.map(roleExists))).every(Boolean);
+      if (!rolesValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'twoFactorRequiredRoles must be an array of existing role names',
+        });
+      }
+      settings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+    if (loginProtection && typeof loginProtection === 'object') {
+      const fields = [
+        'ipMaxAttempts',
+        'ipWindowMinutes',
+        'accountMaxFailures',
+        'failureWindowMinutes',
+        'lockoutMinutes',
+        'backoffBaseSeconds',
+        'backoffMaxSeconds',
+        'emailMaxPerHour',
+      ];
+      fields.forEach(field => {
+        if (loginProtection[field] !== undefined) settings.loginProtection[field] = loginProtection[field];
+      });
+    }
+    if (passwordPolicy && typeof passwordPolicy === 'object') {
+      const fields = [
+        'minLength',
+        'maxLength',
+        'requireUppercase',
+        'requireLowercase',
+        'requireNumber',
+        'requireSymbol',
+        'disallowPersonalInfo',
+        'checkBreached',
+      ];
+      fields.forEach(field => {
+        if (passwordPolicy[field] !== undefined) settings.passwordPolicy[field] = passwordPolicy[field];
+      });
+      if (settings.passwordPolicy.minLength > settings.passwordPolicy.maxLength) {
+        return res.status(400).json({
+          success: false,
+          message: 'passwordPolicy.minLength cannot be greater than maxLength',
+        });
+      }
+    }
+    settings.updatedAt = new Date();
+
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+        loginProtection: settings.loginProtection,
+        passwordPolicy: settings.passwordPolicy,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get accounts and IPs currently locked out by brute-force protection
+exports.getLockouts = async (req, res) => {
+  try {
+    const lockouts = await getActiveLockouts();
+
+    res.status(200).json({
+      success: true,
+      count: lockouts.length,
+      data: lockouts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Lift a lockout before it expires
+exports.deleteLockout = async (req, res) => {
+  try {
+    const lockout = await clearLockout(req.params.id);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout cleared successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
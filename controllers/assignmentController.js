@@ -0,0 +1,772 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs').promises;
+const Course = require('../models/Course');
+const CourseProgress = require('../models/CourseProgress');
+const { Assignment, AssignmentSubmission } = require('../models/Assignment');
+const { canManageCourse } = require('./courseController');
+const { createNotificationForUser } = require('./notificationController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isEnrolled(course, userId) {
+  return course.enrolledStudents.some(
+    student => student.userId && student.userId.toString() === userId.toString()
+  );
+}
+
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+// Delete files multer already saved when the request is then rejected
+async function removeUploadedFiles(files = []) {
+  for (const file of files) {
+    try {
+      await fs.unlink(file.path);
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+async function removeStoredFiles(files = []) {
+  await removeUploadedFiles(files.map(file => ({ path: path.join(__dirname, '..', file.path) })));
+}
+
+// Late rules: a penalty per day (or part day) late, and an optional cutoff after which nothing is accepted
+function getLateInfo(assignment, submittedAt = new Date()) {
+  const lateMs = submittedAt.getTime() - new Date(assignment.dueAt).getTime();
+  if (lateMs <= 0) {
+    return { isLate: false, lateDays: 0, latePenaltyPercent: 0, refused: null };
+  }
+
+  const lateDays = Math.ceil(lateMs / DAY_MS);
+  if (!assignment.allowLateSubmissions) {
+    return { isLate: true, lateDays, refused: 'The due date has passed and late submissions are not accepted' };
+  }
+  if (assignment.lateCutoffDays > 0 && lateDays > assignment.lateCutoffDays) {
+    return { isLate: true, lateDays, refused: `Late submissions are only accepted up to ${assignment.lateCutoffDays} days after the due date` };
+  }
+  return {
+    isLate: true,
+    lateDays,
+    latePenaltyPercent: Math.min(lateDays * assignment.latePenaltyPerDay, 100),
+    refused: null,
+  };
+}
+
+// Returns { rubric } or { error }
+function normalizeRubric(rubric) {
+  if (!Array.isArray(rubric)) {
+    return { error: 'Rubric must be an array of criteria' };
+  }
+  const normalized = [];
+  for (const [index, item] of rubric.entries()) {
+    const maxPoints = Number(item && item.maxPoints);
+    if (!item || !item.criterion || !String(item.criterion).trim()) {
+      return { error: `Rubric criterion ${index + 1} needs a name` };
+    }
+    if (isNaN(maxPoints) || maxPoints < 0) {
+      return { error: `Rubric criterion ${index + 1} needs a maxPoints value of 0 or more` };
+    }
+    normalized.push({
+      ...(item._id ? { _id: item._id } : {}),
+      criterion: String(item.criterion).trim(),
+      description: item.description,
+      maxPoints,
+    });
+  }
+  return { rubric: normalized };
+}
+
+function pickAssignmentFields(body) {
+  const fields = {};
+  for (const field of ['title', 'description', 'lessonId', 'dueAt', 'maxPoints', 'allowLateSubmissions', 'latePenaltyPerDay', 'lateCutoffDays', 'allowResubmission', 'maxFiles']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+// Students only see a grade once it has been released
+function toStudentSubmission(submission) {
+  const data = submission.toObject ? submission.toObject() : { ...submission };
+  if (!data.released) {
+    delete data.grade;
+  }
+  return data;
+}
+
+// Release a graded submission and tell the student
+async function releaseGrade(submission, assignment, course) {
+  submission.released = true;
+  submission.releasedAt = new Date();
+  await submission.save();
+
+  await createNotificationForUser(
+    submission.user,
+    'Grade Released',
+    `Your submission for "${assignment.title}" in "${course.title}" was graded: ${submission.grade.score}/${submission.grade.maxPoints}`,
+    'success',
+    `/course-manager.html`
+  );
+}
+
+// Load the course and assignment from the URL, checking they belong together
+async function findAssignment(courseId, assignmentId) {
+  if (!mongoose.isValidObjectId(assignmentId)) {
+    return null;
+  }
+  const course = await Course.findOne({ courseId });
+  if (!course) {
+    return null;
+  }
+  const assignment = await Assignment.findOne({ _id: assignmentId, courseId });
+  return assignment ? { course, assignment } : null;
+}
+
+// Create an assignment
+exports.createAssignment = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add assignments to this course',
+      });
+    }
+
+    const { title, dueAt } = req.body;
+    if (!title || !dueAt || isNaN(new Date(dueAt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a title and a valid dueAt date',
+      });
+    }
+
+    const fields = pickAssignmentFields(req.body);
+    if (req.body.rubric !== undefined) {
+      const normalized = normalizeRubric(req.body.rubric);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      fields.rubric = normalized.rubric;
+      if (normalized.rubric.length > 0) {
+        fields.maxPoints = normalized.rubric.reduce((sum, item) => sum + item.maxPoints, 0);
+      }
+    }
+
+    const assignment = await Assignment.create({
+      ...fields,
+      course: course._id,
+      courseId: course.courseId,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment created successfully',
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// List a course's assignments; students also get their own submission
+exports.getAssignments = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const isStaff = await canManageCourse(req.user, course, 'course:edit:any', 'grade');
+    if (!isStaff && !isEnrolled(course, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enroll in this course to see its assignments',
+      });
+    }
+
+    const assignments = await Assignment.find({ courseId: course.courseId }).sort({ dueAt: 1 }).lean();
+
+    if (isStaff) {
+      const counts = await AssignmentSubmission.aggregate([
+        { $match: { courseId: course.courseId } },
+        { $group: { _id: '$assignment', submitted: { $sum: 1 }, graded: { $sum: { $cond: [{ $eq: ['$status', 'graded'] }, 1, 0] } } } },
+      ]);
+      const countsById = new Map(counts.map(count => [count._id.toString(), count]));
+
+      return res.status(200).json({
+        success: true,
+        count: assignments.length,
+        data: assignments.map(assignment => ({
+          ...assignment,
+          submissionCount: countsById.get(assignment._id.toString())?.submitted || 0,
+          gradedCount: countsById.get(assignment._id.toString())?.graded || 0,
+        })),
+      });
+    }
+
+    const submissions = await AssignmentSubmission.find({ courseId: course.courseId, user: req.user._id }).lean();
+    const submissionsById = new Map(submissions.map(submission => [submission.assignment.toString(), submission]));
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments.map(assignment => {
+        const submission = submissionsById.get(assignment._id.toString());
+        return {
+          ...assignment,
+          submission: submission ? toStudentSubmission(submission) : null,
+        };
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Update an assignment. Late rules apply to future submissions only.
+exports.updateAssignment = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this assignment',
+      });
+    }
+
+    if (req.body.dueAt !== undefined && isNaN(new Date(req.body.dueAt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'dueAt must be a valid date',
+      });
+    }
+
+    Object.assign(assignment, pickAssignmentFields(req.body));
+    if (req.body.rubric !== undefined) {
+      const normalized = normalizeRubric(req.body.rubric);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      assignment.rubric = normalized.rubric;
+    }
+    if (assignment.rubric.length > 0) {
+      assignment.maxPoints = assignment.rubric.reduce((sum, item) => sum + item.maxPoints, 0);
+    }
+
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment updated successfully',
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete an assignment and every submission to it
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this assignment',
+      });
+    }
+
+    await AssignmentSubmission.deleteWithFiles({ assignment: assignment._id });
+    await Assignment.deleteOne({ _id: assignment._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Submit (or resubmit) work for an assignment - files come from the upload middleware
+exports.submitAssignment = async (req, res) => {
+  const uploaded = req.files || [];
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found) {
+      await removeUploadedFiles(uploaded);
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!isEnrolled(course, req.user._id)) {
+      await removeUploadedFiles(uploaded);
+      return res.status(403).json({
+        success: false,
+        message: 'Only enrolled students can submit assignments',
+      });
+    }
+
+    if (uploaded.length === 0 && !(req.body.comment || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one file or add a comment',
+      });
+    }
+
+    if (uploaded.length > assignment.maxFiles) {
+      await removeUploadedFiles(uploaded);
+      return res.status(400).json({
+        success: false,
+        message: `This assignment accepts at most ${assignment.maxFiles} files`,
+      });
+    }
+
+    const submittedAt = new Date();
+    const late = getLateInfo(assignment, submittedAt);
+    if (late.refused) {
+      await removeUploadedFiles(uploaded);
+      return res.status(400).json({
+        success: false,
+        message: late.refused,
+        data: {
+          dueAt: assignment.dueAt,
+          lateDays: late.lateDays,
+        },
+      });
+    }
+
+    let submission = await AssignmentSubmission.findOne({ assignment: assignment._id, user: req.user._id });
+    if (submission && (!assignment.allowResubmission || submission.status === 'graded')) {
+      await removeUploadedFiles(uploaded);
+      return res.status(400).json({
+        success: false,
+        message: submission.status === 'graded'
+          ? 'This submission has already been graded'
+          : 'This assignment does not allow resubmission',
+      });
+    }
+
+    const files = uploaded.map(file => ({
+      name: file.originalname,
+      path: `/${path.relative(path.join(__dirname, '..'), file.path).split(path.sep).join('/')}`,
+      size: file.size,
+      type: path.extname(file.originalname).substring(1),
+    }));
+
+    let replacedFiles = [];
+    if (submission) {
+      // A resubmission replaces the previous files (removed once the new ones are saved)
+      replacedFiles = submission.files.map(file => ({ path: file.path }));
+      submission.files = files;
+      submission.comment = req.body.comment;
+      submission.submittedAt = submittedAt;
+      submission.submissionCount += 1;
+    } else {
+      submission = new AssignmentSubmission({
+        assignment: assignment._id,
+        courseId: course.courseId,
+        user: req.user._id,
+        files,
+        comment: req.body.comment,
+        submittedAt,
+      });
+    }
+    submission.isLate = late.isLate;
+    submission.lateDays = late.lateDays;
+    submission.latePenaltyPercent = late.latePenaltyPercent;
+    await submission.save();
+    await removeStoredFiles(replacedFiles);
+
+    res.status(200).json({
+      success: true,
+      message: late.isLate
+        ? `Submitted ${late.lateDays} day(s) late - a ${late.latePenaltyPercent}% penalty will apply`
+        : 'Assignment submitted successfully',
+      data: toStudentSubmission(submission),
+    });
+  } catch (error) {
+    await removeUploadedFiles(uploaded);
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// List submissions - all of them for course staff, your own otherwise
+exports.getSubmissions = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any', 'grade'))) {
+      const submission = await AssignmentSubmission.findOne({ assignment: assignment._id, user: req.user._id });
+      return res.status(200).json({
+        success: true,
+        count: submission ? 1 : 0,
+        data: submission ? [toStudentSubmission(submission)] : [],
+      });
+    }
+
+    const query = { assignment: assignment._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const submissions = await AssignmentSubmission.find(query)
+      .populate('user', 'fullName email')
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      data: submissions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Download a submitted file (the student who submitted it, or course staff)
+exports.downloadSubmissionFile = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found || !mongoose.isValidObjectId(req.params.submissionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    const submission = await AssignmentSubmission.findOne({ _id: req.params.submissionId, assignment: assignment._id });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    const isOwner = submission.user.toString() === req.user._id.toString();
+    if (!isOwner && !(await canManageCourse(req.user, course, 'course:edit:any', 'grade'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this file',
+      });
+    }
+
+    const file = submission.files[parseInt(req.params.fileIndex)];
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const filePath = path.join(__dirname, '..', file.path);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found on server',
+      });
+    }
+
+    res.download(filePath, file.name);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Grade a submission against the rubric (or with a single score when there is no rubric)
+// Body: { rubricScores: [{ criterionId, points, comment }] | score, feedback, waiveLatePenalty, release }
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found || !mongoose.isValidObjectId(req.params.submissionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any', 'grade'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to grade this assignment',
+      });
+    }
+
+    const submission = await AssignmentSubmission.findOne({ _id: req.params.submissionId, assignment: assignment._id });
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    const { rubricScores, score, feedback, waiveLatePenalty = false, release = false } = req.body;
+    let rawScore;
+    let gradedCriteria = [];
+
+    if (assignment.rubric.length > 0) {
+      const scoresById = new Map((Array.isArray(rubricScores) ? rubricScores : [])
+        .filter(item => item && item.criterionId)
+        .map(item => [item.criterionId.toString(), item]));
+
+      for (const criterion of assignment.rubric) {
+        const item = scoresById.get(criterion._id.toString());
+        const points = Number(item && item.points);
+        if (!item || isNaN(points) || points < 0 || points > criterion.maxPoints) {
+          return res.status(400).json({
+            success: false,
+            message: `Give "${criterion.criterion}" a score from 0 to ${criterion.maxPoints}`,
+          });
+        }
+        gradedCriteria.push({ criterionId: criterion._id, points, comment: item.comment });
+      }
+      rawScore = gradedCriteria.reduce((sum, item) => sum + item.points, 0);
+    } else {
+      rawScore = Number(score);
+      if (score === undefined || isNaN(rawScore) || rawScore < 0 || rawScore > assignment.maxPoints) {
+        return res.status(400).json({
+          success: false,
+          message: `Score must be between 0 and ${assignment.maxPoints}`,
+        });
+      }
+    }
+
+    const latePenaltyPercent = waiveLatePenalty ? 0 : submission.latePenaltyPercent;
+    submission.grade = {
+      rubricScores: gradedCriteria,
+      rawScore: roundPoints(rawScore),
+      latePenaltyPercent,
+      score: roundPoints(rawScore * (1 - latePenaltyPercent / 100)),
+      maxPoints: assignment.maxPoints,
+      feedback,
+      gradedBy: req.user._id,
+      gradedAt: new Date(),
+    };
+    submission.status = 'graded';
+    await submission.save();
+
+    // Regrading a released submission, or asking to release now, notifies the student
+    if (release || submission.released) {
+      await releaseGrade(submission, assignment, course);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: submission.released ? 'Grade saved and released' : 'Grade saved',
+      data: submission,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Release every graded submission that students cannot see yet
+exports.releaseGrades = async (req, res) => {
+  try {
+    const found = await findAssignment(req.params.courseId, req.params.assignmentId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+    const { course, assignment } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any', 'grade'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to release grades for this assignment',
+      });
+    }
+
+    const submissions = await AssignmentSubmission.find({
+      assignment: assignment._id,
+      status: 'graded',
+      released: false,
+    });
+
+    for (const submission of submissions) {
+      await releaseGrade(submission, assignment, course);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Released ${submissions.length} grades`,
+      count: submissions.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Gradebook for a course: every enrolled student against every assignment.
+// Course staff see everyone and unreleased grades; students see only their own released grades.
+exports.getGradebook = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId })
+      .populate('enrolledStudents.userId', 'fullName email');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const isStaff = await canManageCourse(req.user, course, 'course:edit:any', 'grade');
+    const students = course.enrolledStudents
+      .map(student => student.userId)
+      .filter(user => user && (isStaff || user._id.toString() === req.user._id.toString()));
+
+    if (!isStaff && students.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enroll in this course to see your grades',
+      });
+    }
+
+    const studentIds = students.map(user => user._id);
+    const [assignments, submissions, progressList] = await Promise.all([
+      Assignment.find({ courseId: course.courseId }).select('title dueAt maxPoints').sort({ dueAt: 1 }).lean(),
+      AssignmentSubmission.find({ courseId: course.courseId, user: { $in: studentIds } }).lean(),
+      CourseProgress.find({ courseId: course.courseId, user: { $in: studentIds } }).select('user progress quizScore').lean(),
+    ]);
+
+    const submissionsByKey = new Map(submissions.map(submission => [
+      `${submission.user}:${submission.assignment}`,
+      submission,
+    ]));
+    const progressByUser = new Map(progressList.map(progress => [progress.user.toString(), progress]));
+
+    const rows = students.map(user => {
+      let earned = 0;
+      let possible = 0;
+      const grades = assignments.map(assignment => {
+        const submission = submissionsByKey.get(`${user._id}:${assignment._id}`);
+        const visible = submission && submission.status === 'graded' && (isStaff || submission.released);
+        if (visible) {
+          earned += submission.grade.score;
+          possible += submission.grade.maxPoints;
+        }
+        return {
+          assignmentId: assignment._id,
+          status: submission ? (visible ? 'graded' : 'submitted') : (new Date(assignment.dueAt) < new Date() ? 'missing' : 'not_submitted'),
+          isLate: submission ? submission.isLate : false,
+          score: visible ? submission.grade.score : null,
+          maxPoints: assignment.maxPoints,
+          released: submission ? submission.released : false,
+        };
+      });
+
+      const progress = progressByUser.get(user._id.toString());
+      return {
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          email: user.email,
+        },
+        grades,
+        totalScore: roundPoints(earned),
+        totalPossible: possible,
+        percentage: possible > 0 ? Math.round((earned / possible) * 100) : null,
+        courseProgress: progress ? progress.progress : 0,
+        quizScore: progress ? progress.quizScore : 0,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: course.courseId,
+        title: course.title,
+        assignments,
+        students: rows,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
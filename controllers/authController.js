@@ -1,10 +1,105 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateTokens } = require('../utils/generateToken');
+const Session = require('../models/Session');
+const AdminSettings = require('../models/AdminSettings');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  invalidateAccessTokens,
+  signOutEverywhere,
+  getActiveSessions,
+} = require('../utils/sessionService');
+const { generateTwoFactorToken } = require('../utils/generateToken');
+const { recordLoginFailure, recordLoginSuccess } = require('../utils/rateLimiter');
 const sendEmail = require('../utils/sendEmail');
 const generateVerificationToken = require('../utils/generateVerificationToken');
-const jwt = require('jsonwebtoken');
+const { checkPassword, getPasswordPolicy } = require('../utils/passwordPolicy');
 const crypto = require('crypto');
 
+// Second factor check - returns a challenge when the user has 2FA enabled or their role requires it
+async function getTwoFactorChallenge(user) {
+  const settings = await AdminSettings.getSettings();
+  if (!user.twoFactor?.enabled && !settings.twoFactorRequiredRoles.includes(user.role)) {
+    return null;
+  }
+  const purpose = user.twoFactor?.enabled ? 'login' : 'enroll';
+  return { purpose, challengeToken: generateTwoFactorToken(user._id, purpose) };
+}
+
+// Record a successful sign-in (login streak, badges) and start a device session
+// Returns the access/refresh token pair
+async function startLoginSession(user, req) {
+  // Update login streak (day-based, not 24-hour window)
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const lastLoginDate = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
+  const lastLoginDay = lastLoginDate ? new Date(lastLoginDate.getFullYear(), lastLoginDate.getMonth(), lastLoginDate.getDate()) : null;
+
+  if (!lastLoginDate || !lastLoginDay) {
+    // First login
+    user.loginStreak = 1;
+  } else {
+    // Calculate days difference
+    const daysDiff = Math.floor((today - lastLoginDay) / (1000 * 60 * 60 * 24));
+    
+    if (daysDiff === 0) {
+      // Logged in on the same day - don't increment streak (already counted today)
+      // Keep current streak
+    } else if (daysDiff === 1) {
+      // Logged in on consecutive day - increment streak
+      user.loginStreak = (user.loginStreak || 0) + 1;
+    } else {
+      // More than 1 day passed - streak broken, reset to 1
+      user.loginStreak = 1;
+    }
+  }
+
+  user.lastLoginDate = now;
+
+  // Check consistent badge (30 day streak)
+  const badgeService = require('../utils/badgeService');
+  await badgeService.checkConsistent(user._id);
+
+  // Save login streak
+  await user.save({ validateBeforeSave: false });
+
+  // Clear failed attempt counters for this account
+  await recordLoginSuccess(user.email);
+
+  // Start a device session and generate tokens
+  const { accessToken, refreshToken } = await createSession(user, req);
+  return { accessToken, refreshToken };
+}
+
+// Finish a successful sign-in and send the token pair
+// extraData is merged into the response (e.g. freshly generated recovery codes)
+async function completeLogin(user, req, res, extraData = {}) {
+  const { accessToken, refreshToken } = await startLoginSession(user, req);
+
+  // Remove password from response
+  user.password = undefined;
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        // Set while a self-service deletion is pending, so the client can offer to cancel it
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
+      accessToken,
+      refreshToken,
+      ...extraData,
+    },
+  });
+}
+
 exports.register = async (req, res) => {
   try {
     const { fullName, email, password, passwordConfirm } = req.body;
@@ -34,6 +129,16 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Check password policy
+    const passwordCheck = await checkPassword(password, { email, fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: passwordCheck.errors,
+      });
+    }
+
     // Prevent role assignment during registration (roles can only be set by admins)
     // Users always register as 'user' role by default
     if (req.body.role && req.body.role !== 'user') {
@@ -167,6 +272,8 @@ exports.login = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      // Count failures for unknown emails too, so responses don't reveal which accounts exist
+      await recordLoginFailure(email);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -185,69 +292,32 @@ exports.login = async (req, res) => {
     const isPasswordMatch = await user.matchPassword(password);
 
     if (!isPasswordMatch) {
+      const { locked } = await recordLoginFailure(user.email);
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials',
+        message: locked
+          ? 'Invalid credentials. This account is now temporarily locked because of too many failed attempts.'
+          : 'Invalid credentials',
       });
     }
 
-    // Update login streak (day-based, not 24-hour window)
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const lastLoginDate = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
-    const lastLoginDay = lastLoginDate ? new Date(lastLoginDate.getFullYear(), lastLoginDate.getMonth(), lastLoginDate.getDate()) : null;
-
-    if (!lastLoginDate || !lastLoginDay) {
-      // First login
-      user.loginStreak = 1;
-    } else {
-      // Calculate days difference
-      const daysDiff = Math.floor((today - lastLoginDay) / (1000 * 60 * 60 * 24));
-      
-      if (daysDiff === 0) {
-        // Logged in on the same day - don't increment streak (already counted today)
-        // Keep current streak
-      } else if (daysDiff === 1) {
-        // Logged in on consecutive day - increment streak
-        user.loginStreak = (user.loginStreak || 0) + 1;
-      } else {
-        // More than 1 day passed - streak broken, reset to 1
-        user.loginStreak = 1;
-      }
-    }
-
-    user.lastLoginDate = now;
-
-    // Check consistent badge (30 day streak)
-    const badgeService = require('../utils/badgeService');
-    await badgeService.checkConsistent(user._id);
-
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
-
-    // Remove password and refreshToken from response
-    user.password = undefined;
-    user.refreshToken = undefined;
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          emailVerified: user.emailVerified,
-          role: user.role,
+    // Second factor - users with 2FA enabled, or whose role requires it, get a challenge instead of tokens
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.purpose === 'login'
+          ? 'Enter the code from your authenticator app to finish signing in'
+          : 'Two-factor authentication is required for your account. Please set it up to continue.',
+        data: {
+          twoFactorRequired: challenge.purpose === 'login',
+          twoFactorSetupRequired: challenge.purpose === 'enroll',
+          challengeToken: challenge.challengeToken,
         },
-        accessToken,
-        refreshToken,
-      },
-    });
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -456,7 +526,7 @@ exports.resendVerification = async (req, res) => {
   }
 };
 
-// Refresh access token using refresh token
+// Refresh access token using refresh token (rotates the refresh token)
 exports.refreshToken = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -468,39 +538,26 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired refresh token',
-      });
-    }
-
-    // Find user and verify refresh token matches
-    const user = await User.findById(decoded.id).select('+refreshToken');
+    const { tokens, reason } = await rotateSession(refreshToken, req);
 
-    if (!user || user.refreshToken !== refreshToken) {
+    if (!tokens) {
+      const messages = {
+        invalid: 'Invalid or expired refresh token',
+        revoked: 'This session has been signed out. Please log in again.',
+        reused: 'Refresh token has already been used. All tokens for this session have been revoked. Please log in again.',
+      };
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token',
+        message: messages[reason],
+        reason,
       });
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
-
-    // Update refresh token in database
-    user.refreshToken = newRefreshToken;
-    await user.save({ validateBeforeSave: false });
-
     res.status(200).json({
       success: true,
       data: {
-        accessToken,
-        refreshToken: newRefreshToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
       },
     });
   } catch (error) {
@@ -512,15 +569,14 @@ exports.refreshToken = async (req, res) => {
   }
 };
 
-// Logout - invalidate refresh token
+// Logout - revoke the current device session
+// Access tokens are versioned per user, so other devices silently refresh to get a new one
 exports.logout = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-
-    if (user) {
-      user.refreshToken = undefined;
-      await user.save({ validateBeforeSave: false });
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
     }
+    await invalidateAccessTokens(req.user._id);
 
     res.status(200).json({
       success: true,
@@ -535,6 +591,80 @@ exports.logout = async (req, res) => {
   }
 };
 
+// Logout everywhere - revoke all sessions and every outstanding access token
+exports.logoutAll = async (req, res) => {
+  try {
+    await signOutEverywhere(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices successfully',
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during logout',
+    });
+  }
+};
+
+// Get active device sessions for the current user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: req.sessionId === session._id.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error while fetching sessions',
+    });
+  }
+};
+
+// Revoke one of the current user's device sessions
+exports.deleteSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id, 'user_revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error while revoking session',
+    });
+  }
+};
+
 // Forgot Password - Generate reset token and send email
 exports.forgotPassword = async (req, res) => {
   try {
@@ -636,14 +766,6 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    // Check password length
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters',
-      });
-    }
-
     // Get hashed token
     const hashedToken = crypto
       .createHash('sha256')
@@ -663,12 +785,25 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
+    // Check password policy
+    const passwordCheck = await checkPassword(password, { email: user.email, fullName: user.fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: passwordCheck.errors,
+      });
+    }
+
     // Update password and clear reset token
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpire = undefined;
     await user.save();
 
+    // Whoever knew the old password must not stay signed in
+    await signOutEverywhere(user._id, 'password_changed');
+
     res.status(200).json({
       success: true,
       message: 'Password reset successfully',
@@ -682,4 +817,24 @@ exports.resetPassword = async (req, res) => {
   }
 };
 
+// Get the password policy so forms can show the rules before submitting
+exports.getPasswordRequirements = async (req, res) => {
+  try {
+    const { minLength, maxLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, disallowPersonalInfo, checkBreached } = await getPasswordPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: { minLength, maxLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, disallowPersonalInfo, checkBreached },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
 
+// Export helper functions for use in other controllers
+exports.completeLogin = completeLogin;
+exports.startLoginSession = startLoginSession;
+exports.getTwoFactorChallenge = getTwoFactorChallenge;
@@ -0,0 +1,326 @@
+const fs = require('fs').promises;
+const Course = require('../models/Course');
+const LessonCaption = require('../models/LessonCaption');
+const { canManageCourse, getCourseAccess } = require('./courseController');
+const { getScheduleOptions } = require('./videoPlayerController');
+const { findLesson, getLessonId, getLessonSchedule } = require('../utils/courseSchedule');
+const {
+  MAX_CAPTION_FILE_SIZE,
+  LANGUAGE_PATTERN,
+  parseCaptions,
+  buildWebVtt,
+  toPlainText,
+  searchCourseCaptions,
+} = require('../utils/captions');
+
+// Stable URL of a caption file. Callers who opened the course with its access code get the code in the
+// URL, so it works as a <track> src (which cannot send a token); enrolled students and staff fetch it
+// with their token instead, and the code is never handed to them.
+function captionUrl(course, lessonId, language, access) {
+  const url = `/api/courses/${encodeURIComponent(course.courseId)}/lessons/${lessonId}/captions/${language}.vtt`;
+  return access === 'code' ? `${url}?accessCode=${encodeURIComponent(course.accessCode)}` : url;
+}
+
+// Load the course and the lesson from :lessonId; sends the error response and returns null otherwise
+async function loadLesson(req, res) {
+  const course = await Course.findOne({ courseId: req.params.courseId });
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+
+  const found = findLesson(course, req.params.lessonId);
+  if (!found) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found',
+    });
+    return null;
+  }
+
+  return { course, lessonId: getLessonId(found.lesson, found.index) };
+}
+
+// Load the course for reading its captions, with the drip-release schedule of the caller. Courses behind an
+// access code are open to their enrolled students, course staff and course editors, and otherwise need the
+// code in the query (accessCode) as when opening the course. Sends the error response and returns null otherwise.
+async function loadReadableCourse(req, res) {
+  const course = await Course.findOne({ courseId: req.params.courseId })
+    .select('courseId accessCode lessons modules instructor staff enrolledStudents');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+
+  const access = await getCourseAccess(req.user, course, req.query.accessCode);
+  if (!access) {
+    res.status(403).json({
+      success: false,
+      message: 'Access code required. Please provide a valid access code.',
+      requiresAccessCode: true,
+    });
+    return null;
+  }
+
+  // Without a token lessons are locked as for a student enrolling now
+  const scheduleOptions = req.user ? await getScheduleOptions(course, req.user) : {};
+  return { course, access, schedule: getLessonSchedule(course, scheduleOptions) };
+}
+
+// Load a readable course and the lesson from :lessonId, which must be released for the caller.
+// Sends the error response and returns null otherwise.
+async function loadReadableLesson(req, res) {
+  const loaded = await loadReadableCourse(req, res);
+  if (!loaded) return null;
+  const { course, access, schedule } = loaded;
+
+  const found = findLesson(course, req.params.lessonId);
+  if (!found) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found',
+    });
+    return null;
+  }
+  if (!schedule[found.index].unlocked) {
+    res.status(403).json({
+      success: false,
+      message: 'This lesson has not been released yet',
+      data: {
+        releaseAt: schedule[found.index].releaseAt,
+      },
+    });
+    return null;
+  }
+
+  return { course, access, lessonId: getLessonId(found.lesson, found.index) };
+}
+
+// Caption languages available for a lesson
+exports.getLessonCaptions = async (req, res) => {
+  try {
+    const loaded = await loadReadableLesson(req, res);
+    if (!loaded) return;
+    const { course, access, lessonId } = loaded;
+
+    const captions = await LessonCaption.find({ courseId: course.courseId, lessonId })
+      .select('language label sourceFormat cues updatedAt')
+      .sort({ language: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: captions.length,
+      data: captions.map(caption => ({
+        language: caption.language,
+        label: caption.label || caption.language,
+        sourceFormat: caption.sourceFormat,
+        cueCount: caption.cues.length,
+        updatedAt: caption.updatedAt,
+        url: captionUrl(course, lessonId, caption.language, access),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Serve a lesson's captions as WebVTT, to whoever can open the course and the lesson.
+// Pages that fetch the file with the user's token (e.g. into a blob URL) get the student's own release schedule.
+exports.getCaptionFile = async (req, res) => {
+  try {
+    const loaded = await loadReadableLesson(req, res);
+    if (!loaded) return;
+
+    const caption = await LessonCaption.findOne({
+      courseId: loaded.course.courseId,
+      lessonId: loaded.lessonId,
+      language: req.params.language,
+    }).select('vtt updatedAt');
+
+    if (!caption) {
+      return res.status(404).json({
+        success: false,
+        message: 'Captions not found',
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Last-Modified', caption.updatedAt.toUTCString());
+    res.send(caption.vtt);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Upload captions for a lesson (replacing any in the same language).
+// Multipart field "captions" with a .vtt or .srt file, or a JSON body with the file text in "content".
+// Body: { language (default "en"), label }
+exports.uploadCaptions = async (req, res) => {
+  try {
+    const loaded = await loadLesson(req, res);
+    if (!loaded) return;
+    const { course, lessonId } = loaded;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this course',
+      });
+    }
+
+    const language = (req.body.language || 'en').trim();
+    if (!LANGUAGE_PATTERN.test(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Language must be a language tag such as "en" or "pt-BR"',
+      });
+    }
+
+    let content = req.body.content;
+    if (req.file) {
+      if (req.file.size > MAX_CAPTION_FILE_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: 'Caption files must be 2MB or smaller',
+        });
+      }
+      content = await fs.readFile(req.file.path, 'utf8');
+    }
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'No caption file uploaded',
+      });
+    }
+    if (Buffer.byteLength(content) > MAX_CAPTION_FILE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: 'Caption files must be 2MB or smaller',
+      });
+    }
+
+    const parsed = parseCaptions(content);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const cues = parsed.cues.map(cue => ({ start: cue.start, end: cue.end, text: toPlainText(cue.text) }));
+    let caption = await LessonCaption.findOne({ courseId: course.courseId, lessonId, language });
+    const isNew = !caption;
+    if (!caption) {
+      caption = new LessonCaption({ course: course._id, courseId: course.courseId, lessonId, language });
+    }
+    caption.label = req.body.label !== undefined ? req.body.label : caption.label;
+    caption.sourceFormat = parsed.format;
+    caption.vtt = buildWebVtt(parsed.cues);
+    caption.cues = cues;
+    caption.text = cues.map(cue => cue.text).join(' ');
+    caption.uploadedBy = req.user._id;
+    await caption.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Captions uploaded successfully' : 'Captions replaced successfully',
+      data: {
+        language: caption.language,
+        label: caption.label || caption.language,
+        sourceFormat: caption.sourceFormat,
+        cueCount: cues.length,
+        url: captionUrl(course, lessonId, language),
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  } finally {
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
+
+// Delete a lesson's captions in one language
+exports.deleteCaptions = async (req, res) => {
+  try {
+    const loaded = await loadLesson(req, res);
+    if (!loaded) return;
+    const { course, lessonId } = loaded;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this course',
+      });
+    }
+
+    const result = await LessonCaption.deleteOne({ courseId: course.courseId, lessonId, language: req.params.language });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Captions not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Captions deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Jump to where something was said: lessons and timestamps in the course's captions that contain every word of q.
+// Only lessons released for the caller are searched. Query: q, language, accessCode
+exports.searchCaptions = async (req, res) => {
+  try {
+    const { q, language } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text is required',
+      });
+    }
+
+    const loaded = await loadReadableCourse(req, res);
+    if (!loaded) return;
+
+    const matches = await searchCourseCaptions(loaded.course, String(q), {
+      language: language ? String(language) : undefined,
+      lessonIds: loaded.schedule.filter(lesson => lesson.unlocked).map(lesson => lesson.lessonId),
+    });
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
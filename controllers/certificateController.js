@@ -0,0 +1,208 @@
+const path = require('path');
+const fs = require('fs').promises;
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const CourseProgress = require('../models/CourseProgress');
+const { canManageCourse } = require('./courseController');
+const { issueCertificate, renderCertificatePdf } = require('../utils/certificateService');
+
+function getVerifyUrl(req, serial) {
+  const backendUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return `${backendUrl}/api/certificates/${serial}/verify`;
+}
+
+function normalizeSerial(serial) {
+  return String(serial || '').trim().toUpperCase();
+}
+
+// Delete a replaced branding image
+async function removeStoredFile(storedPath) {
+  if (!storedPath) return;
+  try {
+    await fs.unlink(path.join(__dirname, '..', storedPath));
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// List the current user's certificates
+exports.getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ user: req.user._id })
+      .sort({ issuedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      data: certificates.map(certificate => ({
+        ...certificate,
+        verifyUrl: getVerifyUrl(req, certificate.serial),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get (issuing if needed) the certificate for a course the user has completed.
+// Covers courses completed before certificates existed.
+exports.claimCertificate = async (req, res) => {
+  try {
+    const progress = await CourseProgress.findOne({ user: req.user._id, courseId: req.params.courseId });
+    if (!progress || !progress.completed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complete the course to receive a certificate',
+      });
+    }
+
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const certificate = await issueCertificate(req.user._id, course, progress.completedAt || new Date());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...certificate.toObject(),
+        verifyUrl: getVerifyUrl(req, certificate.serial),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Download a certificate as PDF (its owner, or course staff)
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ serial: normalizeSerial(req.params.serial) });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+      });
+    }
+
+    const course = await Course.findById(certificate.course).select('instructor staff certificate');
+    const isOwner = certificate.user.toString() === req.user._id.toString();
+    if (!isOwner && !(course && await canManageCourse(req.user, course, 'course:edit:any', 'roster'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate',
+      });
+    }
+
+    const doc = renderCertificatePdf(
+      certificate,
+      (course && course.certificate) || {},
+      getVerifyUrl(req, certificate.serial)
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.serial}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Public check that a certificate serial is genuine
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ serial: normalizeSerial(req.params.serial) }).lean();
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No certificate with this ID exists',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      data: {
+        serial: certificate.serial,
+        studentName: certificate.studentName,
+        courseTitle: certificate.courseTitle,
+        courseId: certificate.courseId,
+        instructorName: certificate.instructorName,
+        completedAt: certificate.completedAt,
+        courseDurationSeconds: certificate.courseDurationSeconds,
+        issuedAt: certificate.issuedAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set a course's certificate logo, signature and signatory (multipart: logo, signature files)
+exports.updateCertificateBranding = async (req, res) => {
+  const uploaded = [...(req.files?.logo || []), ...(req.files?.signature || [])];
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course || !(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      for (const file of uploaded) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+      return res.status(course ? 403 : 404).json({
+        success: false,
+        message: course ? 'Not authorized to update this course' : 'Course not found',
+      });
+    }
+
+    const branding = course.certificate || {};
+    for (const field of ['logo', 'signature']) {
+      const pathField = `${field}Path`;
+      const file = req.files?.[field]?.[0];
+      if (file) {
+        await removeStoredFile(branding[pathField]);
+        branding[pathField] = `/uploads/courses/${file.filename}`;
+      } else if (req.body[`remove${field[0].toUpperCase()}${field.slice(1)}`] === 'true') {
+        await removeStoredFile(branding[pathField]);
+        branding[pathField] = undefined;
+      }
+    }
+    if (req.body.signatoryName !== undefined) {
+      branding.signatoryName = req.body.signatoryName;
+    }
+    if (req.body.signatoryTitle !== undefined) {
+      branding.signatoryTitle = req.body.signatoryTitle;
+    }
+
+    course.certificate = branding;
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate settings updated successfully',
+      data: course.certificate,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,84 @@
+const Course = require('../models/Course');
+const CourseProgress = require('../models/CourseProgress');
+const { canManageCourse } = require('./courseController');
+const { CSV_REPORTS, buildCourseAnalytics, analyticsToCsv } = require('../utils/courseAnalytics');
+
+// Load the course and build its analytics for course staff (roster access) or platform analytics viewers.
+// Sends the error response and returns null otherwise.
+async function loadAnalytics(req, res) {
+  const course = await Course.findOne({ courseId: req.params.courseId })
+    .select('courseId title instructor staff enrolledStudents lessons');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+  if (!(await canManageCourse(req.user, course, 'analytics:view', 'roster'))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view analytics for this course',
+    });
+    return null;
+  }
+
+  const progressList = await CourseProgress.find({ courseId: course.courseId })
+    .select('user progress completed completedAt lastAccessedAt createdAt lessons.lessonId lessons.completed lessons.completedAt lessons.watchTime lessons.lastWatchedAt lessons.watchedSegments')
+    .lean();
+
+  return {
+    course,
+    analytics: buildCourseAnalytics(course, progressList, { weeks: req.query.weeks }),
+  };
+}
+
+// Course analytics: funnel, per-lesson engagement, drop-off, time to complete and weekly active learners.
+// Query: weeks (how many weeks of activity, default 12)
+exports.getCourseAnalytics = async (req, res) => {
+  try {
+    const loaded = await loadAnalytics(req, res);
+    if (!loaded) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: loaded.course.courseId,
+        title: loaded.course.title,
+        ...loaded.analytics,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Download one analytics report as CSV.
+// Query: report (lessons, funnel, time-to-complete, weekly-active or heatmap; default lessons), weeks
+exports.exportCourseAnalytics = async (req, res) => {
+  try {
+    const report = req.query.report || 'lessons';
+    if (!Object.prototype.hasOwnProperty.call(CSV_REPORTS, report)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown report. Use one of: ${Object.keys(CSV_REPORTS).join(', ')}`,
+      });
+    }
+
+    const loaded = await loadAnalytics(req, res);
+    if (!loaded) return;
+
+    const safeCourseId = loaded.course.courseId.replace(/[^a-z0-9_-]/gi, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="analytics-${safeCourseId}-${report}.csv"`);
+    res.send(analyticsToCsv(loaded.analytics, report));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
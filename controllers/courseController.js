@@ -1,7 +1,32 @@
 const Course = require('../models/Course');
+const LessonCaption = require('../models/LessonCaption');
+const { Assignment, AssignmentSubmission } = require('../models/Assignment');
+const { Quiz, QuizAttempt } = require('../models/Quiz');
+const Review = require('../models/Review');
+const CourseRevision = require('../models/CourseRevision');
+const CourseInvitation = require('../models/CourseInvitation');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
+const { hasPermission } = require('../utils/permissionService');
+const { generateRandomPassword } = require('../utils/passwordPolicy');
+const { getLessonId, getEnrollmentDate, annotateLessons, validateCourseStructure } = require('../utils/courseSchedule');
+const { searchCourses } = require('../utils/courseSearch');
+const { CONTENT_FIELDS, assignLessonIds, recordPublishedRevision, ensureBaselineRevision, isReviewRequired } = require('../utils/courseVersioning');
+const { getCourseStaffRole, hasCourseStaffPermission, staffCoursesQuery } = require('../utils/courseStaff');
+const { getUnmetPrerequisites, prerequisiteWarning } = require('../utils/coursePrerequisites');
+const { buildCoursePackage, readCoursePackage, loadSeedPackages, createCourseFromPackage } = require('../utils/coursePackage');
+
+// Course data for a student-facing response, with drip-release lock state on each lesson.
+// Course staff, and users who can edit any course (canEditAny), see everything unlocked.
+function withLessonLocks(course, user, canEditAny = false) {
+  const data = typeof course.toObject === 'function' ? course.toObject() : { ...course };
+  data.lessons = annotateLessons(course, data.lessons || [], {
+    enrolledAt: user ? getEnrollmentDate(course, user._id) : new Date(),
+    unlockAll: canEditAny || getCourseStaffRole(user, course) !== null,
+  });
+  return data;
+}
 
 // Generate unique access code
 function generateAccessCode() {
@@ -13,6 +38,72 @@ function generateCourseId() {
   return `COURSE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Generate access code based on creator permissions:
+// - course:publish (admins by default): No accessCode (accessible to all without code)
+// - Everyone else: Always require accessCode
+async function resolveAccessCode(user, requestedCode, generate) {
+  if (await hasPermission(user, 'course:publish')) {
+    // Published courses don't need accessCode - accessible to all
+    return null;
+  }
+
+  // Students/instructors always need accessCode
+  let accessCode = requestedCode;
+  if (!accessCode && generate !== false) {
+    accessCode = generateAccessCode();
+    while (await Course.findOne({ accessCode })) {
+      accessCode = generateAccessCode();
+    }
+  }
+  return accessCode;
+}
+
+async function generateUniqueCourseId() {
+  let courseId = generateCourseId();
+  while (await Course.findOne({ courseId })) {
+    courseId = generateCourseId();
+  }
+  return courseId;
+}
+
+// Whether a user has to give the course's access code to open it. Courses without a code, and courses created
+// by someone who can publish, are open to everyone; users who can edit any course and course staff never need it.
+async function requiresAccessCode(user, course) {
+  if (!course.accessCode || getCourseStaffRole(user, course) !== null || await hasPermission(user, 'course:edit:any')) {
+    return false;
+  }
+  let creator = course.instructor;
+  if (creator && !creator.role) {
+    const User = require('../models/User');
+    creator = await User.findById(creator._id || creator);
+  }
+  return !(await hasPermission(creator, 'course:publish'));
+}
+
+// How a user gets into a course's content: 'enrolled', 'open' (no access code needed, see requiresAccessCode),
+// 'code' (gave the course's access code) or null when they cannot
+async function getCourseAccess(user, course, providedCode) {
+  const isEnrolled = Boolean(user) && (course.enrolledStudents || []).some(
+    student => student.userId && (student.userId._id || student.userId).toString() === user._id.toString()
+  );
+  if (isEnrolled) {
+    return 'enrolled';
+  }
+  if (!(await requiresAccessCode(user, course))) {
+    return 'open';
+  }
+  return String(providedCode || '').trim().toUpperCase() === course.accessCode.trim().toUpperCase() ? 'code' : null;
+}
+
+// Course staff can manage the course as far as their course role allows (staffPermission, see
+// COURSE_STAFF_ROLES); anyone else needs the given platform permission
+async function canManageCourse(user, course, permission, staffPermission = 'content') {
+  if (hasCourseStaffPermission(user, course, staffPermission)) {
+    return true;
+  }
+  return hasPermission(user, permission);
+}
+
 // Create a new course
 exports.createCourse = async (req, res) => {
   try {
@@ -29,28 +120,17 @@ exports.createCourse = async (req, res) => {
     // Students will have accessCode required, admins won't
 
     // Generate unique IDs
-    let courseId = generateCourseId();
-    
-    // Ensure uniqueness
-    while (await Course.findOne({ courseId })) {
-      courseId = generateCourseId();
-    }
-
-    // Generate access code based on creator role:
-    // - Admin-created courses: No accessCode (accessible to all without code)
-    // - Student/Instructor-created courses: Always require accessCode
-    let accessCode = req.body.accessCode;
-    if (req.user.role === 'admin') {
-      // Admin courses don't need accessCode - accessible to all
-      accessCode = null;
-    } else {
-      // Students/instructors always need accessCode
-      if (!accessCode && req.body.generateAccessCode !== false) {
-        accessCode = generateAccessCode();
-        while (await Course.findOne({ accessCode })) {
-          accessCode = generateAccessCode();
-        }
-      }
+    const courseId = await generateUniqueCourseId();
+
+    const accessCode = await resolveAccessCode(req.user, req.body.accessCode, req.body.generateAccessCode);
+
+    // Modules and the lessons that point at them must line up
+    const structureError = validateCourseStructure(req.body.modules, req.body.lessons);
+    if (structureError) {
+      return res.status(400).json({
+        success: false,
+        message: structureError,
+      });
     }
 
     // Validate and format files array
@@ -85,6 +165,7 @@ exports.createCourse = async (req, res) => {
     // Add course-manager fields if provided
     if (req.body.icon) courseData.icon = req.body.icon;
     if (req.body.difficulty) courseData.difficulty = req.body.difficulty;
+    if (req.body.modules) courseData.modules = req.body.modules;
     if (req.body.lessons) courseData.lessons = req.body.lessons;
     if (req.body.totalLessons !== undefined) courseData.totalLessons = req.body.totalLessons;
     if (req.body.objectives) courseData.objectives = req.body.objectives;
@@ -94,6 +175,7 @@ exports.createCourse = async (req, res) => {
     if (req.body.licenseType) courseData.licenseType = req.body.licenseType;
 
     const course = await Course.create(courseData);
+    await recordPublishedRevision(course, req.user._id, { note: 'Created' });
 
     res.status(201).json({
       success: true,
@@ -110,7 +192,8 @@ exports.createCourse = async (req, res) => {
 // Get all courses for the instructor
 exports.getMyCourses = async (req, res) => {
   try {
-    const courses = await Course.find({ instructor: req.user._id })
+    // Courses the user owns or teaches on as co-instructor or TA
+    const courses = await Course.find(staffCoursesQuery(req.user._id))
       .sort({ createdAt: -1 })
       .populate('instructor', 'fullName email');
 
@@ -127,6 +210,39 @@ exports.getMyCourses = async (req, res) => {
   }
 };
 
+// Search the public catalog
+// Query: q, category, difficulty, contentType, licenseType (comma-separated for several),
+// sort (relevance, rating, enrollment, newest), limit, cursor (nextCursor from the previous page)
+exports.searchCourses = async (req, res) => {
+  try {
+    const { q, category, difficulty, contentType, licenseType, sort, limit, cursor } = req.query;
+
+    const result = await searchCourses({ q, category, difficulty, contentType, licenseType, sort, limit, cursor });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: result.results.length,
+      total: result.total,
+      sort: result.sort,
+      nextCursor: result.nextCursor,
+      facets: result.facets,
+      data: result.results,
+      transcriptMatches: result.transcriptMatches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // Get course by ID
 exports.getCourseById = async (req, res) => {
   try {
@@ -143,33 +259,17 @@ exports.getCourseById = async (req, res) => {
 
     const User = require('../models/User');
     
-    // Check if user is admin
-    const isAdmin = req.user && req.user.role === 'admin';
+    // Check if user can edit any course (admins by default)
+    const isAdmin = await hasPermission(req.user, 'course:edit:any');
     
-    // Check if current user is the course creator
-    let isCourseCreator = false;
-    if (req.user && course.instructor) {
-      const instructorId = typeof course.instructor === 'object' 
-        ? course.instructor._id 
-        : course.instructor;
-      isCourseCreator = instructorId && instructorId.toString() === req.user._id.toString();
-    }
+    // Check if current user is the course creator or on the course staff
+    const isCourseStaff = getCourseStaffRole(req.user, course) !== null;
     
-    // Check if course creator is admin
-    let creatorIsAdmin = false;
-    if (typeof course.instructor === 'object' && course.instructor.role) {
-      creatorIsAdmin = course.instructor.role === 'admin';
-    } else if (course.instructor) {
-      const instructorUser = await User.findById(course.instructor);
-      creatorIsAdmin = instructorUser && instructorUser.role === 'admin';
-    }
-
-    // Determine if access code is required
-    // No access code needed if: user is admin, user is creator, or course has no access code (admin-created)
-    const requiresAccessCode = course.accessCode && !isAdmin && !isCourseCreator && !creatorIsAdmin;
+    // No access code needed if: user is admin, user is course staff, or course has no access code (admin-created)
+    const needsAccessCode = await requiresAccessCode(req.user, course);
     let accessCodeUsed = false;
     
-    if (requiresAccessCode) {
+    if (needsAccessCode) {
       // Check if accessCode was provided in query or body
       const providedCode = (req.query.accessCode || req.body.accessCode || '').trim().toUpperCase();
       const courseAccessCode = (course.accessCode || '').trim().toUpperCase();
@@ -213,8 +313,8 @@ exports.getCourseById = async (req, res) => {
         };
         await user.save({ validateBeforeSave: false });
         
-        // Auto-enroll if not already enrolled and not the course creator
-        if (!isCourseCreator) {
+        // Auto-enroll if not already enrolled and not course staff
+        if (!isCourseStaff) {
           const isEnrolled = course.enrolledStudents.some(
             student => student.userId.toString() === req.user._id.toString()
           );
@@ -240,9 +340,16 @@ exports.getCourseById = async (req, res) => {
       .populate('instructor', 'fullName email role _id')
       .populate('enrolledStudents.userId', 'fullName email');
 
+    // Add drip-release lock state to each lesson (course staff see everything unlocked)
+    const data = updatedCourse.toObject();
+    data.lessons = annotateLessons(updatedCourse, data.lessons || [], {
+      enrolledAt: req.user ? getEnrollmentDate(updatedCourse, req.user._id) : new Date(),
+      unlockAll: isAdmin || isCourseStaff,
+    });
+
     res.status(200).json({
       success: true,
-      data: updatedCourse,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -277,12 +384,12 @@ exports.getCourseByAccessCode = async (req, res) => {
         };
         await user.save({ validateBeforeSave: false });
         
-        // Check if user is course creator
+        // Check if user is the course creator or on the course staff
       const instructorId = typeof course.instructor === 'object' ? course.instructor._id : course.instructor;
-        const isCourseCreator = instructorId && instructorId.toString() === req.user._id.toString();
+        const isCourseStaff = getCourseStaffRole(req.user, course) !== null;
         
-        // Auto-enroll if not already enrolled and not the course creator
-        if (!isCourseCreator) {
+        // Auto-enroll if not already enrolled and not course staff
+        if (!isCourseStaff) {
           const isEnrolled = course.enrolledStudents.some(
             student => student.userId.toString() === req.user._id.toString()
           );
@@ -298,7 +405,7 @@ exports.getCourseByAccessCode = async (req, res) => {
         }
         
         // Notify course creator if course was accessed with accessCode (not public/admin course)
-        if (course.instructor && course.accessCode && !isCourseCreator) {
+        if (course.instructor && course.accessCode && !isCourseStaff) {
           const { createNotificationForUser } = require('./notificationController');
           await createNotificationForUser(
             instructorId,
@@ -322,7 +429,7 @@ exports.getCourseByAccessCode = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: updatedCourse,
+      data: withLessonLocks(updatedCourse, req.user, req.user ? await hasPermission(req.user, 'course:edit:any') : false),
     });
   } catch (error) {
     res.status(500).json({
@@ -356,6 +463,16 @@ exports.enrollInCourse = async (req, res) => {
       });
     }
 
+    const missingPrerequisites = await getUnmetPrerequisites(req.user._id, course);
+    if (missingPrerequisites.length > 0 && course.prerequisiteMode === 'block') {
+      return res.status(403).json({
+        success: false,
+        prerequisitesUnmet: true,
+        message: `Complete ${missingPrerequisites.map(item => `"${item.title}"`).join(', ')} before enrolling in this course`,
+        missingPrerequisites,
+      });
+    }
+
     course.enrolledStudents.push({
       userId: req.user._id,
       enrolledAt: new Date(),
@@ -367,7 +484,8 @@ exports.enrollInCourse = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Successfully enrolled in course',
-      data: course,
+      data: withLessonLocks(course, req.user, await hasPermission(req.user, 'course:edit:any')),
+      ...prerequisiteWarning(missingPrerequisites),
     });
   } catch (error) {
     res.status(500).json({
@@ -386,10 +504,11 @@ exports.getEnrolledCourses = async (req, res) => {
       .sort({ createdAt: -1 })
       .populate('instructor', 'fullName email');
 
+    const canEditAny = await hasPermission(req.user, 'course:edit:any');
     res.status(200).json({
       success: true,
       count: courses.length,
-      data: courses,
+      data: courses.map(course => withLessonLocks(course, req.user, canEditAny)),
     });
   } catch (error) {
     res.status(500).json({
@@ -453,8 +572,8 @@ exports.updateCourse = async (req, res) => {
       });
     }
 
-    // Check if user owns the course or is admin
-    if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the course or can edit any course
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this course',
@@ -471,6 +590,7 @@ exports.updateCourse = async (req, res) => {
       duration,
       videoUrl,
       notes,
+      modules,
       lessons,
       totalLessons,
       objectives,
@@ -480,6 +600,49 @@ exports.updateCourse = async (req, res) => {
       licenseType,
     } = req.body;
 
+    // Public courses under admin review can only change through a reviewed draft
+    const changesContent = CONTENT_FIELDS.some(field => req.body[field] !== undefined);
+    if (changesContent && await isReviewRequired(course, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Changes to this course need admin review. Save them as a draft and submit it for publishing.',
+      });
+    }
+
+    // Check the structure that will result from this update
+    const structureError = validateCourseStructure(
+      modules || course.modules,
+      lessons || course.lessons
+    );
+    if (structureError) {
+      return res.status(400).json({
+        success: false,
+        message: structureError,
+      });
+    }
+
+    // Keep the content from before this edit in the revision history
+    await ensureBaselineRevision(course, req.user._id);
+
+    let assignedLessons = null;
+    if (lessons) {
+      // Courses from before lesson ids first get ids from their stored positions (what progress and
+      // the baseline revision use), so reordering or inserting lessons cannot move completions
+      if (!course.lastLessonId) {
+        course.lessons.forEach((lesson, index) => {
+          lesson.id = getLessonId(lesson, index);
+        });
+        course.lastLessonId = Math.max(0, ...course.lessons.map(lesson => lesson.id));
+      }
+      assignedLessons = assignLessonIds(lessons, course.lastLessonId);
+      if (assignedLessons.error) {
+        return res.status(400).json({
+          success: false,
+          message: assignedLessons.error,
+        });
+      }
+    }
+
     if (title) course.title = title;
     if (description) course.description = description;
     if (category) course.category = category;
@@ -488,7 +651,11 @@ exports.updateCourse = async (req, res) => {
     if (duration !== undefined) course.duration = duration;
     if (videoUrl !== undefined) course.videoUrl = videoUrl;
     if (notes !== undefined) course.notes = notes;
-    if (lessons) course.lessons = lessons;
+    if (modules) course.modules = modules;
+    if (assignedLessons) {
+      course.lessons = assignedLessons.lessons;
+      course.lastLessonId = assignedLessons.lastLessonId;
+    }
     if (totalLessons !== undefined) course.totalLessons = totalLessons;
     if (objectives) course.objectives = objectives;
     if (prerequisites !== undefined) course.prerequisites = prerequisites;
@@ -497,6 +664,9 @@ exports.updateCourse = async (req, res) => {
     if (licenseType) course.licenseType = licenseType;
 
     await course.save();
+    if (changesContent) {
+      await recordPublishedRevision(course, req.user._id, { note: 'Edited directly' });
+    }
 
     res.status(200).json({
       success: true,
@@ -522,8 +692,8 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
-    // Check if user owns the course or is admin
-    if (course.instructor.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the course or can delete any course
+    if (!(await canManageCourse(req.user, course, 'course:delete:any', 'delete'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this course',
@@ -543,6 +713,20 @@ exports.deleteCourse = async (req, res) => {
     }
 
     await course.deleteOne();
+    await LessonCaption.deleteMany({ courseId: course.courseId });
+    await AssignmentSubmission.deleteWithFiles({ courseId: course.courseId });
+    await Assignment.deleteMany({ courseId: course.courseId });
+    await QuizAttempt.deleteMany({ courseId: course.courseId });
+    await Quiz.deleteMany({ courseId: course.courseId });
+    await Review.deleteMany({ courseId: course.courseId });
+    await CourseRevision.deleteMany({ courseId: course.courseId });
+    await CourseInvitation.deleteMany({ courseId: course.courseId });
+
+    // Other courses can no longer require this one
+    await Course.updateMany(
+      { prerequisiteCourses: course.courseId },
+      { $pull: { prerequisiteCourses: course.courseId } }
+    );
 
     res.status(200).json({
       success: true,
@@ -556,6 +740,89 @@ exports.deleteCourse = async (req, res) => {
   }
 };
 
+// Export a course as a package archive (manifest.json + attached files)
+exports.exportCourse = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this course',
+      });
+    }
+
+    const { buffer, missingFiles } = await buildCoursePackage(course);
+    const fileName = course.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || course.courseId;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.eduwave.zip"`);
+    if (missingFiles.length > 0) {
+      // Files whose upload is gone from disk are left out of the package
+      res.setHeader('X-Missing-Files', encodeURIComponent(missingFiles.join(', ')));
+    }
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Import a course package (multipart: package file). The course gets a new courseId and access code
+// and belongs to the importing user.
+exports.importCourse = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a course package (.zip)',
+      });
+    }
+
+    const coursePackage = readCoursePackage(await fs.readFile(req.file.path));
+    if (coursePackage.error) {
+      return res.status(400).json({
+        success: false,
+        message: coursePackage.error,
+      });
+    }
+
+    const course = await createCourseFromPackage(coursePackage, {
+      courseId: await generateUniqueCourseId(),
+      accessCode: await resolveAccessCode(req.user, req.body.accessCode, req.body.generateAccessCode !== 'false'),
+      instructor: req.user._id,
+      ...(req.body.instructorName ? { instructorName: req.body.instructorName } : {}),
+    });
+    await recordPublishedRevision(course, req.user._id, {
+      note: `Imported from ${coursePackage.manifest.course.sourceCourseId || 'a course package'}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Course imported successfully',
+      data: course,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  } finally {
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
+
 // Get all courses (for course manager grid)
 exports.getAllCourses = async (req, res) => {
   try {
@@ -581,21 +848,38 @@ exports.getAllCourses = async (req, res) => {
       ];
     }
 
-    // For students, include enrollment data. For instructors/admins, exclude it
-    const selectFields = req.user.role === 'student' 
-      ? '' // Include all fields including enrolledStudents for students
-      : '-enrolledStudents'; // Exclude for instructors/admins
+    // For students, include their own enrollment. For instructors/admins, exclude it
+    const includeEnrollments = req.user.role === 'student';
 
     const courses = await Course.find(query)
       .sort({ createdAt: -1 })
       .populate('instructor', 'fullName email role _id isPro')
-      .select(selectFields)
+      .select('-enrolledStudents')
       .lean(); // Use lean() for better performance
 
+    // Only the caller's enrolments are loaded - their dates set the lesson lock state
+    const enrollments = await Course.find({ ...query, 'enrolledStudents.userId': req.user._id })
+      .select({ courseId: 1, enrolledStudents: { $elemMatch: { userId: req.user._id } } })
+      .lean();
+    const enrollmentsByCourse = new Map(enrollments.map(course => [course.courseId, course.enrolledStudents]));
+
+    const canEditAny = await hasPermission(req.user, 'course:edit:any');
+    const data = courses.map(course => {
+      const annotated = withLessonLocks(
+        { ...course, enrolledStudents: enrollmentsByCourse.get(course.courseId) || [] },
+        req.user,
+        canEditAny
+      );
+      if (!includeEnrollments) {
+        delete annotated.enrolledStudents;
+      }
+      return annotated;
+    });
+
     res.status(200).json({
       success: true,
-      count: courses.length,
-      data: courses,
+      count: data.length,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -608,23 +892,31 @@ exports.getAllCourses = async (req, res) => {
 // Seed default courses (only for admin or system)
 exports.seedDefaultCourses = async (req, res) => {
   try {
-    // Only allow admin or if no courses exist yet
+    // Only allow users who can publish courses (admins by default) or if no courses exist yet
     const courseCount = await Course.countDocuments();
-    if (courseCount > 0 && req.user && req.user.role !== 'admin') {
+    if (courseCount > 0 && req.user && !(await hasPermission(req.user, 'course:publish'))) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can seed courses when courses already exist',
       });
     }
 
+    // Courses come from the request body, or from the seed packages on disk when none are sent
     const { courses } = req.body;
+    const seedPackages = courses === undefined ? await loadSeedPackages() : [];
 
-    if (!courses || !Array.isArray(courses) || courses.length === 0) {
+    if (courses !== undefined && (!Array.isArray(courses) || courses.length === 0)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide an array of courses to seed',
       });
     }
+    if (courses === undefined && seedPackages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of courses to seed, or add seed packages to the seed courses folder',
+      });
+    }
 
     // Get or create a system admin user for default courses
     const User = require('../models/User');
@@ -635,7 +927,7 @@ exports.seedDefaultCourses = async (req, res) => {
       systemInstructor = await User.create({
         fullName: 'EduWave System',
         email: 'system@eduwave.com',
-        password: crypto.randomBytes(32).toString('hex'), // Random password
+        password: generateRandomPassword(), // Random password
         role: 'admin',
         isEmailVerified: true,
       });
@@ -644,7 +936,7 @@ exports.seedDefaultCourses = async (req, res) => {
     const seededCourses = [];
     const skippedCourses = [];
 
-    for (const courseData of courses) {
+    for (const courseData of courses || []) {
       try {
         // Check if course with this ID already exists
         const existingCourse = await Course.findOne({ courseId: courseData.id });
@@ -698,6 +990,44 @@ exports.seedDefaultCourses = async (req, res) => {
       }
     }
 
+    for (const seedPackage of seedPackages) {
+      const courseId = seedPackage.manifest?.course?.sourceCourseId || `SEED-${path.parse(seedPackage.source).name}`;
+      const title = seedPackage.manifest?.course?.title || seedPackage.source;
+      try {
+        if (seedPackage.error) {
+          throw new Error(seedPackage.error);
+        }
+
+        // Seed packages keep their courseId so seeding twice does not duplicate them
+        const existingCourse = await Course.findOne({ courseId });
+        if (existingCourse) {
+          skippedCourses.push({
+            courseId,
+            title,
+            reason: 'Course already exists',
+          });
+          continue;
+        }
+
+        const course = await createCourseFromPackage(seedPackage, {
+          courseId,
+          instructor: systemInstructor._id,
+          isPublished: true,
+        });
+        seededCourses.push({
+          courseId: course.courseId,
+          title: course.title,
+        });
+      } catch (error) {
+        console.error(`Error seeding course package ${seedPackage.source}:`, error);
+        skippedCourses.push({
+          courseId,
+          title,
+          reason: error.message,
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: `Seeded ${seededCourses.length} courses, skipped ${skippedCourses.length}`,
@@ -734,7 +1064,7 @@ exports.assignCoursesToAdmin = async (req, res) => {
       adminUser = await User.create({
         fullName: 'EduWave System',
         email: 'system@eduwave.com',
-        password: crypto.randomBytes(32).toString('hex'),
+        password: generateRandomPassword(),
         role: 'admin',
         isEmailVerified: true,
       });
@@ -842,3 +1172,8 @@ exports.assignCoursesToAdmin = async (req, res) => {
   }
 };
 
+
+// Export helper functions for use in other controllers
+exports.canManageCourse = canManageCourse;
+exports.requiresAccessCode = requiresAccessCode;
+exports.getCourseAccess = getCourseAccess;
@@ -1,6 +1,7 @@
 const ForumPost = require('../models/Forum');
 const User = require('../models/User');
 const AdminSettings = require('../models/AdminSettings');
+const { hasPermission } = require('../utils/permissionService');
 
 // Helper function to check if user is premium (validates trial expiration)
 async function checkUserPremium(user, settings) {
@@ -203,7 +204,8 @@ exports.deletePost = async (req, res) => {
       });
     }
 
-    if (post.author.toString() !== req.user._id.toString()) {
+    // Authors can delete their own posts, moderators can delete any
+    if (post.author.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'forum:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this post',
@@ -212,9 +214,9 @@ exports.deletePost = async (req, res) => {
 
     await post.deleteOne();
 
-    // Update user stats
-    const user = await User.findById(req.user._id);
-    if (user.forumStats) {
+    // Update author stats
+    const user = await User.findById(post.author);
+    if (user && user.forumStats) {
       user.forumStats.posts = Math.max(0, (user.forumStats.posts || 0) - 1);
       await user.save();
     }
@@ -317,7 +319,8 @@ exports.deleteReply = async (req, res) => {
       });
     }
 
-    if (reply.author.toString() !== req.user._id.toString()) {
+    // Authors can delete their own replies, moderators can delete any
+    if (reply.author.toString() !== req.user._id.toString() && !(await hasPermission(req.user, 'forum:moderate'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this reply',
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const { hasPermission } = require('../utils/permissionService');
+const {
+  MAX_DURATION_MINUTES,
+  startImpersonation,
+  endImpersonation,
+} = require('../utils/impersonationService');
+
+// Start viewing the app as another user
+exports.startImpersonation = async (req, res) => {
+  try {
+    const { userId, reason, allowWrites = false, durationMinutes } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid userId is required',
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for the audit log',
+      });
+    }
+
+    // Impersonation tokens cannot be used to start another impersonation
+    if (req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are already viewing the app as another user',
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself',
+      });
+    }
+
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Never hand out another impersonator's powers
+    if (await hasPermission(targetUser, 'user:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Users who can impersonate others cannot be impersonated',
+      });
+    }
+
+    const { impersonation, accessToken } = await startImpersonation(
+      req.user,
+      targetUser,
+      { reason: reason.trim(), allowWrites, durationMinutes },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${targetUser.fullName} until ${impersonation.expiresAt.toISOString()}`,
+      data: {
+        impersonationId: impersonation._id,
+        accessToken,
+        expiresAt: impersonation.expiresAt,
+        allowWrites: impersonation.allowWrites,
+        maxDurationMinutes: MAX_DURATION_MINUTES,
+        user: {
+          id: targetUser._id,
+          fullName: targetUser.fullName,
+          email: targetUser.email,
+          role: targetUser.role,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// End an impersonation - its token stops working immediately
+exports.endImpersonation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found',
+      });
+    }
+
+    const impersonation = await endImpersonation(req.params.id, req.user._id, req);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found or already ended',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+      data: impersonation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// List impersonations, newest first (?active=true for ones still running)
+exports.getImpersonations = async (req, res) => {
+  try {
+    const { active, limit = 50, skip = 0 } = req.query;
+    const query = {};
+
+    if (active === 'true') {
+      query.endedAt = { $exists: false };
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+    const skipNum = parseInt(skip) || 0;
+
+    const impersonations = await Impersonation.find(query)
+      .populate('admin', 'fullName email')
+      .populate('targetUser', 'fullName email role')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skipNum)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      data: impersonations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Query the audit log
+// Filters: actor, targetUser, impersonation, action, blocked, from, to (ISO dates)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { actor, targetUser, impersonation, action, blocked, from, to, limit = 50, skip = 0 } = req.query;
+    const query = {};
+
+    for (const [field, value] of Object.entries({ actor, targetUser, impersonation })) {
+      if (value) {
+        if (!mongoose.isValidObjectId(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} id`,
+          });
+        }
+        query[field] = value;
+      }
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (blocked !== undefined) {
+      query.blocked = blocked === 'true';
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates',
+        });
+      }
+    }
+
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const skipNum = parseInt(skip) || 0;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'fullName email')
+        .populate('targetUser', 'fullName email')
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip(skipNum)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      hasMore: skipNum + entries.length < total,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,403 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { getOrCreateProgress, getScheduleOptions } = require('./videoPlayerController');
+const {
+  getLessonId,
+  getLessonDurationSeconds,
+  findLesson,
+  getLessonSchedule,
+} = require('../utils/courseSchedule');
+const { collectStudySheetLessons, renderStudySheetPdf } = require('../utils/studySheet');
+
+const MAX_BOOKMARKS_PER_LESSON = 100;
+const MAX_NOTES_PER_LESSON = 200;
+
+// Load the course, the lesson from :lessonId and the user's progress entry for it (created if missing).
+// Notes and bookmarks can only be added to released lessons. Sends the error response and returns null otherwise.
+async function loadLessonProgress(req, res) {
+  const { courseId, lessonId } = req.params;
+
+  const course = await Course.findOne({ courseId }).select('title lessons modules instructor staff enrolledStudents');
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+
+  const found = findLesson(course, lessonId);
+  if (!found) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found',
+    });
+    return null;
+  }
+
+  const progress = await getOrCreateProgress(req.user._id, courseId);
+
+  const schedule = getLessonSchedule(course, await getScheduleOptions(course, req.user, progress));
+  if (!schedule[found.index].unlocked) {
+    res.status(403).json({
+      success: false,
+      message: 'This lesson has not been released yet',
+      data: {
+        releaseAt: schedule[found.index].releaseAt,
+      },
+    });
+    return null;
+  }
+
+  const lessonKey = getLessonId(found.lesson, found.index);
+  let lessonProgress = progress.lessons.find(l => l.lessonId === lessonKey);
+  if (!lessonProgress) {
+    progress.lessons.push({ lessonId: lessonKey, completed: false, watchTime: 0 });
+    lessonProgress = progress.lessons[progress.lessons.length - 1];
+  }
+
+  return { course, lesson: found.lesson, progress, lessonProgress };
+}
+
+// Playback position in seconds from the request body, or null when missing or outside the lesson
+function readPosition(value, lesson) {
+  const position = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(position) || position < 0) {
+    return null;
+  }
+  const lessonDurationSeconds = getLessonDurationSeconds(lesson);
+  if (lessonDurationSeconds > 0 && position > lessonDurationSeconds + 5) {
+    return null;
+  }
+  return position;
+}
+
+function sendInvalidPosition(res) {
+  res.status(400).json({
+    success: false,
+    message: 'A playback position within the lesson (in seconds) is required',
+  });
+}
+
+function sendNotFound(res, what) {
+  res.status(404).json({
+    success: false,
+    message: `${what} not found`,
+  });
+}
+
+function byPosition(items) {
+  return [...items].sort((a, b) => a.position - b.position);
+}
+
+function lessonNotesData(lessonProgress) {
+  return {
+    lessonId: lessonProgress.lessonId,
+    resumePosition: lessonProgress.resumePosition || 0,
+    resumeUpdatedAt: lessonProgress.resumeUpdatedAt || null,
+    bookmarks: byPosition(lessonProgress.bookmarks),
+    notes: byPosition(lessonProgress.notes),
+  };
+}
+
+// Get the resume position, bookmarks and notes for a lesson
+exports.getLessonNotes = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+
+    res.status(200).json({
+      success: true,
+      data: lessonNotesData(loaded.lessonProgress),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Save where playback stopped. Body: { position }
+exports.updateResumePosition = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { lesson, progress, lessonProgress } = loaded;
+
+    const position = readPosition(req.body.position, lesson);
+    if (position === null) {
+      return sendInvalidPosition(res);
+    }
+
+    lessonProgress.resumePosition = position;
+    lessonProgress.resumeUpdatedAt = new Date();
+    progress.lastAccessedAt = new Date();
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lessonId: lessonProgress.lessonId,
+        resumePosition: lessonProgress.resumePosition,
+        resumeUpdatedAt: lessonProgress.resumeUpdatedAt,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Add a bookmark. Body: { position, label }
+exports.addBookmark = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { lesson, progress, lessonProgress } = loaded;
+
+    const position = readPosition(req.body.position, lesson);
+    if (position === null) {
+      return sendInvalidPosition(res);
+    }
+    if (lessonProgress.bookmarks.length >= MAX_BOOKMARKS_PER_LESSON) {
+      return res.status(400).json({
+        success: false,
+        message: `A lesson can have at most ${MAX_BOOKMARKS_PER_LESSON} bookmarks`,
+      });
+    }
+
+    lessonProgress.bookmarks.push({ position, label: req.body.label || '' });
+    await progress.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Bookmark added',
+      data: lessonProgress.bookmarks[lessonProgress.bookmarks.length - 1],
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Move or rename a bookmark. Body: { position, label }
+exports.updateBookmark = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { lesson, progress, lessonProgress } = loaded;
+
+    const bookmark = lessonProgress.bookmarks.id(req.params.bookmarkId);
+    if (!bookmark) {
+      return sendNotFound(res, 'Bookmark');
+    }
+
+    if (req.body.position !== undefined) {
+      const position = readPosition(req.body.position, lesson);
+      if (position === null) {
+        return sendInvalidPosition(res);
+      }
+      bookmark.position = position;
+    }
+    if (req.body.label !== undefined) {
+      bookmark.label = req.body.label || '';
+    }
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmark updated',
+      data: bookmark,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete a bookmark
+exports.deleteBookmark = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { progress, lessonProgress } = loaded;
+
+    if (!lessonProgress.bookmarks.id(req.params.bookmarkId)) {
+      return sendNotFound(res, 'Bookmark');
+    }
+    lessonProgress.bookmarks.pull(req.params.bookmarkId);
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmark deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Add a note at a time in the lesson. Body: { position, text }
+exports.addNote = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { lesson, progress, lessonProgress } = loaded;
+
+    const position = readPosition(req.body.position, lesson);
+    if (position === null) {
+      return sendInvalidPosition(res);
+    }
+    if (!req.body.text || !String(req.body.text).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note text is required',
+      });
+    }
+    if (lessonProgress.notes.length >= MAX_NOTES_PER_LESSON) {
+      return res.status(400).json({
+        success: false,
+        message: `A lesson can have at most ${MAX_NOTES_PER_LESSON} notes`,
+      });
+    }
+
+    lessonProgress.notes.push({ position, text: req.body.text });
+    await progress.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: lessonProgress.notes[lessonProgress.notes.length - 1],
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Edit a note. Body: { position, text }
+exports.updateNote = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { lesson, progress, lessonProgress } = loaded;
+
+    const note = lessonProgress.notes.id(req.params.noteId);
+    if (!note) {
+      return sendNotFound(res, 'Note');
+    }
+
+    if (req.body.position !== undefined) {
+      const position = readPosition(req.body.position, lesson);
+      if (position === null) {
+        return sendInvalidPosition(res);
+      }
+      note.position = position;
+    }
+    if (req.body.text !== undefined) {
+      if (!req.body.text || !String(req.body.text).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Note text is required',
+        });
+      }
+      note.text = req.body.text;
+    }
+    note.updatedAt = new Date();
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated',
+      data: note,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete a note
+exports.deleteNote = async (req, res) => {
+  try {
+    const loaded = await loadLessonProgress(req, res);
+    if (!loaded) return;
+    const { progress, lessonProgress } = loaded;
+
+    if (!lessonProgress.notes.id(req.params.noteId)) {
+      return sendNotFound(res, 'Note');
+    }
+    lessonProgress.notes.pull(req.params.noteId);
+    await progress.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Download notes and bookmarks as a PDF study sheet - for the whole course, or one lesson
+// when called under /lessons/:lessonId
+exports.downloadStudySheet = async (req, res) => {
+  try {
+    const { courseId, lessonId } = req.params;
+
+    const course = await Course.findOne({ courseId }).select('title lessons');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    let lessonIds = null;
+    if (lessonId !== undefined) {
+      const found = findLesson(course, lessonId);
+      if (!found) {
+        return sendNotFound(res, 'Lesson');
+      }
+      lessonIds = [getLessonId(found.lesson, found.index)];
+    }
+
+    const progress = await getOrCreateProgress(req.user._id, courseId);
+    const user = await User.findById(req.user._id).select('fullName');
+
+    const doc = renderStudySheetPdf({
+      courseTitle: course.title,
+      studentName: user ? user.fullName : 'Student',
+      lessons: collectStudySheetLessons(course, progress, lessonIds),
+    });
+
+    const safeCourseId = courseId.replace(/[^a-z0-9_-]/gi, '_');
+    const suffix = lessonIds ? `-lesson-${lessonIds[0]}` : '';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="study-sheet-${safeCourseId}${suffix}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { getOidcProvider, getEnabledOidcProviders } = require('../config/oidcProviders');
+const { generateAuthParams, buildAuthorizationUrl, exchangeCode, verifyIdToken } = require('../utils/oidcClient');
+const { generateRandomPassword } = require('../utils/passwordPolicy');
+const { startLoginSession, getTwoFactorChallenge } = require('./authController');
+
+function getRedirectUri(req, providerKey) {
+  const backendUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return `${backendUrl}/auth/oidc/${providerKey}/callback`;
+}
+
+// Send the browser back to the frontend. Values go in the URL fragment so tokens
+// are never sent to a server or written to access logs.
+function redirectToFrontend(req, res, values) {
+  const frontendUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host').replace(':3000', '')}`;
+  const fragment = new URLSearchParams(values).toString();
+  res.redirect(`${frontendUrl}/oidc-callback.html#${fragment}`);
+}
+
+// Find the user linked to this identity, link an existing account with the same
+// verified email, or create a new account
+async function findOrCreateOidcUser(provider, claims) {
+  const linkedUser = await User.findOne({
+    oidcAccounts: { $elemMatch: { provider: provider.key, subject: claims.sub } },
+  });
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  // Microsoft puts the sign-in address in preferred_username when there is no email claim
+  const rawEmail = claims.email || (claims.preferred_username?.includes('@') ? claims.preferred_username : null);
+  if (!rawEmail) {
+    return { error: 'email_missing' };
+  }
+  const email = rawEmail.toLowerCase();
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  const identity = { provider: provider.key, subject: claims.sub, email, linkedAt: new Date() };
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // Only link when the provider vouches for the address, otherwise anyone could
+    // claim an existing account by registering that email at a provider
+    if (!emailVerified) {
+      return { error: 'account_exists' };
+    }
+    existingUser.oidcAccounts.push(identity);
+    if (!existingUser.emailVerified) {
+      existingUser.emailVerified = true;
+      existingUser.emailVerificationToken = undefined;
+      existingUser.emailVerificationExpire = undefined;
+    }
+    await existingUser.save({ validateBeforeSave: false });
+    return { user: existingUser, linked: true };
+  }
+
+  // New account - random password, the user can set one later through forgot password
+  const user = await User.create({
+    fullName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+    email,
+    password: generateRandomPassword(),
+    role: 'user',
+    emailVerified,
+    oidcAccounts: [identity],
+  });
+  return { user, created: true };
+}
+
+// List enabled sign-in providers
+exports.getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getEnabledOidcProviders(),
+  });
+};
+
+// Start sign-in - redirect to the provider's authorization endpoint
+exports.startOidcLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not found',
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } = generateAuthParams();
+    await OidcState.create({ state, provider: provider.key, nonce, codeVerifier });
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+      redirectUri: getRedirectUri(req, provider.key),
+      state,
+      nonce,
+      codeChallenge,
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the sign-in provider. Please try again later.',
+    });
+  }
+};
+
+// Provider callback - exchange the code, verify the ID token and sign the user in
+exports.oidcCallback = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    const { code, state, error } = req.query;
+
+    if (!provider) {
+      return redirectToFrontend(req, res, { error: 'unknown_provider' });
+    }
+
+    if (error) {
+      return redirectToFrontend(req, res, { error: String(error) });
+    }
+
+    if (!code || !state) {
+      return redirectToFrontend(req, res, { error: 'invalid_request' });
+    }
+
+    // Single use - a replayed callback finds nothing
+    const pending = await OidcState.findOneAndDelete({ state: String(state), provider: provider.key });
+    if (!pending) {
+      return redirectToFrontend(req, res, { error: 'invalid_state' });
+    }
+
+    const tokens = await exchangeCode(provider, {
+      code: String(code),
+      redirectUri: getRedirectUri(req, provider.key),
+      codeVerifier: pending.codeVerifier,
+    });
+    const claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+    const result = await findOrCreateOidcUser(provider, claims);
+    if (result.error) {
+      return redirectToFrontend(req, res, { error: result.error });
+    }
+
+    const { user } = result;
+
+    // The provider replaces the password, not the second factor
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return redirectToFrontend(req, res, {
+        twoFactorRequired: String(challenge.purpose === 'login'),
+        twoFactorSetupRequired: String(challenge.purpose === 'enroll'),
+        challengeToken: challenge.challengeToken,
+      });
+    }
+
+    const { accessToken, refreshToken } = await startLoginSession(user, req);
+
+    redirectToFrontend(req, res, {
+      accessToken,
+      refreshToken,
+      created: String(Boolean(result.created)),
+      linked: String(Boolean(result.linked)),
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error.response?.data || error);
+    redirectToFrontend(req, res, { error: 'sign_in_failed' });
+  }
+};
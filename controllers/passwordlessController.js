@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginCode = require('../models/LoginCode');
+const sendEmail = require('../utils/sendEmail');
+const { recordLoginFailure } = require('../utils/rateLimiter');
+const { completeLogin, getTwoFactorChallenge } = require('./authController');
+
+const LINK_TTL_MINUTES = 15;
+const CODE_TTL_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Codes only have a million values, so bind the hash to the user
+function hashCode(userId, code) {
+  return hashSecret(`${userId}:${code}`);
+}
+
+function generateCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+function buildLinkEmail(loginUrl) {
+  return `
+    <h1>Sign in to EduWise</h1>
+    <p>Click the button below to sign in. No password needed.</p>
+    <a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Sign In</a>
+    <p>Or copy and paste this URL into your browser:</p>
+    <p>${loginUrl}</p>
+    <p>This link will expire in ${LINK_TTL_MINUTES} minutes and can only be used once.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+}
+
+function buildCodeEmail(code) {
+  return `
+    <h1>Your EduWise sign-in code</h1>
+    <p>Enter this code to sign in:</p>
+    <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+    <p>This code will expire in ${CODE_TTL_MINUTES} minutes.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+}
+
+// Passwordless sign-in counts as a login, so the same 2FA rules apply
+async function finishPasswordlessLogin(user, req, res) {
+  // Receiving the email proves the address belongs to the user
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  const challenge = await getTwoFactorChallenge(user);
+  if (challenge) {
+    return res.status(200).json({
+      success: true,
+      message: challenge.purpose === 'login'
+        ? 'Enter the code from your authenticator app to finish signing in'
+        : 'Two-factor authentication is required for your account. Please set it up to continue.',
+      data: {
+        twoFactorRequired: challenge.purpose === 'login',
+        twoFactorSetupRequired: challenge.purpose === 'enroll',
+        challengeToken: challenge.challengeToken,
+      },
+    });
+  }
+
+  await completeLogin(user, req, res);
+}
+
+// Request a magic link or a six-digit code by email
+exports.requestPasswordlessLogin = async (req, res) => {
+  try {
+    const { email, method = 'code' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    if (!['link', 'code'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: "Method must be 'link' or 'code'",
+      });
+    }
+
+    const ttlMinutes = method === 'link' ? LINK_TTL_MINUTES : CODE_TTL_MINUTES;
+    // Don't reveal if user exists or not for security - every outcome gets this same response
+    const sendGenericResponse = () => res.status(200).json({
+      success: true,
+      message: method === 'link'
+        ? 'If an account exists with this email, a sign-in link has been sent.'
+        : 'If an account exists with this email, a sign-in code has been sent.',
+      data: {
+        method,
+        expiresInMinutes: ttlMinutes,
+      },
+    });
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return sendGenericResponse();
+    }
+
+    // Only the most recent link or code is valid
+    await LoginCode.deleteMany({ user: user._id });
+
+    let secret;
+    let emailOptions;
+    if (method === 'link') {
+      secret = crypto.randomBytes(32).toString('hex');
+      const frontendUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host').replace(':3000', '')}`;
+      emailOptions = {
+        subject: 'Your sign-in link - EduWise',
+        html: buildLinkEmail(`${frontendUrl}/magic-login.html?token=${secret}`),
+      };
+    } else {
+      secret = generateCode();
+      emailOptions = {
+        subject: `${secret} is your EduWise sign-in code`,
+        html: buildCodeEmail(secret),
+      };
+    }
+
+    const loginCode = await LoginCode.create({
+      user: user._id,
+      email: user.email,
+      method,
+      secretHash: method === 'link' ? hashSecret(secret) : hashCode(user._id, secret),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+
+    try {
+      await sendEmail({ email: user.email, ...emailOptions });
+    } catch (error) {
+      // Logged only: an error response would tell the caller the account exists
+      console.error('Passwordless sign-in email failed:', error);
+      await loginCode.deleteOne();
+    }
+
+    sendGenericResponse();
+  } catch (error) {
+    console.error('Passwordless request error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during sign-in request',
+    });
+  }
+};
+
+// Exchange a magic link token, or an email and code, for the normal token pair
+exports.verifyPasswordlessLogin = async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+
+    if (!token && !(email && code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a sign-in token, or email and code',
+      });
+    }
+
+    let loginCode;
+
+    if (token) {
+      // Single use - deleting on lookup means a second click finds nothing
+      loginCode = await LoginCode.findOneAndDelete({
+        method: 'link',
+        secretHash: hashSecret(String(token).trim()),
+        expiresAt: { $gt: new Date() },
+      });
+
+      if (!loginCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired sign-in link',
+        });
+      }
+    } else {
+      const normalizedEmail = String(email).toLowerCase();
+
+      // Claim an attempt before comparing, so parallel guesses cannot exceed the limit
+      const pending = await LoginCode.findOneAndUpdate(
+        {
+          email: normalizedEmail,
+          method: 'code',
+          expiresAt: { $gt: new Date() },
+          attempts: { $lt: MAX_CODE_ATTEMPTS },
+        },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!pending) {
+        await recordLoginFailure(normalizedEmail);
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired code. Please request a new one.',
+        });
+      }
+
+      const expected = Buffer.from(pending.secretHash, 'hex');
+      const actual = Buffer.from(hashCode(pending.user, String(code).trim()), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        const attemptsRemaining = MAX_CODE_ATTEMPTS - pending.attempts;
+        if (attemptsRemaining <= 0) {
+          await pending.deleteOne();
+        }
+        const { locked } = await recordLoginFailure(normalizedEmail);
+        return res.status(400).json({
+          success: false,
+          message: attemptsRemaining > 0
+            ? 'Invalid code'
+            : 'Invalid code. Too many attempts, please request a new one.',
+          attemptsRemaining,
+          locked,
+        });
+      }
+
+      loginCode = await LoginCode.findOneAndDelete({ _id: pending._id });
+      if (!loginCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired code. Please request a new one.',
+        });
+      }
+    }
+
+    const user = await User.findById(loginCode.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in request',
+      });
+    }
+
+    await finishPasswordlessLogin(user, req, res);
+  } catch (error) {
+    console.error('Passwordless verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during sign-in',
+    });
+  }
+};
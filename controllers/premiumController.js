@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const AdminSettings = require('../models/AdminSettings');
+const Course = require('../models/Course');
+const { getUnmetPrerequisites, prerequisiteWarning } = require('../utils/coursePrerequisites');
 
 // Get premium settings (public)
 exports.getPremiumSettings = async (req, res) => {
@@ -245,6 +247,21 @@ exports.enrollInCourse = async (req, res) => {
       });
     }
 
+    // Prerequisites are checked on first enrolment only, so students who already started keep access
+    let missingPrerequisites = [];
+    const course = await Course.findOne({ courseId }).select('courseId title prerequisiteCourses prerequisiteMode');
+    if (course && !(user.coursesAccessed || []).includes(courseId)) {
+      missingPrerequisites = await getUnmetPrerequisites(user._id, course);
+      if (missingPrerequisites.length > 0 && course.prerequisiteMode === 'block') {
+        return res.status(403).json({
+          success: false,
+          prerequisitesUnmet: true,
+          message: `Complete ${missingPrerequisites.map(item => `"${item.title}"`).join(', ')} before enrolling in this course`,
+          missingPrerequisites,
+        });
+      }
+    }
+
     // Check if premium or premium disabled
     const isPremium = await checkUserPremium(user, settings);
     if (!settings.premiumEnabled || isPremium) {
@@ -257,6 +274,7 @@ exports.enrollInCourse = async (req, res) => {
       return res.status(200).json({
         success: true,
         message: 'Enrolled successfully',
+        ...prerequisiteWarning(missingPrerequisites),
       });
     }
 
@@ -314,6 +332,7 @@ exports.enrollInCourse = async (req, res) => {
       success: true,
       message: `Enrolled! ${remaining} free course${remaining !== 1 ? 's' : ''} remaining this month.`,
       remaining,
+      ...prerequisiteWarning(missingPrerequisites),
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,126 @@
+const Course = require('../models/Course');
+const { canManageCourse } = require('./courseController');
+const {
+  validatePrerequisiteLinks,
+  getUnmetPrerequisites,
+  buildLearningPath,
+} = require('../utils/coursePrerequisites');
+
+// Get a course's prerequisite courses (optional auth adds which ones you have not completed)
+exports.getPrerequisites = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId })
+      .select('courseId title prerequisites prerequisiteCourses prerequisiteMode');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const prerequisiteCourses = await Course.find({ courseId: { $in: course.prerequisiteCourses } })
+      .select('courseId title category difficulty icon')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        courseId: course.courseId,
+        description: course.prerequisites,
+        mode: course.prerequisiteMode,
+        courses: prerequisiteCourses,
+        missing: req.user ? await getUnmetPrerequisites(req.user._id, course) : undefined,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Set a course's prerequisite links. Body: { prerequisiteCourses: [courseId], prerequisiteMode: 'warn' | 'block' }
+exports.updatePrerequisites = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this course',
+      });
+    }
+
+    const { prerequisiteCourses, prerequisiteMode } = req.body;
+
+    if (prerequisiteCourses !== undefined) {
+      const result = await validatePrerequisiteLinks(course, prerequisiteCourses, req.user);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      course.prerequisiteCourses = result.prerequisiteCourses;
+    }
+    if (prerequisiteMode !== undefined) {
+      course.prerequisiteMode = prerequisiteMode;
+    }
+
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Prerequisites updated successfully',
+      data: {
+        prerequisiteCourses: course.prerequisiteCourses,
+        prerequisiteMode: course.prerequisiteMode,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Ordered list of courses the current user still needs to take to reach a course
+exports.getLearningPath = async (req, res) => {
+  try {
+    const learningPath = await buildLearningPath(req.user._id, req.params.courseId);
+
+    if (!learningPath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+    if (learningPath.error) {
+      return res.status(409).json({
+        success: false,
+        message: learningPath.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: learningPath.path.length,
+      data: learningPath,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
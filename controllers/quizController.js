@@ -0,0 +1,597 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseProgress = require('../models/CourseProgress');
+const { Quiz, QuizAttempt } = require('../models/Quiz');
+const { canManageCourse, getCourseAccess } = require('./courseController');
+const { getOrCreateProgress, getScheduleOptions } = require('./videoPlayerController');
+const { findLesson, getLessonSchedule } = require('../utils/courseSchedule');
+const {
+  normalizeQuestions,
+  gradeAttempt,
+  buildFeedback,
+  toStudentQuiz,
+} = require('../utils/quizGrading');
+
+// Submissions this long after the time limit still count (network latency, clock drift)
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+// Load a quiz and its course; returns null if either is missing
+async function findQuiz(quizId) {
+  if (!mongoose.isValidObjectId(quizId)) {
+    return null;
+  }
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) {
+    return null;
+  }
+  const course = await Course.findOne({ courseId: quiz.courseId });
+  return course ? { quiz, course } : null;
+}
+
+// Drip-release schedule of the course for a student, who must be enrolled or able to open the course
+// (see getCourseAccess; accessCode in the query or body). Sends the 403 and returns null otherwise.
+async function loadStudentSchedule(req, res, course, progress) {
+  if (!(await getCourseAccess(req.user, course, req.query.accessCode || (req.body && req.body.accessCode)))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access code required. Please provide a valid access code.',
+      requiresAccessCode: true,
+    });
+    return null;
+  }
+  return getLessonSchedule(course, await getScheduleOptions(course, req.user, progress));
+}
+
+// Schedule entry of the quiz's lesson when that lesson is not released yet, or null.
+// A quiz opens with its lesson.
+function getLockedLesson(schedule, quiz) {
+  const lessonSchedule = schedule.find(l => l.lessonId === quiz.lessonId);
+  return lessonSchedule && !lessonSchedule.unlocked ? lessonSchedule : null;
+}
+
+function sendLessonLocked(res, lessonSchedule) {
+  res.status(403).json({
+    success: false,
+    message: 'This lesson has not been released yet',
+    data: {
+      releaseAt: lessonSchedule.releaseAt,
+    },
+  });
+}
+
+// Attempts that used up one of the student's tries
+function countUsedAttempts(quizId, userId) {
+  return QuizAttempt.countDocuments({ quiz: quizId, user: userId, status: { $ne: 'in_progress' } });
+}
+
+function attemptsRemaining(quiz, usedAttempts) {
+  return quiz.maxAttempts > 0 ? Math.max(quiz.maxAttempts - usedAttempts, 0) : null;
+}
+
+// An attempt that ran past its time limit is closed with no answers
+async function expireAttempt(quiz, attempt) {
+  const graded = gradeAttempt(quiz, []);
+  return QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    {
+      $set: {
+        status: 'expired',
+        submittedAt: new Date(),
+        answers: graded.answers,
+        pointsEarned: 0,
+        pointsPossible: graded.pointsPossible,
+        score: 0,
+        passed: false,
+      },
+    },
+    { new: true }
+  );
+}
+
+// Keep the student's best result for this quiz, and the course quiz average, in CourseProgress
+async function recordQuizResult(userId, quiz, attempt) {
+  const progress = await getOrCreateProgress(userId, quiz.courseId);
+
+  let result = progress.quizzes.find(q => q.quiz.toString() === quiz._id.toString());
+  if (!result) {
+    progress.quizzes.push({ quiz: quiz._id, lessonId: quiz.lessonId });
+    result = progress.quizzes[progress.quizzes.length - 1];
+  }
+
+  result.attempts += 1;
+  result.bestScore = Math.max(result.bestScore || 0, attempt.score);
+  if (attempt.passed && !result.passed) {
+    result.passed = true;
+    result.passedAt = attempt.submittedAt;
+  }
+
+  const totalScore = progress.quizzes.reduce((sum, q) => sum + (q.bestScore || 0), 0);
+  progress.quizScore = Math.round(totalScore / progress.quizzes.length);
+  progress.lastAccessedAt = new Date();
+  await progress.save();
+  return result;
+}
+
+function pickQuizFields(body) {
+  const fields = {};
+  for (const field of ['title', 'description', 'passingScore', 'maxAttempts', 'timeLimitMinutes', 'requiredToComplete', 'showCorrectAnswers']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+// Create a quiz for a lesson
+exports.createQuiz = async (req, res) => {
+  try {
+    const { courseId, lessonId, title, questions } = req.body;
+
+    if (!courseId || !lessonId || !title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide courseId, lessonId and title',
+      });
+    }
+
+    const course = await Course.findOne({ courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add quizzes to this course',
+      });
+    }
+
+    if (!findLesson(course, lessonId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lesson ID',
+      });
+    }
+
+    const normalized = normalizeQuestions(questions);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error,
+      });
+    }
+
+    const quiz = await Quiz.create({
+      ...pickQuizFields(req.body),
+      course: course._id,
+      courseId,
+      lessonId: parseInt(lessonId),
+      questions: normalized.questions,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: quiz,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// List a course's quizzes (?lessonId= for one lesson)
+// Course staff get the full quizzes; students get those of released lessons without answers, plus their own results
+exports.getCourseQuizzes = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const query = { courseId: course.courseId };
+    if (req.query.lessonId) {
+      query.lessonId = parseInt(req.query.lessonId);
+    }
+    const quizzes = await Quiz.find(query).sort({ lessonId: 1, createdAt: 1 });
+
+    if (await canManageCourse(req.user, course, 'course:edit:any', 'grade')) {
+      return res.status(200).json({
+        success: true,
+        count: quizzes.length,
+        data: quizzes,
+      });
+    }
+
+    const progress = await CourseProgress.findOne({ user: req.user._id, courseId: course.courseId }).select('quizzes createdAt');
+    const schedule = await loadStudentSchedule(req, res, course, progress);
+    if (!schedule) return;
+    const results = new Map((progress?.quizzes || []).map(result => [result.quiz.toString(), result]));
+    const released = quizzes.filter(quiz => !getLockedLesson(schedule, quiz));
+
+    res.status(200).json({
+      success: true,
+      count: released.length,
+      data: released.map(quiz => ({
+        ...toStudentQuiz(quiz),
+        result: results.get(quiz._id.toString()) || null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get a single quiz
+exports.getQuiz = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz, course } = found;
+
+    if (await canManageCourse(req.user, course, 'course:edit:any', 'grade')) {
+      return res.status(200).json({
+        success: true,
+        data: quiz,
+      });
+    }
+
+    const progress = await CourseProgress.findOne({ user: req.user._id, courseId: quiz.courseId }).select('quizzes createdAt');
+    const schedule = await loadStudentSchedule(req, res, course, progress);
+    if (!schedule) return;
+    const lockedLesson = getLockedLesson(schedule, quiz);
+    if (lockedLesson) {
+      return sendLessonLocked(res, lockedLesson);
+    }
+
+    const usedAttempts = await countUsedAttempts(quiz._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toStudentQuiz(quiz),
+        attemptsUsed: usedAttempts,
+        attemptsRemaining: attemptsRemaining(quiz, usedAttempts),
+        result: progress?.quizzes.find(result => result.quiz.toString() === quiz._id.toString()) || null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Update a quiz. Questions sent with their _id keep it, so existing attempts still line up.
+exports.updateQuiz = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz, course } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this quiz',
+      });
+    }
+
+    if (req.body.lessonId !== undefined) {
+      if (!findLesson(course, req.body.lessonId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid lesson ID',
+        });
+      }
+      quiz.lessonId = parseInt(req.body.lessonId);
+    }
+
+    if (req.body.questions !== undefined) {
+      const normalized = normalizeQuestions(req.body.questions);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error,
+        });
+      }
+      quiz.questions = normalized.questions;
+    }
+
+    Object.assign(quiz, pickQuizFields(req.body));
+    await quiz.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz updated successfully',
+      data: quiz,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete a quiz with its attempts and results
+exports.deleteQuiz = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz, course } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this quiz',
+      });
+    }
+
+    await QuizAttempt.deleteMany({ quiz: quiz._id });
+    // Drop the quiz from everyone's results and recompute their quiz average
+    await CourseProgress.updateMany({ courseId: quiz.courseId, 'quizzes.quiz': quiz._id }, [
+      { $set: { quizzes: { $filter: { input: '$quizzes', cond: { $ne: ['$$this.quiz', quiz._id] } } } } },
+      { $set: { quizScore: { $ifNull: [{ $round: [{ $avg: '$quizzes.bestScore' }, 0] }, 0] } } },
+    ]);
+    await Quiz.deleteOne({ _id: quiz._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Start (or resume) an attempt
+exports.startAttempt = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz, course } = found;
+
+    // Progress is only created once an attempt is graded (recordQuizResult)
+    const progress = await CourseProgress.findOne({ user: req.user._id, courseId: quiz.courseId }).select('createdAt');
+    const schedule = await loadStudentSchedule(req, res, course, progress);
+    if (!schedule) return;
+    const lockedLesson = getLockedLesson(schedule, quiz);
+    if (lockedLesson) {
+      return sendLessonLocked(res, lockedLesson);
+    }
+
+    // Resume an open attempt, or close it if its time ran out
+    let attempt = await QuizAttempt.findOne({ quiz: quiz._id, user: req.user._id, status: 'in_progress' });
+    if (attempt && attempt.expiresAt && attempt.expiresAt.getTime() + SUBMIT_GRACE_MS < Date.now()) {
+      const expired = await expireAttempt(quiz, attempt);
+      if (expired) {
+        await recordQuizResult(req.user._id, quiz, expired);
+      }
+      attempt = null;
+    }
+
+    const usedAttempts = await countUsedAttempts(quiz._id, req.user._id);
+    const isNewAttempt = !attempt;
+
+    if (isNewAttempt) {
+      if (quiz.maxAttempts > 0 && usedAttempts >= quiz.maxAttempts) {
+        return res.status(403).json({
+          success: false,
+          message: `You have used all ${quiz.maxAttempts} attempts for this quiz`,
+        });
+      }
+
+      const startedAt = new Date();
+      try {
+        attempt = await QuizAttempt.create({
+          quiz: quiz._id,
+          user: req.user._id,
+          courseId: quiz.courseId,
+          lessonId: quiz.lessonId,
+          attemptNumber: usedAttempts + 1,
+          startedAt,
+          expiresAt: quiz.timeLimitMinutes > 0
+            ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+            : undefined,
+        });
+      } catch (error) {
+        // Another request started this attempt at the same moment
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'An attempt is already in progress',
+          });
+        }
+        throw error;
+      }
+    }
+
+    res.status(isNewAttempt ? 201 : 200).json({
+      success: true,
+      data: {
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt || null,
+        attemptsRemaining: attemptsRemaining(quiz, usedAttempts + 1),
+        quiz: toStudentQuiz(quiz),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Submit an attempt for grading
+exports.submitAttempt = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found || !mongoose.isValidObjectId(req.params.attemptId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz } = found;
+
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.attemptId,
+      quiz: quiz._id,
+      user: req.user._id,
+    });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found',
+      });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    let graded;
+    const timedOut = attempt.expiresAt && attempt.expiresAt.getTime() + SUBMIT_GRACE_MS < Date.now();
+    if (timedOut) {
+      graded = await expireAttempt(quiz, attempt);
+    } else {
+      const result = gradeAttempt(quiz, req.body.answers);
+      // Only the first submission counts if two arrive together
+      graded = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: 'in_progress' },
+        {
+          $set: {
+            status: 'submitted',
+            submittedAt: new Date(),
+            answers: result.answers,
+            pointsEarned: result.pointsEarned,
+            pointsPossible: result.pointsPossible,
+            score: result.score,
+            passed: result.passed,
+          },
+        },
+        { new: true }
+      );
+    }
+
+    if (!graded) {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    const quizResult = await recordQuizResult(req.user._id, quiz, graded);
+    const usedAttempts = await countUsedAttempts(quiz._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: timedOut
+        ? 'Time limit exceeded - this attempt was not graded'
+        : (graded.passed ? 'Quiz passed' : 'Quiz not passed'),
+      data: {
+        attemptId: graded._id,
+        status: graded.status,
+        score: graded.score,
+        passed: graded.passed,
+        passingScore: quiz.passingScore,
+        pointsEarned: graded.pointsEarned,
+        pointsPossible: graded.pointsPossible,
+        bestScore: quizResult.bestScore,
+        attemptsRemaining: attemptsRemaining(quiz, usedAttempts),
+        feedback: buildFeedback(quiz, graded),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// List attempts at a quiz - your own, or everyone's for course staff (?all=true)
+exports.getAttempts = async (req, res) => {
+  try {
+    const found = await findQuiz(req.params.quizId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+    const { quiz, course } = found;
+    const { all, limit = 50, skip = 0 } = req.query;
+
+    const query = { quiz: quiz._id };
+    if (all === 'true') {
+      if (!(await canManageCourse(req.user, course, 'course:edit:any', 'grade'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view attempts for this quiz',
+        });
+      }
+    } else {
+      query.user = req.user._id;
+    }
+
+    const attempts = await QuizAttempt.find(query)
+      .populate('user', 'fullName email')
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 100))
+      .skip(parseInt(skip) || 0)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      data: attempts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Review = require('../models/Review');
+const { hasPermission } = require('../utils/permissionService');
+const { getCourseStaffRole } = require('../utils/courseStaff');
+const { canManageCourse } = require('./courseController');
+const { createNotificationForUser } = require('./notificationController');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+function isEnrolled(course, userId) {
+  return course.enrolledStudents.some(
+    student => student.userId && student.userId.toString() === userId.toString()
+  );
+}
+
+// Who reported a review is only shown to moderators
+function toPublicReview(review) {
+  const { reports, hiddenBy, ...rest } = review.toObject ? review.toObject() : review;
+  return rest;
+}
+
+// Load the course and review from the URL, checking they belong together
+async function findReview(courseId, reviewId) {
+  if (!mongoose.isValidObjectId(reviewId)) {
+    return null;
+  }
+  const review = await Review.findOne({ _id: reviewId, courseId });
+  if (!review) {
+    return null;
+  }
+  const course = await Course.findOne({ courseId });
+  return course ? { course, review } : null;
+}
+
+// List a course's reviews with a rating histogram
+// Query: sort (newest, oldest, highest, lowest), rating (1-5), limit, skip
+exports.getReviews = async (req, res) => {
+  try {
+    const { sort = 'newest', rating, limit = 20, skip = 0 } = req.query;
+
+    const ratingFilter = rating !== undefined && rating !== '' ? Number(rating) : null;
+    if (ratingFilter !== null && !(Number.isInteger(ratingFilter) && ratingFilter >= 1 && ratingFilter <= 5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating filter must be a whole number from 1 to 5',
+      });
+    }
+
+    const course = await Course.findOne({ courseId: req.params.courseId }).select('_id courseId rating ratingCount');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const isModerator = await hasPermission(req.user, 'review:moderate');
+    const query = { course: course._id };
+    if (!isModerator || req.query.includeHidden !== 'true') {
+      query.hidden = false;
+    }
+    if (ratingFilter !== null) {
+      query.rating = ratingFilter;
+    }
+
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const skipNum = parseInt(skip) || 0;
+
+    const [reviews, total, histogramCounts, myReview] = await Promise.all([
+      Review.find(query)
+        .populate('user', 'fullName')
+        .populate('reply.repliedBy', 'fullName')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .limit(limitNum)
+        .skip(skipNum)
+        .lean(),
+      Review.countDocuments(query),
+      Review.aggregate([
+        { $match: { course: course._id, hidden: false } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+      ]),
+      req.user ? Review.findOne({ course: course._id, user: req.user._id }).lean() : null,
+    ]);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const bucket of histogramCounts) {
+      histogram[bucket._id] = bucket.count;
+    }
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      summary: {
+        rating: course.rating,
+        ratingCount: course.ratingCount,
+        histogram,
+      },
+      myReview: myReview ? toPublicReview(myReview) : null,
+      data: isModerator ? reviews : reviews.map(toPublicReview),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Review a course you are enrolled in (one review per student)
+exports.createReview = async (req, res) => {
+  try {
+    const { rating, text } = req.body;
+
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    if (getCourseStaffRole(req.user, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review a course you teach',
+      });
+    }
+
+    if (!isEnrolled(course, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students enrolled in this course can review it',
+      });
+    }
+
+    if (await Review.exists({ course: course._id, user: req.user._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this course. Edit your review instead.',
+      });
+    }
+
+    const review = await Review.create({
+      course: course._id,
+      courseId: course.courseId,
+      user: req.user._id,
+      rating: Number(rating),
+      text,
+    });
+    const summary = await Review.updateCourseRating(course._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: toPublicReview(review),
+      summary,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this course. Edit your review instead.',
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Edit your own review
+exports.updateReview = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { course, review } = found;
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this review',
+      });
+    }
+
+    if (req.body.rating !== undefined) {
+      review.rating = Number(req.body.rating);
+    }
+    if (req.body.text !== undefined) {
+      review.text = req.body.text;
+    }
+    await review.save();
+    const summary = await Review.updateCourseRating(course._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: toPublicReview(review),
+      summary,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete a review (its author, or review:moderate)
+exports.deleteReview = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { course, review } = found;
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !(await hasPermission(req.user, 'review:moderate'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review',
+      });
+    }
+
+    await Review.deleteOne({ _id: review._id });
+    const summary = await Review.updateCourseRating(course._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Instructor reply to a review (replaces any earlier reply)
+exports.replyToReview = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { course, review } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the course instructor can reply to reviews',
+      });
+    }
+
+    const text = (req.body.text || '').trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply text is required',
+      });
+    }
+
+    const isFirstReply = !review.reply || !review.reply.text;
+    review.reply = {
+      text,
+      repliedBy: req.user._id,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    if (isFirstReply) {
+      await createNotificationForUser(
+        review.user,
+        'Instructor Replied',
+        `The instructor replied to your review of "${course.title}"`,
+        'info',
+        `/course-manager.html`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: toPublicReview(review),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Remove the instructor reply
+exports.deleteReply = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { course, review } = found;
+
+    if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the course instructor can remove replies',
+      });
+    }
+
+    review.reply = undefined;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply removed successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Report a review as abusive
+exports.reportReview = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { review } = found;
+
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review',
+      });
+    }
+
+    const alreadyReported = review.reports.some(report => report.user && report.user.toString() === req.user._id.toString());
+    if (!alreadyReported) {
+      review.reports.push({
+        user: req.user._id,
+        reason: req.body.reason,
+      });
+      review.flagged = true;
+      await review.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review reported successfully',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Moderation queue: reported reviews across all courses
+exports.getReportedReviews = async (req, res) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+
+    const reviews = await Review.find({ flagged: true })
+      .populate('user', 'fullName email')
+      .populate('course', 'title courseId')
+      .populate('reports.user', 'fullName email')
+      .sort({ updatedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 100))
+      .skip(parseInt(skip) || 0)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Resolve reports on a review: hide it, or keep it visible ({ hidden: true | false })
+exports.moderateReview = async (req, res) => {
+  try {
+    const found = await findReview(req.params.courseId, req.params.reviewId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+    const { course, review } = found;
+
+    const hidden = Boolean(req.body.hidden);
+    review.hidden = hidden;
+    review.hiddenBy = hidden ? req.user._id : undefined;
+    review.hiddenAt = hidden ? new Date() : undefined;
+    review.flagged = false;
+    await review.save();
+    const summary = await Review.updateCourseRating(course._id);
+
+    res.status(200).json({
+      success: true,
+      message: hidden ? 'Review hidden' : 'Review restored',
+      data: review,
+      summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,419 @@
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const { canManageCourse } = require('./courseController');
+const { createNotificationForUser } = require('./notificationController');
+const { validateCourseStructure } = require('../utils/courseSchedule');
+const {
+  CONTENT_FIELDS,
+  snapshotCourse,
+  assignLessonIds,
+  diffCourseContent,
+  getNextRevisionNumber,
+  ensureBaselineRevision,
+  publishRevision,
+  isReviewRequired,
+} = require('../utils/courseVersioning');
+
+const OPEN_STATUSES = ['draft', 'pending_review'];
+
+// Load the course and check the user may manage it; sends the error response and returns null otherwise
+async function loadManagedCourse(req, res) {
+  const course = await Course.findOne({ courseId: req.params.courseId });
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+  if (!(await canManageCourse(req.user, course, 'course:edit:any'))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this course',
+    });
+    return null;
+  }
+  return course;
+}
+
+function findOpenDraft(course) {
+  return CourseRevision.findOne({ course: course._id, status: { $in: OPEN_STATUSES } });
+}
+
+// Get the open draft with its changes against the live course
+exports.getDraft = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const draft = await findOpenDraft(course);
+
+    res.status(200).json({
+      success: true,
+      data: draft,
+      publishedRevision: course.publishedRevision || null,
+      diff: draft ? diffCourseContent(snapshotCourse(course), draft.content) : null,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Create or update the draft. Body: any course content fields, plus an optional note.
+// Lessons sent with their id keep it; lessons without one are new and get a fresh id.
+exports.saveDraft = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    await ensureBaselineRevision(course, req.user._id);
+
+    let draft = await findOpenDraft(course);
+    if (!draft) {
+      draft = new CourseRevision({
+        course: course._id,
+        courseId: course.courseId,
+        revision: await getNextRevisionNumber(course._id),
+        status: 'draft',
+        content: snapshotCourse(course),
+        lastLessonId: course.lastLessonId || 0,
+        basedOn: course.publishedRevision,
+        createdBy: req.user._id,
+      });
+    }
+
+    const content = { ...draft.content };
+    for (const field of CONTENT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        content[field] = req.body[field];
+      }
+    }
+
+    if (req.body.lessons !== undefined) {
+      const assigned = assignLessonIds(req.body.lessons, Math.max(draft.lastLessonId || 0, course.lastLessonId || 0));
+      if (assigned.error) {
+        return res.status(400).json({
+          success: false,
+          message: assigned.error,
+        });
+      }
+      content.lessons = assigned.lessons;
+      draft.lastLessonId = assigned.lastLessonId;
+      // Reserve the new ids so direct edits to the live course cannot hand them out too
+      await Course.updateOne({ _id: course._id }, { $max: { lastLessonId: assigned.lastLessonId } });
+    }
+
+    const structureError = validateCourseStructure(content.modules, content.lessons);
+    if (structureError) {
+      return res.status(400).json({
+        success: false,
+        message: structureError,
+      });
+    }
+
+    draft.content = content;
+    draft.markModified('content');
+    if (req.body.note !== undefined) {
+      draft.note = req.body.note;
+    }
+    // Editing a draft that is waiting for review takes it back out of the queue
+    if (draft.status === 'pending_review') {
+      draft.status = 'draft';
+      draft.submittedAt = undefined;
+    }
+    await draft.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft saved',
+      data: draft,
+      diff: diffCourseContent(snapshotCourse(course), draft.content),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Throw the draft away
+exports.discardDraft = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const draft = await findOpenDraft(course);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'This course has no draft',
+      });
+    }
+
+    await draft.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft discarded',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Publish the draft, or submit it for admin review when the course requires it
+exports.publishDraft = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const draft = await findOpenDraft(course);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'This course has no draft',
+      });
+    }
+    if (draft.status === 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This draft is already waiting for review',
+      });
+    }
+
+    if (req.body.note !== undefined) {
+      draft.note = req.body.note;
+    }
+
+    if (await isReviewRequired(course, req.user)) {
+      draft.status = 'pending_review';
+      draft.submittedAt = new Date();
+      await draft.save();
+
+      return res.status(202).json({
+        success: true,
+        message: 'Draft submitted for review',
+        data: draft,
+      });
+    }
+
+    await publishRevision(course, draft, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Revision ${draft.revision} published`,
+      data: draft,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Approve or reject a draft waiting for review. Body: { approve: boolean, comment }
+exports.reviewDraft = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const draft = await CourseRevision.findOne({ course: course._id, status: 'pending_review' });
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'This course has no draft waiting for review',
+      });
+    }
+
+    const approve = req.body.approve === true || req.body.approve === 'true';
+    draft.reviewedBy = req.user._id;
+    draft.reviewedAt = new Date();
+    draft.reviewComment = req.body.comment;
+
+    if (approve) {
+      await publishRevision(course, draft, req.user._id);
+    } else {
+      draft.status = 'draft';
+      draft.submittedAt = undefined;
+      await draft.save();
+    }
+
+    await createNotificationForUser(
+      draft.createdBy,
+      approve ? 'Course Changes Approved' : 'Course Changes Need Work',
+      approve
+        ? `Your changes to "${course.title}" were approved and published`
+        : `Your changes to "${course.title}" were sent back${draft.reviewComment ? `: ${draft.reviewComment}` : ''}`,
+      approve ? 'success' : 'warning',
+      `/course-manager.html`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: approve ? `Revision ${draft.revision} approved and published` : 'Draft sent back to the author',
+      data: draft,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Revision history, newest first (without content)
+exports.getRevisions = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const revisions = await CourseRevision.find({ course: course._id })
+      .select('-content')
+      .populate('createdBy', 'fullName email')
+      .populate('publishedBy', 'fullName email')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      publishedRevision: course.publishedRevision || null,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// One revision's content, with what restoring it would change
+exports.getRevision = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const revision = await CourseRevision.findOne({ course: course._id, revision: parseInt(req.params.revision) });
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+      diff: diffCourseContent(snapshotCourse(course), revision.content),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Restore an earlier published revision as a new revision.
+// Lessons keep the ids they had, so student progress on them still counts.
+exports.rollbackToRevision = async (req, res) => {
+  try {
+    const course = await loadManagedCourse(req, res);
+    if (!course) return;
+
+    const target = await CourseRevision.findOne({
+      course: course._id,
+      revision: parseInt(req.params.revision),
+      status: { $in: ['published', 'superseded'] },
+    });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Published revision not found',
+      });
+    }
+
+    const reviewRequired = await isReviewRequired(course, req.user);
+    if (reviewRequired && await findOpenDraft(course)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Publish or discard the current draft before rolling back',
+      });
+    }
+
+    const revision = new CourseRevision({
+      course: course._id,
+      courseId: course.courseId,
+      revision: await getNextRevisionNumber(course._id),
+      status: 'draft',
+      content: target.content,
+      lastLessonId: Math.max(target.lastLessonId || 0, course.lastLessonId || 0),
+      basedOn: course.publishedRevision,
+      rolledBackFrom: target.revision,
+      note: req.body.note || `Rollback to revision ${target.revision}`,
+      createdBy: req.user._id,
+    });
+
+    if (reviewRequired) {
+      revision.status = 'pending_review';
+      revision.submittedAt = new Date();
+      await revision.save();
+
+      return res.status(202).json({
+        success: true,
+        message: 'Rollback submitted for review',
+        data: revision,
+      });
+    }
+
+    await publishRevision(course, revision, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Restored revision ${target.revision} as revision ${revision.revision}`,
+      data: revision,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Admin queue of drafts waiting for review
+exports.getPendingReviews = async (req, res) => {
+  try {
+    const drafts = await CourseRevision.find({ status: 'pending_review' })
+      .select('-content')
+      .populate('createdBy', 'fullName email')
+      .populate('course', 'title courseId')
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: drafts.length,
+      data: drafts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
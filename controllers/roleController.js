@@ -0,0 +1,183 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+const { clearRoleCache } = require('../utils/permissionService');
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) return false;
+  return permissions.every(p => p === ALL_PERMISSIONS || Object.prototype.hasOwnProperty.call(PERMISSIONS, p));
+}
+
+// Get all roles (built-in roles that have no document yet are included with their defaults)
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+    const names = new Set(roles.map(r => r.name));
+
+    Object.entries(DEFAULT_ROLES).forEach(([name, role]) => {
+      if (!names.has(name)) {
+        roles.unshift({ name, ...role, isSystem: true });
+      }
+    });
+
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get the permission catalogue
+exports.getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+  });
+};
+
+// Create a role
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required',
+      });
+    }
+
+    if (!validatePermissions(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array of known permission keys',
+      });
+    }
+
+    const normalizedName = name.trim().toLowerCase();
+    if (DEFAULT_ROLES[normalizedName] || await Role.exists({ name: normalizedName })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await Role.create({ name: normalizedName, description, permissions });
+    clearRoleCache();
+
+    res.status(201).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Update a role's description or permissions
+exports.updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    const name = req.params.name.toLowerCase();
+
+    let role = await Role.findOne({ name });
+    if (!role && DEFAULT_ROLES[name]) {
+      // First edit of a built-in role - materialise it from the defaults
+      role = new Role({ name, ...DEFAULT_ROLES[name], isSystem: true });
+    }
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (!validatePermissions(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be an array of known permission keys',
+        });
+      }
+
+      // Don't let an admin lock themselves out of role management
+      if (req.user.role === name && !permissions.includes(ALL_PERMISSIONS) && !permissions.includes('role:manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot remove role:manage from your own role',
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    clearRoleCache();
+
+    res.status(200).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Delete a custom role (only when no users have it)
+exports.deleteRole = async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (DEFAULT_ROLES[name]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user${userCount !== 1 ? 's' : ''}. Reassign them first.`,
+      });
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const CourseInvitation = require('../models/CourseInvitation');
+const CourseProgress = require('../models/CourseProgress');
+const User = require('../models/User');
+const sendEmail = require('../utils/sendEmail');
+const { COURSE_STAFF_ROLES } = require('../config/permissions');
+const { INVITABLE_ROLES, getCourseStaffRole } = require('../utils/courseStaff');
+const { canManageCourse } = require('./courseController');
+const { createNotificationForUser } = require('./notificationController');
+
+const INVITATION_TTL_DAYS = 7;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildInvitationEmail(course, role, inviterName, acceptUrl) {
+  return `
+    <h1>You're invited to teach on EduWave</h1>
+    <p>${inviterName} invited you to join "${course.title}" as ${COURSE_STAFF_ROLES[role].description.toLowerCase()}.</p>
+    <a href="${acceptUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Accept Invitation</a>
+    <p>Or copy and paste this URL into your browser:</p>
+    <p>${acceptUrl}</p>
+    <p>This invitation will expire in ${INVITATION_TTL_DAYS} days. Sign in (or create an account) with this email address to accept it.</p>
+  `;
+}
+
+// Load the course and check the user's course role (or the given platform permission) allows the action;
+// sends the error response and returns null otherwise
+async function loadCourseFor(req, res, permission, staffPermission) {
+  const course = await Course.findOne({ courseId: req.params.courseId });
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found',
+    });
+    return null;
+  }
+  if (!(await canManageCourse(req.user, course, permission, staffPermission))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this course',
+    });
+    return null;
+  }
+  return course;
+}
+
+// Find a pending invitation from the token in the link
+async function findPendingInvitation(token) {
+  if (!token) return null;
+  const invitation = await CourseInvitation.findOne({ tokenHash: hashToken(String(token)), status: 'pending' });
+  if (!invitation || invitation.expiresAt < new Date()) {
+    return null;
+  }
+  return invitation;
+}
+
+// List the course staff and pending invitations
+exports.getStaff = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId })
+      .populate('instructor', 'fullName email')
+      .populate('staff.user', 'fullName email');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const role = getCourseStaffRole(req.user, course);
+    if (!role && !(await canManageCourse(req.user, course, 'course:edit:any'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the staff of this course',
+      });
+    }
+
+    const canManageStaff = await canManageCourse(req.user, course, 'course:edit:any', 'staff');
+    const invitations = canManageStaff
+      ? await CourseInvitation.find({ course: course._id, status: 'pending', expiresAt: { $gt: new Date() } })
+        .select('-tokenHash')
+        .populate('invitedBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .lean()
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        yourRole: role,
+        roles: COURSE_STAFF_ROLES,
+        staff: [
+          { user: course.instructor, role: 'owner', addedAt: course.createdAt },
+          ...course.staff.map(member => member.toObject()),
+        ],
+        invitations,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Invite someone by email to join the course staff. Body: { email, role: 'co_instructor' | 'ta' }
+exports.inviteStaff = async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res, 'course:edit:any', 'staff');
+    if (!course) return;
+
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid email address',
+      });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${INVITABLE_ROLES.join(', ')}`,
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && getCourseStaffRole(existingUser, course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already on the course staff',
+      });
+    }
+
+    // A new invitation replaces any earlier one to the same address
+    await CourseInvitation.updateMany(
+      { course: course._id, email, status: 'pending' },
+      { $set: { status: 'revoked', respondedBy: req.user._id, respondedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await CourseInvitation.create({
+      course: course._id,
+      courseId: course.courseId,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host').replace(':3000', '')}`;
+    const acceptUrl = `${frontendUrl}/course-invitation.html?token=${token}`;
+    const inviter = await User.findById(req.user._id).select('fullName');
+
+    try {
+      await sendEmail({
+        email,
+        subject: `Invitation to teach "${course.title}" - EduWave`,
+        html: buildInvitationEmail(course, role, inviter ? inviter.fullName : 'A course instructor', acceptUrl),
+      });
+    } catch (error) {
+      console.error('Email sending failed:', error);
+      await invitation.deleteOne();
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send the invitation email. Please try again later.',
+      });
+    }
+
+    if (existingUser) {
+      await createNotificationForUser(
+        existingUser._id,
+        'Course Staff Invitation',
+        `You were invited to join "${course.title}" as ${COURSE_STAFF_ROLES[role].description.toLowerCase()}`,
+        'info',
+        `/course-invitation.html?token=${token}`
+      );
+    }
+
+    const data = invitation.toObject();
+    delete data.tokenHash;
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Withdraw a pending invitation
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res, 'course:edit:any', 'staff');
+    if (!course) return;
+
+    const invitation = await CourseInvitation.findOne({
+      _id: req.params.invitationId,
+      course: course._id,
+      status: 'pending',
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedBy = req.user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Change a staff member's role. Body: { role: 'co_instructor' | 'ta' }
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res, 'course:edit:any', 'staff');
+    if (!course) return;
+
+    const { role } = req.body;
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${INVITABLE_ROLES.join(', ')}`,
+      });
+    }
+
+    const member = course.staff.find(item => item.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'This user is not on the course staff',
+      });
+    }
+
+    member.role = role;
+    await course.save();
+
+    await createNotificationForUser(
+      member.user,
+      'Course Role Changed',
+      `Your role on "${course.title}" is now ${COURSE_STAFF_ROLES[role].description.toLowerCase()}`,
+      'info',
+      `/course-manager.html`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Staff role updated',
+      data: member,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Remove someone from the course staff (staff can also remove themselves)
+exports.removeStaff = async (req, res) => {
+  try {
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !(await canManageCourse(req.user, course, 'course:edit:any', 'staff'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this course',
+      });
+    }
+
+    const member = course.staff.find(item => item.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'This user is not on the course staff',
+      });
+    }
+
+    course.staff.pull(member._id);
+    await course.save();
+
+    if (!isSelf) {
+      await createNotificationForUser(
+        member.user,
+        'Removed From Course Staff',
+        `You are no longer on the staff of "${course.title}"`,
+        'info',
+        null
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the course staff' : 'Staff member removed',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Pending invitations sent to the current user's email
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await CourseInvitation.find({
+      email: req.user.email.toLowerCase(),
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    })
+      .select('-tokenHash')
+      .populate('course', 'title courseId icon')
+      .populate('invitedBy', 'fullName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Accept an invitation - from the emailed link (body: { token }) or from your own list (body: { invitationId })
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = req.body.invitationId
+      ? await CourseInvitation.findOne({
+        _id: req.body.invitationId,
+        email: req.user.email.toLowerCase(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+      })
+      : await findPendingInvitation(req.body.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation is invalid or has expired',
+      });
+    }
+
+    // The link can be forwarded, so only the invited address can use it
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Sign in with that email address to accept it.`,
+      });
+    }
+
+    const course = await Course.findById(invitation.course);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const currentRole = getCourseStaffRole(req.user, course);
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this course',
+      });
+    }
+    if (currentRole) {
+      course.staff.find(item => item.user.toString() === req.user._id.toString()).role = invitation.role;
+    } else {
+      course.staff.push({
+        user: req.user._id,
+        role: invitation.role,
+        addedBy: invitation.invitedBy,
+      });
+    }
+    await course.save();
+
+    invitation.status = 'accepted';
+    invitation.respondedBy = req.user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    await createNotificationForUser(
+      invitation.invitedBy,
+      'Invitation Accepted',
+      `${req.user.fullName} joined "${course.title}" as ${COURSE_STAFF_ROLES[invitation.role].description.toLowerCase()}`,
+      'success',
+      `/course-manager.html`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `You are now ${COURSE_STAFF_ROLES[invitation.role].description.toLowerCase()} on "${course.title}"`,
+      data: {
+        courseId: course.courseId,
+        title: course.title,
+        role: invitation.role,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Decline an invitation (body: { token } or { invitationId })
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = req.body.invitationId
+      ? await CourseInvitation.findOne({
+        _id: req.body.invitationId,
+        email: req.user.email.toLowerCase(),
+        status: 'pending',
+      })
+      : await findPendingInvitation(req.body.token);
+
+    if (!invitation || invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation is invalid or has expired',
+      });
+    }
+
+    invitation.status = 'declined';
+    invitation.respondedBy = req.user._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Enrolment roster with each student's progress (course staff with roster access)
+exports.getRoster = async (req, res) => {
+  try {
+    const course = await loadCourseFor(req, res, 'course:edit:any', 'roster');
+    if (!course) return;
+
+    await course.populate('enrolledStudents.userId', 'fullName email');
+    const progressList = await CourseProgress.find({ courseId: course.courseId })
+      .select('user progress completed completedAt lastAccessedAt')
+      .lean();
+    const progressByUser = new Map(progressList.map(progress => [progress.user.toString(), progress]));
+
+    const roster = course.enrolledStudents
+      .filter(student => student.userId)
+      .map(student => {
+        const progress = progressByUser.get(student.userId._id.toString());
+        return {
+          userId: student.userId._id,
+          fullName: student.userId.fullName,
+          email: student.userId.email,
+          enrolledAt: student.enrolledAt,
+          progress: progress ? progress.progress : 0,
+          completed: progress ? progress.completed : false,
+          completedAt: progress ? progress.completedAt : null,
+          lastAccessedAt: progress ? progress.lastAccessedAt : null,
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      count: roster.length,
+      data: roster,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
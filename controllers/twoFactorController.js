@@ -0,0 +1,355 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const AdminSettings = require('../models/AdminSettings');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('../utils/totp');
+const { getBlock, recordLoginFailure } = require('../utils/rateLimiter');
+const { completeLogin } = require('./authController');
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.trim().toLowerCase().replace(/-/g, ''))
+    .digest('hex');
+}
+
+// Generate one-time recovery codes (shown once, stored hashed)
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashedCodes: codes.map(hashRecoveryCode) };
+}
+
+// Verify the challenge token issued by login and return its payload (or null)
+function verifyChallengeToken(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_2FA_SECRET || 'your-2fa-secret-key');
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve the user for setup/enable: a signed-in user, or a login challenge for mandatory enrolment
+async function resolveEnrollingUser(req) {
+  if (req.user) {
+    return User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+  }
+
+  const decoded = req.body.challengeToken && verifyChallengeToken(req.body.challengeToken, 'enroll');
+  if (!decoded) {
+    return null;
+  }
+  return User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+}
+
+// Check a TOTP code and record its time step so it cannot be used twice
+function consumeTotpCode(user, code) {
+  const step = verifyTotp(user.twoFactor.secret, code, {
+    lastUsedStep: user.twoFactor.lastUsedStep ?? -1,
+  });
+  if (step === null) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+}
+
+// Check a recovery code and remove it from the unused list
+function consumeRecoveryCode(user, recoveryCode) {
+  const hashed = hashRecoveryCode(recoveryCode);
+  const codes = user.twoFactor.recoveryCodes || [];
+  if (!codes.includes(hashed)) {
+    return false;
+  }
+  user.twoFactor.recoveryCodes = codes.filter(c => c !== hashed);
+  return true;
+}
+
+// Get 2FA status for current user
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    const settings = await AdminSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor?.enabled || false,
+        enabledAt: user.twoFactor?.enabledAt,
+        required: settings.twoFactorRequiredRoles.includes(user.role),
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Start 2FA enrolment - generate a secret and provisioning URI for the QR code
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await resolveEnrollingUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Please log in again.',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpAuthUri(secret, user.email, process.env.TOTP_ISSUER || 'EduWave'),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app
+// When called with an enrolment challenge token this also completes the login
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await resolveEnrollingUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Please log in again.',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashedCodes;
+
+    // Mandatory enrolment during login - finish signing in
+    if (!req.user) {
+      return completeLogin(user, req, res, { recoveryCodes: codes });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Disable 2FA (requires password and a current code or recovery code)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and an authentication code or recovery code',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const settings = await AdminSettings.getSettings();
+    if (settings.twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the '${user.role}' role and cannot be disabled`,
+      });
+    }
+
+    const isPasswordMatch = await user.matchPassword(password);
+    const isCodeValid = code ? consumeTotpCode(user, code) : consumeRecoveryCode(user, recoveryCode);
+
+    if (!isPasswordMatch || !isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!consumeTotpCode(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashedCodes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashedCodes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Second login step - exchange challenge token + code (or recovery code) for the token pair
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and an authentication code or recovery code',
+      });
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, 'login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.',
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.',
+      });
+    }
+
+    // Codes share the account's failed-login counter, so guessing codes leads to the same lockout
+    const block = await getBlock('login', 'account', user.email);
+    if (block.blocked) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please wait before trying again.',
+        retryAfter: block.retryAfter,
+        locked: block.locked,
+      });
+    }
+
+    const isValid = code ? consumeTotpCode(user, code) : consumeRecoveryCode(user, recoveryCode);
+    if (!isValid) {
+      await recordLoginFailure(user.email);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await completeLogin(user, req, res, recoveryCode
+      ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+      : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error during two-factor login',
+    });
+  }
+};
@@ -1,6 +1,19 @@
 const CourseProgress = require('../models/CourseProgress');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const { Quiz } = require('../models/Quiz');
+const { issueCertificate } = require('../utils/certificateService');
+const { hasPermission } = require('../utils/permissionService');
+const { getCourseStaffRole } = require('../utils/courseStaff');
+const {
+  getLessonId,
+  getLessonDurationSeconds,
+  findLesson,
+  getEnrollmentDate,
+  getLessonSchedule,
+  buildCourseOutline,
+} = require('../utils/courseSchedule');
+const { evaluateHeartbeat, mergeSegment, getCoverageSeconds } = require('../utils/watchSegments');
 
 // Get or create course progress
 async function getOrCreateProgress(userId, courseId) {
@@ -13,9 +26,8 @@ async function getOrCreateProgress(userId, courseId) {
     }
 
     // Initialize lesson progress array
-    const totalLessons = course.lessons?.length || 1;
-    const lessons = Array.from({ length: totalLessons }, (_, i) => ({
-      lessonId: i + 1,
+    const lessons = (course.lessons || []).map((lesson, i) => ({
+      lessonId: getLessonId(lesson, i),
       completed: false,
     }));
 
@@ -31,25 +43,64 @@ async function getOrCreateProgress(userId, courseId) {
   return progress;
 }
 
+// Drip-release options for this user: their enrolment date, and whether they are course staff
+async function getScheduleOptions(course, user, progress) {
+  const isCourseStaff = getCourseStaffRole(user, course) !== null;
+  return {
+    enrolledAt: getEnrollmentDate(course, user._id, progress),
+    unlockAll: isCourseStaff || await hasPermission(user, 'course:edit:any'),
+  };
+}
+
+// Percentage of released lessons completed - what the student can do right now
+function getAvailableProgress(schedule, progress) {
+  const completedIds = new Set(progress.lessons.filter(l => l.completed).map(l => l.lessonId));
+  const released = schedule.filter(l => l.unlocked);
+  if (released.length === 0) return 0;
+  return Math.round((released.filter(l => completedIds.has(l.lessonId)).length / released.length) * 100);
+}
+
+// The lesson and position the student was last at, for a "continue watching" button
+function getResumePoint(progress) {
+  const latest = progress.lessons
+    .filter(l => l.resumeUpdatedAt)
+    .sort((a, b) => b.resumeUpdatedAt - a.resumeUpdatedAt)[0];
+  return latest ? { lessonId: latest.lessonId, position: latest.resumePosition, updatedAt: latest.resumeUpdatedAt } : null;
+}
+
 // Get course progress
 exports.getProgress = async (req, res) => {
   try {
     const { courseId } = req.params;
 
     const progress = await getOrCreateProgress(req.user._id, courseId);
-    const course = await Course.findOne({ courseId }).select('title lessons');
+    const course = await Course.findOne({ courseId }).select('title lessons modules instructor staff enrolledStudents');
+
+    let outline = null;
+    let schedule = [];
+    if (course) {
+      const scheduleOptions = await getScheduleOptions(course, req.user, progress);
+      schedule = getLessonSchedule(course, scheduleOptions);
+      outline = buildCourseOutline(course, scheduleOptions);
+    }
 
     res.status(200).json({
       success: true,
       data: {
         courseId: progress.courseId,
         progress: progress.progress,
+        availableProgress: getAvailableProgress(schedule, progress),
         completed: progress.completed,
         lessons: progress.lessons,
+        resume: getResumePoint(progress),
         totalWatchTime: progress.totalWatchTime,
+        quizzes: progress.quizzes,
+        quizScore: progress.quizScore,
+        outline,
         course: course ? {
           title: course.title,
           totalLessons: course.lessons?.length || 0,
+          releasedLessons: schedule.filter(l => l.unlocked).length,
         } : null,
       },
     });
@@ -85,14 +136,27 @@ exports.completeLesson = async (req, res) => {
     }
 
     const totalLessons = course.lessons?.length || 1;
-    const lessonIndex = parseInt(lessonId) - 1;
+    const found = findLesson(course, lessonId);
 
-    if (lessonIndex < 0 || lessonIndex >= totalLessons) {
+    if (!found) {
       return res.status(400).json({
         success: false,
         message: 'Invalid lesson ID',
       });
     }
+    const lessonIndex = found.index;
+
+    // Lessons in modules that have not been released yet cannot be completed
+    const schedule = getLessonSchedule(course, await getScheduleOptions(course, req.user, progress));
+    if (!schedule[lessonIndex].unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This lesson has not been released yet',
+        data: {
+          releaseAt: schedule[lessonIndex].releaseAt,
+        },
+      });
+    }
 
     // Find or create lesson progress
     let lessonProgress = progress.lessons.find(l => l.lessonId === parseInt(lessonId));
@@ -101,26 +165,33 @@ exports.completeLesson = async (req, res) => {
       progress.lessons.push(lessonProgress);
     }
 
-    // Get lesson duration to check 50% requirement
-    const lesson = course.lessons[lessonIndex];
-    const lessonDuration = lesson?.duration || '0';
-    
-    // Parse duration string (e.g., "1 hour", "30 mins", "45 minutes") to seconds
-    let lessonDurationSeconds = 0;
-    const durationLower = lessonDuration.toLowerCase();
-    if (durationLower.includes('hour')) {
-      const hours = parseFloat(durationLower) || 0;
-      lessonDurationSeconds = hours * 3600;
-    } else if (durationLower.includes('min')) {
-      const mins = parseFloat(durationLower) || 0;
-      lessonDurationSeconds = mins * 60;
-    } else {
-      // Try to parse as seconds if it's just a number
-      lessonDurationSeconds = parseFloat(lessonDuration) || 0;
+    // Quizzes marked requiredToComplete must be passed first
+    if (!lessonProgress.completed) {
+      const requiredQuizzes = await Quiz.find({
+        courseId,
+        lessonId: parseInt(lessonId),
+        requiredToComplete: true,
+      }).select('_id title passingScore');
+      const passedQuizzes = new Set(progress.quizzes.filter(q => q.passed).map(q => q.quiz.toString()));
+      const pendingQuizzes = requiredQuizzes.filter(quiz => !passedQuizzes.has(quiz._id.toString()));
+
+      if (pendingQuizzes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must pass the quiz for this lesson before completing it',
+          data: {
+            quizzes: pendingQuizzes,
+          },
+        });
+      }
     }
 
-    // Check if user watched at least 50% of the lesson
-    const watchTime = lessonProgress.watchTime || 0;
+    // Get lesson duration to check 50% requirement
+    const lessonDurationSeconds = getLessonDurationSeconds(found.lesson);
+
+    // Check if user watched at least 50% of the lesson - unique coverage from heartbeats,
+    // so rewatching the same part or reporting a made-up watch time does not count
+    const watchTime = getCoverageSeconds(lessonProgress.watchedSegments || []);
     const requiredWatchTime = lessonDurationSeconds * 0.5; // 50% of lesson duration
     const hasWatchedEnough = watchTime >= requiredWatchTime;
 
@@ -156,14 +227,27 @@ exports.completeLesson = async (req, res) => {
       });
     }
 
-    // Calculate overall progress
-    const completedLessons = progress.lessons.filter(l => l.completed).length;
+    // Calculate overall progress against every lesson in the course - only lessons that
+    // still exist count, and unreleased lessons cannot be complete, so the course can only
+    // reach 100% once everything has been released
+    const completedIds = new Set(progress.lessons.filter(l => l.completed).map(l => l.lessonId));
+    const completedLessons = schedule.filter(l => completedIds.has(l.lessonId)).length;
     progress.progress = Math.round((completedLessons / totalLessons) * 100);
 
     // Check if course is completed
-    if (progress.progress >= 100 && !progress.completed) {
+    let certificate = null;
+    const courseCompleted = progress.progress >= 100 && !progress.completed;
+    if (courseCompleted) {
       progress.completed = true;
       progress.completedAt = new Date();
+    }
+
+    progress.lastAccessedAt = new Date();
+    await progress.save();
+
+    // Certificate and completion points only once the completion is saved
+    if (courseCompleted) {
+      certificate = await issueCertificate(req.user._id, course, progress.completedAt);
 
       // Award points for course completion
       const user = await User.findById(req.user._id);
@@ -179,15 +263,15 @@ exports.completeLesson = async (req, res) => {
       }
     }
 
-    progress.lastAccessedAt = new Date();
-    await progress.save();
-
     res.status(200).json({
       success: true,
       data: {
         progress: progress.progress,
+        availableProgress: getAvailableProgress(schedule, progress),
         completed: progress.completed,
         lessonCompleted: lessonProgress.completed,
+        quizScore: progress.quizScore,
+        certificate: certificate ? { serial: certificate.serial } : null,
         pointsAwarded,
       },
     });
@@ -199,44 +283,115 @@ exports.completeLesson = async (req, res) => {
   }
 };
 
-// Update watch time
-exports.updateWatchTime = async (req, res) => {
+// Record a playback heartbeat. Body: { lessonId, position, seeked }
+// The player should send one every 10-30 seconds while playing (and straight after a seek, with
+// seeked: true). Older players post their current time as watchTime, which is read as the position.
+exports.recordHeartbeat = async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { lessonId, watchTime } = req.body;
+    const { lessonId } = req.body;
+    const position = Number(req.body.position !== undefined ? req.body.position : req.body.watchTime);
 
-    if (!lessonId || watchTime === undefined) {
+    if (!lessonId || !Number.isFinite(position) || position < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Lesson ID and watch time are required',
+        message: 'Lesson ID and playback position are required',
+      });
+    }
+
+    const course = await Course.findOne({ courseId }).select('lessons modules instructor staff enrolledStudents');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found',
+      });
+    }
+
+    const found = findLesson(course, lessonId);
+    if (!found) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lesson ID',
       });
     }
 
     const progress = await getOrCreateProgress(req.user._id, courseId);
 
+    // Watch time only counts for released lessons
+    const schedule = getLessonSchedule(course, await getScheduleOptions(course, req.user, progress));
+    if (!schedule[found.index].unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This lesson has not been released yet',
+        data: {
+          releaseAt: schedule[found.index].releaseAt,
+        },
+      });
+    }
+
+    const lessonDurationSeconds = getLessonDurationSeconds(found.lesson);
+    if (lessonDurationSeconds > 0 && position > lessonDurationSeconds + 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Playback position is past the end of the lesson',
+      });
+    }
+
     // Find or create lesson progress
-    let lessonProgress = progress.lessons.find(l => l.lessonId === parseInt(lessonId));
+    const lessonKey = getLessonId(found.lesson, found.index);
+    let lessonProgress = progress.lessons.find(l => l.lessonId === lessonKey);
     if (!lessonProgress) {
-      lessonProgress = { lessonId: parseInt(lessonId), completed: false };
-      progress.lessons.push(lessonProgress);
+      progress.lessons.push({ lessonId: lessonKey, completed: false, watchTime: 0 });
+      lessonProgress = progress.lessons[progress.lessons.length - 1];
     }
 
-    // Update watch time
-    lessonProgress.watchTime = parseInt(watchTime);
-    lessonProgress.lastWatchedAt = new Date();
+    const now = new Date();
+    const result = evaluateHeartbeat(lessonProgress.lastHeartbeat, position, now, {
+      seeked: req.body.seeked === true || req.body.seeked === 'true',
+    });
+
+    if (result.segment) {
+      lessonProgress.watchedSegments = mergeSegment(lessonProgress.watchedSegments || [], result.segment, now);
+      lessonProgress.watchTime = getCoverageSeconds(lessonProgress.watchedSegments);
+      lessonProgress.lastWatchedAt = now;
+    }
+    if (result.rejected) {
+      lessonProgress.rejectedHeartbeats = (lessonProgress.rejectedHeartbeats || 0) + 1;
+    }
+    // The next interval starts here either way, so a rejected jump cannot be claimed later.
+    // Heartbeats sent too soon leave the previous one as the start, so they cannot add up.
+    if (!result.ignored) {
+      lessonProgress.lastHeartbeat = { position, at: now };
+    }
+    lessonProgress.resumePosition = position;
+    lessonProgress.resumeUpdatedAt = now;
 
     // Update total watch time
     progress.totalWatchTime = progress.lessons.reduce((sum, l) => sum + (l.watchTime || 0), 0);
-    progress.lastAccessedAt = new Date();
+    progress.lastAccessedAt = now;
 
     await progress.save();
 
+    const data = {
+      watchTime: lessonProgress.watchTime,
+      totalWatchTime: progress.totalWatchTime,
+      coverage: lessonDurationSeconds > 0
+        ? Math.min(100, Math.round((lessonProgress.watchTime / lessonDurationSeconds) * 100))
+        : null,
+      segments: lessonProgress.watchedSegments.map(({ start, end }) => ({ start, end })),
+    };
+
+    if (result.rejected) {
+      return res.status(422).json({
+        success: false,
+        message: result.rejected,
+        data,
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: {
-        watchTime: lessonProgress.watchTime,
-        totalWatchTime: progress.totalWatchTime,
-      },
+      data,
     });
   } catch (error) {
     res.status(400).json({
@@ -267,3 +422,7 @@ exports.getUserProgress = async (req, res) => {
   }
 };
 
+
+// Export helper functions for use in other controllers
+exports.getOrCreateProgress = getOrCreateProgress;
+exports.getScheduleOptions = getScheduleOptions;
@@ -1,5 +1,37 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getRolePermissions } = require('../utils/permissionService');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const { getActiveImpersonation, getBlockReason, auditImpersonatedRequest } = require('../utils/impersonationService');
+const { isSessionActive } = require('../utils/sessionService');
+
+// Access tokens carry the user's token version at signing time (tv)
+function isTokenVersionCurrent(decoded, user) {
+  return (decoded.tv || 0) === (user.tokenVersion || 0);
+}
+
+// Access tokens carry the device session that issued them (sid); revoking that session signs the device out.
+// Tokens issued before sessions existed have no sid.
+async function isTokenSessionActive(decoded) {
+  return !decoded.sid || isSessionActive(decoded.sid);
+}
+
+// Mark req.user as being viewed by an admin and audit the request.
+// Returns the reason the request is blocked, or null if it may continue.
+function applyImpersonation(req, res, impersonation) {
+  req.user.impersonated = true;
+  req.user.impersonatedBy = impersonation.admin;
+
+  // protect can run twice on one request - only audit it once
+  const alreadyApplied = Boolean(req.impersonation);
+  req.impersonation = impersonation;
+
+  const blockReason = getBlockReason(impersonation, req);
+  if (!alreadyApplied) {
+    auditImpersonatedRequest(impersonation, req, res, Boolean(blockReason));
+  }
+  return blockReason;
+}
 
 // Protect routes - verify JWT access token
 exports.protect = async (req, res, next) => {
@@ -24,6 +56,7 @@ exports.protect = async (req, res, next) => {
 
     // Get user from token
     req.user = await User.findById(decoded.id);
+    req.sessionId = decoded.sid;
 
     if (!req.user) {
       return res.status(401).json({
@@ -32,6 +65,48 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Impersonation tokens are valid only while the admin's impersonation is active
+    if (decoded.imp) {
+      const impersonation = await getActiveImpersonation(decoded.imp, decoded.id);
+      if (!impersonation) {
+        req.user = undefined;
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session has ended',
+          impersonationEnded: true,
+        });
+      }
+
+      const blockReason = applyImpersonation(req, res, impersonation);
+      if (blockReason) {
+        return res.status(403).json({
+          success: false,
+          message: blockReason,
+          impersonated: true,
+        });
+      }
+      return next();
+    }
+
+    // Reject tokens issued before a logout, password change or role change
+    if (!isTokenVersionCurrent(decoded, req.user)) {
+      req.user = undefined;
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please refresh your session.',
+        expired: true,
+      });
+    }
+
+    // Reject tokens of a device that was signed out (logout or revoked from the sessions list)
+    if (!(await isTokenSessionActive(decoded))) {
+      req.user = undefined;
+      return res.status(401).json({
+        success: false,
+        message: 'This session has been signed out. Please log in again.',
+      });
+    }
+
     next();
   } catch (error) {
     // Provide specific error message for expired tokens
@@ -69,9 +144,30 @@ exports.optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET || 'your-access-secret-key');
 
     // Get user from token
-    req.user = await User.findById(decoded.id);
-    
-    // Continue even if user not found (optional auth)
+    const user = await User.findById(decoded.id);
+
+    if (user && decoded.imp) {
+      // Ended impersonations fall back to an anonymous request
+      const impersonation = await getActiveImpersonation(decoded.imp, decoded.id);
+      if (impersonation) {
+        req.user = user;
+        const blockReason = applyImpersonation(req, res, impersonation);
+        if (blockReason) {
+          return res.status(403).json({
+            success: false,
+            message: blockReason,
+            impersonated: true,
+          });
+        }
+      }
+      return next();
+    }
+
+    // Continue even if user not found or token revoked (optional auth)
+    if (user && isTokenVersionCurrent(decoded, user) && await isTokenSessionActive(decoded)) {
+      req.user = user;
+      req.sessionId = decoded.sid;
+    }
     next();
   } catch (error) {
     next();
@@ -100,5 +196,36 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Require permissions - check the user's role grants every listed permission
+// Usage: requirePermission('premium:configure') or requirePermission('user:view', 'user:manage')
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route',
+      });
+    }
 
-
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const missing = granted.includes(ALL_PERMISSIONS)
+        ? []
+        : permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `User role '${req.user.role}' is not authorized to access this route. Missing permissions: ${missing.join(', ')}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  };
+};
@@ -0,0 +1,80 @@
+const { consume, getBlock, getLoginProtection } = require('../utils/rateLimiter');
+
+function tooManyRequests(res, retryAfter, message, extra = {}) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter,
+    ...extra,
+  });
+}
+
+// Limit login attempts per IP, and reject accounts that are locked out or backing off.
+// Failures themselves are recorded by the controller once the credentials have been checked.
+exports.limitLoginAttempts = async (req, res, next) => {
+  try {
+    const options = await getLoginProtection();
+
+    const ipResult = await consume('login', 'ip', req.ip, {
+      limit: options.ipMaxAttempts,
+      windowMs: options.ipWindowMs,
+    });
+    if (!ipResult.allowed) {
+      return tooManyRequests(res, ipResult.retryAfter, 'Too many login attempts from this network. Please try again later.');
+    }
+
+    const email = req.body.email;
+    if (email) {
+      const block = await getBlock('login', 'account', email);
+      if (block.blocked) {
+        return tooManyRequests(
+          res,
+          block.retryAfter,
+          block.locked
+            ? 'This account is temporarily locked because of too many failed login attempts. Please try again later.'
+            : 'Too many failed login attempts. Please wait before trying again.',
+          { locked: block.locked }
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Don't lock everyone out if the counters cannot be read
+    console.error('Login rate limit error:', error);
+    next();
+  }
+};
+
+// Limit account emails (password reset, verification) per IP and per address
+exports.limitEmailRequests = async (req, res, next) => {
+  try {
+    const options = await getLoginProtection();
+    const hourMs = 60 * 60 * 1000;
+
+    const ipResult = await consume('email', 'ip', req.ip, {
+      limit: options.emailMaxPerHour * 5,
+      windowMs: hourMs,
+    });
+    if (!ipResult.allowed) {
+      return tooManyRequests(res, ipResult.retryAfter, 'Too many email requests from this network. Please try again later.');
+    }
+
+    const email = req.body.email;
+    if (email) {
+      const accountResult = await consume('email', 'account', email, {
+        limit: options.emailMaxPerHour,
+        windowMs: hourMs,
+      });
+      if (!accountResult.allowed) {
+        return tooManyRequests(res, accountResult.retryAfter, 'Too many emails requested for this address. Please try again later.');
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Email rate limit error:', error);
+    next();
+  }
+};
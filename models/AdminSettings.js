@@ -17,6 +17,96 @@ const adminSettingsSchema = new mongoose.Schema({
     type: Number,
     default: 2, // backward compatibility
   },
+  // Drafts of public courses (no access code) need approval from a course:review user before publishing
+  courseReviewRequired: {
+    type: Boolean,
+    default: false,
+  },
+  // Roles that must use two-factor authentication to sign in
+  twoFactorRequiredRoles: {
+    type: [String],
+    default: [],
+  },
+  // Brute-force protection for login and account emails
+  loginProtection: {
+    ipMaxAttempts: {
+      type: Number,
+      default: 20, // login attempts per IP per window
+      min: 1,
+    },
+    ipWindowMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+    },
+    accountMaxFailures: {
+      type: Number,
+      default: 5, // failed logins before the account is locked
+      min: 1,
+    },
+    failureWindowMinutes: {
+      type: Number,
+      default: 60, // failures older than this are forgotten
+      min: 1,
+    },
+    lockoutMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+    },
+    backoffBaseSeconds: {
+      type: Number,
+      default: 2, // delay after the 2nd failure, doubled for each further failure
+      min: 0,
+    },
+    backoffMaxSeconds: {
+      type: Number,
+      default: 60,
+      min: 0,
+    },
+    emailMaxPerHour: {
+      type: Number,
+      default: 3, // password reset / verification emails per account per hour
+      min: 1,
+    },
+  },
+  // Rules applied whenever a password is set (utils/passwordPolicy)
+  passwordPolicy: {
+    minLength: {
+      type: Number,
+      default: 8,
+      min: 6,
+    },
+    maxLength: {
+      type: Number,
+      default: 72, // bcrypt ignores anything after 72 bytes
+      min: 40,
+    },
+    requireUppercase: {
+      type: Boolean,
+      default: true,
+    },
+    requireLowercase: {
+      type: Boolean,
+      default: true,
+    },
+    requireNumber: {
+      type: Boolean,
+      default: true,
+    },
+    requireSymbol: {
+      type: Boolean,
+      default: false,
+    },
+    disallowPersonalInfo: {
+      type: Boolean,
+      default: true, // reject passwords containing the email name or the user's name
+    },
+    checkBreached: {
+      type: Boolean,
+      default: true, // reject passwords found in the breached-password hash file
+    },
+  },
   updatedAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs').promises;
+
+const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: [true, 'Rubric criterion is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const assignmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: [true, 'Assignment title is required'],
+    trim: true,
+  },
+  // Instructions for students
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Optional lesson this assignment belongs to (course.lessons[].id)
+  lessonId: {
+    type: Number,
+    min: 1,
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required'],
+  },
+  // Sum of the rubric when there is one
+  maxPoints: {
+    type: Number,
+    default: 100,
+    min: 0,
+  },
+  rubric: [rubricCriterionSchema],
+  // Late submission rules
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true,
+  },
+  latePenaltyPerDay: {
+    type: Number, // percentage of the score lost per day (or part day) late
+    default: 10,
+    min: 0,
+    max: 100,
+  },
+  // Submissions more than this many days late are refused (0 = no limit)
+  lateCutoffDays: {
+    type: Number,
+    default: 7,
+    min: 0,
+  },
+  // Students can replace their submission until it is graded
+  allowResubmission: {
+    type: Boolean,
+    default: true,
+  },
+  maxFiles: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 10,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  files: {
+    type: [{
+      name: {
+        type: String,
+        required: true,
+      },
+      path: {
+        type: String,
+        required: true,
+      },
+      size: {
+        type: Number,
+        default: 0,
+      },
+      type: {
+        type: String,
+        default: '',
+      },
+    }],
+    default: [],
+  },
+  // Note from the student
+  comment: {
+    type: String,
+    trim: true,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Number of times the student has submitted
+  submissionCount: {
+    type: Number,
+    default: 1,
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  lateDays: {
+    type: Number,
+    default: 0,
+  },
+  // Penalty that applies when graded, from the late rules at submission time
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted',
+  },
+  grade: {
+    rubricScores: [{
+      criterionId: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      points: {
+        type: Number,
+        default: 0,
+      },
+      comment: {
+        type: String,
+        trim: true,
+      },
+    }],
+    rawScore: {
+      type: Number,
+    },
+    latePenaltyPercent: {
+      type: Number,
+      default: 0,
+    },
+    score: {
+      type: Number,
+    },
+    maxPoints: {
+      type: Number,
+    },
+    feedback: {
+      type: String,
+      trim: true,
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    gradedAt: {
+      type: Date,
+    },
+  },
+  // Students only see their grade once it is released
+  released: {
+    type: Boolean,
+    default: false,
+  },
+  releasedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+assignmentSchema.index({ courseId: 1, dueAt: 1 }); // For listing a course's assignments
+submissionSchema.index({ assignment: 1, user: 1 }, { unique: true });
+submissionSchema.index({ courseId: 1, user: 1 }); // For the gradebook
+
+assignmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+submissionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Delete submissions and their uploaded files (stored under private-uploads/submissions)
+submissionSchema.statics.deleteWithFiles = async function(filter) {
+  const submissions = await this.find(filter).select('files').lean();
+  for (const submission of submissions) {
+    for (const file of submission.files) {
+      try {
+        await fs.unlink(path.join(__dirname, '..', file.path));
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+  return this.deleteMany(filter);
+};
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+const AssignmentSubmission = mongoose.model('AssignmentSubmission', submissionSchema);
+
+module.exports = { Assignment, AssignmentSubmission };
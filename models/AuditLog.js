@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (currently admin impersonation)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['impersonation_start', 'impersonation_end', 'impersonated_request'],
+    required: true,
+  },
+  // Who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Whose account was affected
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+  },
+  method: {
+    type: String,
+  },
+  path: {
+    type: String,
+  },
+  statusCode: {
+    type: Number,
+  },
+  // Request rejected because impersonation does not allow it
+  blocked: {
+    type: Boolean,
+    default: false,
+  },
+  details: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 }); // For listing newest first
+auditLogSchema.index({ actor: 1, createdAt: -1 }); // For filtering by admin
+auditLogSchema.index({ targetUser: 1, createdAt: -1 }); // For filtering by affected user
+auditLogSchema.index({ impersonation: 1, createdAt: 1 }); // For replaying one impersonation session
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Issued when a student completes a course. Names are copied at issue time so the
+// certificate still verifies after a course or profile is renamed.
+const certificateSchema = new mongoose.Schema({
+  serial: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  studentName: {
+    type: String,
+    required: true,
+  },
+  courseTitle: {
+    type: String,
+    required: true,
+  },
+  instructorName: {
+    type: String,
+  },
+  // Length of the course content when the certificate was issued, in seconds
+  courseDurationSeconds: {
+    type: Number,
+    default: 0,
+  },
+  completedAt: {
+    type: Date,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+certificateSchema.index({ user: 1, issuedAt: -1 }); // For listing a user's certificates
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { parseDuration } = require('../utils/duration');
+
+// Lesson durations are stored in seconds; values in other formats are converted when set.
+// Anything parseDuration does not understand is kept as is, so it fails the Number cast.
+function toDurationSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = parseDuration(value);
+  return seconds === null ? value : seconds;
+}
 
 const courseSchema = new mongoose.Schema({
   courseId: {
@@ -22,6 +33,27 @@ const courseSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Co-instructors and teaching assistants (roles in config/permissions.js); the instructor above is the owner
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['co_instructor', 'ta'],
+      required: true,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -81,25 +113,97 @@ const courseSchema = new mongoose.Schema({
     type: String,
     enum: ['Beginner', 'Intermediate', 'Advanced'],
   },
+  // Modules group lessons and control when they are released (drip scheduling)
+  modules: [{
+    id: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, 'Module title is required'],
+      trim: true,
+    },
+    description: String,
+    order: Number,
+    sections: [{
+      id: {
+        type: Number,
+        required: true,
+      },
+      title: {
+        type: String,
+        required: [true, 'Section title is required'],
+        trim: true,
+      },
+      order: Number,
+    }],
+    // immediate: available on enrolment, date: on releaseAt, after_enrollment: releaseAfterDays after enrolling
+    releaseType: {
+      type: String,
+      enum: ['immediate', 'date', 'after_enrollment'],
+      default: 'immediate',
+    },
+    releaseAt: {
+      type: Date,
+      required: [function() { return this.releaseType === 'date'; }, 'releaseAt is required for date releases'],
+    },
+    releaseAfterDays: {
+      type: Number,
+      min: 0,
+      required: [function() { return this.releaseType === 'after_enrollment'; }, 'releaseAfterDays is required for after_enrollment releases'],
+    },
+  }],
   lessons: [{
-    id: Number,
+    id: Number, // Stable lesson id (CourseProgress.lessons[].lessonId) - kept across edits and revisions
     title: String,
     videoUrl: String,
-    duration: String,
+    duration: {
+      type: Number, // in seconds
+      min: 0,
+      set: toDurationSeconds,
+    },
     description: String,
     source: String,
     sourceUrl: String,
     order: Number,
+    moduleId: Number, // Lessons without a module are always available
+    sectionId: Number,
   }],
   totalLessons: {
     type: Number,
     default: 0,
   },
+  // Sum of the lesson durations, in seconds
+  totalDurationSeconds: {
+    type: Number,
+    default: 0,
+  },
+  // Highest lesson id ever issued, so ids of removed lessons are never reused
+  lastLessonId: {
+    type: Number,
+    default: 0,
+  },
+  // Revision number (CourseRevision) that the live course content comes from
+  publishedRevision: {
+    type: Number,
+  },
   objectives: [String],
   prerequisites: {
     type: String,
     default: 'None',
   },
+  // Courses (courseId) a student should complete before this one; prerequisites above is the free-text description
+  prerequisiteCourses: {
+    type: [String],
+    default: [],
+  },
+  // What enrolling with unmet prerequisites does: warn lets the student enrol, block refuses
+  prerequisiteMode: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn',
+  },
   contentType: {
     type: String,
     enum: ['curated', 'original', 'mixed'],
@@ -113,10 +217,15 @@ const courseSchema = new mongoose.Schema({
     enum: ['fair-use', 'cc-by', 'cc-by-sa', 'mit-ocw', 'youtube-embed'],
     default: 'fair-use',
   },
+  // Average of visible reviews, kept up to date by Review.updateCourseRating
   rating: {
     type: Number,
     default: 0,
   },
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
   studentsEnrolled: {
     type: Number,
     default: 0,
@@ -135,6 +244,19 @@ const courseSchema = new mongoose.Schema({
       default: 0,
     },
   }],
+  // Branding printed on completion certificates
+  certificate: {
+    logoPath: String,
+    signaturePath: String,
+    signatoryName: {
+      type: String,
+      trim: true,
+    },
+    signatoryTitle: {
+      type: String,
+      trim: true,
+    },
+  },
   isPublished: {
     type: Boolean,
     default: true,
@@ -154,12 +276,56 @@ courseSchema.pre('save', function(next) {
   next();
 });
 
+// Setters do not run when documents are loaded, so durations still stored as text (courses
+// scripts/normalizeLessonDurations.js has not migrated yet) are converted here. Text that cannot
+// be read is dropped, as the migration does, rather than failing every later save.
+courseSchema.pre('init', function(doc) {
+  for (const lesson of doc.lessons || []) {
+    if (typeof lesson.duration === 'string') {
+      lesson.duration = parseDuration(lesson.duration);
+    }
+  }
+});
+
+courseSchema.pre('save', function(next) {
+  this.totalDurationSeconds = (this.lessons || []).reduce((sum, lesson) => sum + (lesson.duration || 0), 0);
+  next();
+});
+
+// Give every lesson a stable id. Courses saved before lesson ids existed used the lesson's
+// position (from 1) as its id, so that is where a course that never had ids starts.
+courseSchema.pre('save', function(next) {
+  const lessons = this.lessons || [];
+  const positional = !this.lastLessonId && lessons.every(lesson => lesson.id === undefined || lesson.id === null);
+  let lastLessonId = Math.max(this.lastLessonId || 0, ...lessons.map(lesson => lesson.id || 0));
+  const seen = new Set();
+
+  for (const [index, lesson] of lessons.entries()) {
+    if (lesson.id === undefined || lesson.id === null) {
+      lesson.id = positional ? index + 1 : ++lastLessonId;
+    }
+    if (seen.has(lesson.id)) {
+      return next(new Error(`Lesson id ${lesson.id} is used by more than one lesson`));
+    }
+    seen.add(lesson.id);
+  }
+
+  this.lastLessonId = Math.max(lastLessonId, ...seen);
+  next();
+});
+
 // Add database indexes for frequently queried fields (CRITICAL for performance)
 courseSchema.index({ category: 1, createdAt: -1 }); // For category filtering and sorting
 courseSchema.index({ difficulty: 1 }); // For difficulty filtering
 courseSchema.index({ instructor: 1 }); // For finding courses by instructor
 courseSchema.index({ isPublished: 1 }); // For filtering published courses
+courseSchema.index({ 'staff.user': 1 }); // For finding courses a user teaches on
+courseSchema.index({ prerequisiteCourses: 1 }); // For finding courses that depend on a course
 courseSchema.index({ createdAt: -1 }); // For sorting by date
+courseSchema.index(
+  { title: 'text', description: 'text', objectives: 'text', 'lessons.title': 'text' },
+  { name: 'course_text_search', weights: { title: 10, objectives: 4, 'lessons.title': 3, description: 2 } }
+); // For catalog search
 
 module.exports = mongoose.model('Course', courseSchema);
 
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Invitation by email to join a course's staff. Only a hash of the link token is stored.
+const courseInvitationSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ['co_instructor', 'ta'],
+    required: true,
+  },
+  // sha256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  respondedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+courseInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+courseInvitationSchema.index({ course: 1, status: 1 }); // For listing a course's pending invitations
+courseInvitationSchema.index({ email: 1, status: 1 }); // For a user's pending invitations
+
+module.exports = mongoose.model('CourseInvitation', courseInvitationSchema);
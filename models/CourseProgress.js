@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+// A point in a lesson the student wants to come back to
+const lessonBookmarkSchema = new mongoose.Schema({
+  position: {
+    type: Number, // seconds
+    required: true,
+    min: 0,
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const lessonNoteSchema = new mongoose.Schema({
+  position: {
+    type: Number, // seconds
+    required: true,
+    min: 0,
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const lessonProgressSchema = new mongoose.Schema({
   lessonId: {
     type: Number,
@@ -12,6 +53,7 @@ const lessonProgressSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
   },
+  // Unique seconds of the lesson watched - the total length of watchedSegments
   watchTime: {
     type: Number, // in seconds
     default: 0,
@@ -19,8 +61,80 @@ const lessonProgressSchema = new mongoose.Schema({
   lastWatchedAt: {
     type: Date,
   },
+  // Parts of the lesson watched (playback positions in seconds), merged so they never overlap
+  watchedSegments: [{
+    start: {
+      type: Number,
+      required: true,
+    },
+    end: {
+      type: Number,
+      required: true,
+    },
+    firstWatchedAt: {
+      type: Date,
+    },
+    lastWatchedAt: {
+      type: Date,
+    },
+    _id: false,
+  }],
+  // Previous heartbeat (server time), where the next watched interval starts
+  lastHeartbeat: {
+    position: {
+      type: Number,
+    },
+    at: {
+      type: Date,
+    },
+  },
+  // Heartbeats refused for moving faster than playback allows
+  rejectedHeartbeats: {
+    type: Number,
+    default: 0,
+  },
+  // Where playback should pick up next time (seconds)
+  resumePosition: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  resumeUpdatedAt: {
+    type: Date,
+  },
+  bookmarks: [lessonBookmarkSchema],
+  // Private to the student
+  notes: [lessonNoteSchema],
 });
 
+// Best result per quiz, kept in sync by the quiz controller
+const quizResultSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  lessonId: {
+    type: Number,
+    required: true,
+  },
+  bestScore: {
+    type: Number, // percentage
+    default: 0,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+  passedAt: {
+    type: Date,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
 const courseProgressSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +151,12 @@ const courseProgressSchema = new mongoose.Schema({
     required: true,
   },
   lessons: [lessonProgressSchema],
+  quizzes: [quizResultSchema],
+  // Average of the best scores across quizzes taken
+  quizScore: {
+    type: Number,
+    default: 0,
+  },
   progress: {
     type: Number,
     default: 0,
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A numbered version of a course's content. At most one revision per course is open
+// (draft or pending_review); the one the live course was built from is published.
+const courseRevisionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'pending_review', 'published', 'superseded'],
+    default: 'draft',
+  },
+  // Snapshot of the course content fields (see utils/courseVersioning CONTENT_FIELDS)
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Highest lesson id handed out to this draft's new lessons
+  lastLessonId: {
+    type: Number,
+    default: 0,
+  },
+  // Published revision this draft started from
+  basedOn: {
+    type: Number,
+  },
+  // Revision whose content this one restored
+  rolledBackFrom: {
+    type: Number,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  submittedAt: {
+    type: Date,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  publishedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+courseRevisionSchema.index({ course: 1, revision: -1 }, { unique: true });
+courseRevisionSchema.index({ course: 1, status: 1 }); // For finding the open draft
+courseRevisionSchema.index({ status: 1, submittedAt: 1 }); // For the admin review queue
+
+courseRevisionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// An admin viewing the app as another user. Impersonation access tokens point
+// at this record, so ending it cuts the token off immediately.
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  // Read-only unless the admin explicitly allowed writes when starting
+  allowWrites: {
+    type: Boolean,
+    default: false,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+impersonationSchema.index({ admin: 1, createdAt: -1 }); // For an admin's impersonation history
+impersonationSchema.index({ targetUser: 1, createdAt: -1 }); // For who viewed a user's account
+
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Captions for one lesson in one language, stored normalised to WebVTT
+const lessonCaptionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  lessonId: {
+    type: Number, // Stable lesson id (Course.lessons[].id)
+    required: true,
+  },
+  language: {
+    type: String, // BCP 47 tag, e.g. "en" or "pt-BR"
+    required: true,
+    default: 'en',
+  },
+  label: {
+    type: String, // Shown in the player's caption menu
+    trim: true,
+    maxlength: 100,
+  },
+  // Format of the uploaded file
+  sourceFormat: {
+    type: String,
+    enum: ['vtt', 'srt'],
+    required: true,
+  },
+  vtt: {
+    type: String,
+    required: true,
+  },
+  // Cue timings with plain text, for jump-to search
+  cues: [{
+    start: {
+      type: Number, // seconds
+      required: true,
+    },
+    end: {
+      type: Number, // seconds
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    _id: false,
+  }],
+  // All cue text, for the text index
+  text: {
+    type: String,
+    default: '',
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+lessonCaptionSchema.index({ courseId: 1, lessonId: 1, language: 1 }, { unique: true });
+// language_override points at a field that does not exist: "language" holds caption tags
+// MongoDB's text search does not know (it would reject e.g. "pt-BR")
+lessonCaptionSchema.index(
+  { text: 'text' },
+  { name: 'caption_text_search', language_override: 'textSearchLanguage' }
+); // For catalog search in what lessons say
+
+lessonCaptionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('LessonCaption', lessonCaptionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Pending passwordless sign-in: either a magic link token or a six-digit email code.
+// Only hashes are stored; a code is deleted once used, expired or out of attempts.
+const loginCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  method: {
+    type: String,
+    enum: ['link', 'code'],
+    required: true,
+  },
+  // sha256 of the link token or of the six-digit code
+  secretHash: {
+    type: String,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  ip: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+loginCodeSchema.index({ secretHash: 1 }); // For magic link lookup
+loginCodeSchema.index({ email: 1, method: 1 }); // For code lookup by email
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop codes once they expire
+
+module.exports = mongoose.model('LoginCode', loginCodeSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Pending OpenID Connect authorization request, consumed by the callback
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  // PKCE code verifier - never leaves the server
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 600, // Authorization must complete within 10 minutes
+  },
+});
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
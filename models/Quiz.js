@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['multiple_choice', 'multi_select', 'true_false', 'short_answer'],
+    required: true,
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+  },
+  // Answer choices (multiple_choice, multi_select; true_false is always ['True', 'False'])
+  options: {
+    type: [String],
+    default: [],
+  },
+  // Indexes into options that are correct
+  correctOptions: {
+    type: [Number],
+    default: [],
+  },
+  // Accepted answers for short_answer questions
+  acceptedAnswers: {
+    type: [String],
+    default: [],
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  // Shown to the student after they submit
+  explanation: {
+    type: String,
+    trim: true,
+  },
+});
+
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  // Stable lesson id (course.lessons[].id), as used by CourseProgress
+  lessonId: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  questions: [questionSchema],
+  // Percentage needed to pass
+  passingScore: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100,
+  },
+  // 0 = unlimited
+  maxAttempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // 0 = no time limit
+  timeLimitMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Lesson cannot be completed until this quiz is passed
+  requiredToComplete: {
+    type: Boolean,
+    default: false,
+  },
+  // Include the correct answers in per-question feedback
+  showCorrectAnswers: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const answerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  selectedOptions: {
+    type: [Number],
+    default: [],
+  },
+  textAnswer: {
+    type: String,
+    trim: true,
+  },
+  correct: {
+    type: Boolean,
+    default: false,
+  },
+  pointsAwarded: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  lessonId: {
+    type: Number,
+    required: true,
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Submission deadline when the quiz has a time limit
+  expiresAt: {
+    type: Date,
+  },
+  submittedAt: {
+    type: Date,
+  },
+  answers: [answerSchema],
+  pointsEarned: {
+    type: Number,
+    default: 0,
+  },
+  pointsPossible: {
+    type: Number,
+    default: 0,
+  },
+  // Percentage
+  score: {
+    type: Number,
+    default: 0,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+quizSchema.index({ courseId: 1, lessonId: 1 }); // For finding a lesson's quizzes
+quizAttemptSchema.index({ quiz: 1, user: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ user: 1, courseId: 1 }); // For a student's attempts in a course
+
+quizSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+module.exports = { Quiz, QuizAttempt };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Attempt counters for rate limiting and lockouts, kept in MongoDB so they survive restarts
+// and are shared between server instances. One document per action + scope + identifier.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  action: {
+    type: String,
+    enum: ['login', 'email'],
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true,
+  },
+  identifier: {
+    type: String,
+    required: true,
+  },
+  // Requests inside the current window
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Consecutive failures (wrong password / code) since the last success or lockout
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  // Exponential backoff - no attempt accepted before this time
+  nextAttemptAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ lockedUntil: -1 }); // For listing active lockouts
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Forget idle counters
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  courseId: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars',
+    },
+  },
+  text: {
+    type: String,
+    required: [true, 'Review text is required'],
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters'],
+  },
+  // Response from the course instructor
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Reply cannot exceed 2000 characters'],
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    repliedAt: {
+      type: Date,
+    },
+  },
+  // Abuse reports - one per user
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  flagged: {
+    type: Boolean,
+    default: false,
+  },
+  // Hidden reviews are not listed and do not count towards the course rating
+  hidden: {
+    type: Boolean,
+    default: false,
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  hiddenAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reviewSchema.index({ course: 1, user: 1 }, { unique: true });
+reviewSchema.index({ course: 1, hidden: 1, createdAt: -1 }); // For listing a course's reviews
+reviewSchema.index({ flagged: 1 }); // For the moderation queue
+
+reviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Recalculate Course.rating and Course.ratingCount from the visible reviews
+reviewSchema.statics.updateCourseRating = async function(courseObjectId) {
+  const [stats] = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseObjectId), hidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const ratingCount = stats ? stats.count : 0;
+  await mongoose.model('Course').updateOne({ _id: courseObjectId }, { $set: { rating, ratingCount } });
+  return { rating, ratingCount };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
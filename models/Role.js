@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Role name can only contain letters, numbers, dashes and underscores'],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: [...Object.keys(PERMISSIONS), ALL_PERMISSIONS],
+    }],
+    default: [],
+  },
+  // Built-in roles (user, instructor, admin) cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+roleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Role', roleSchema);
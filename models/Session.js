@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One session per signed-in device. Every refresh rotates the token inside the
+// session, so a session is also the "family" of all tokens issued for that login.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // jti of the only refresh token that is currently valid for this session
+  currentJti: {
+    type: String,
+    required: true,
+  },
+  // jti values that have already been rotated out (used for reuse detection)
+  rotatedJtis: {
+    type: [String],
+    default: [],
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    default: 'Unknown device',
+  },
+  ip: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'token_reuse', 'password_changed'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 }); // For listing a user's active sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop sessions once the refresh token has expired
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
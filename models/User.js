@@ -31,9 +31,15 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Please add a password'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    // The admin password policy is checked by the routes that accept a password (utils/passwordPolicy),
+    // where every failed rule can be reported; generated passwords are not checked
     select: false, // Don't return password by default
   },
+  // Bumped to invalidate every access token issued before (logout, password or role change)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   emailVerified: {
     type: Boolean,
     default: false,
@@ -50,14 +56,75 @@ const userSchema = new mongoose.Schema({
   passwordResetExpire: {
     type: Date,
   },
-  refreshToken: {
+  // Email change waiting for confirmation from the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  pendingEmailToken: {
     type: String,
-    select: false,
   },
+  pendingEmailExpire: {
+    type: Date,
+  },
+  // Self-service deletion - the account is purged once deletionScheduledFor passes
+  deletionRequestedAt: {
+    type: Date,
+  },
+  deletionScheduledFor: {
+    type: Date,
+  },
+  // Name of a Role (models/Role) - built-in roles are user, instructor and admin
   role: {
     type: String,
-    enum: ['user', 'instructor', 'admin'],
     default: 'user',
+    trim: true,
+    lowercase: true,
+  },
+  // External identities (OpenID Connect) linked to this account
+  oidcAccounts: [{
+    provider: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during setup, promoted to `secret` once the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step - prevents replaying a code inside its window
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
   },
   points: {
     type: Number,
@@ -175,6 +242,8 @@ userSchema.index({ 'forumStats.helpfulVotes': -1 }); // For forum leaderboard
 userSchema.index({ loginStreak: -1 }); // For streak queries
 userSchema.index({ createdAt: -1 }); // For sorting users by join date
 userSchema.index({ isPro: 1, trialExpired: 1 }); // For premium queries
+userSchema.index({ 'oidcAccounts.provider': 1, 'oidcAccounts.subject': 1 }); // For OIDC sign-in
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true }); // For purging accounts after the grace period
 
 // Ensure points are always whole numbers (integers)
 userSchema.pre('save', function(next) {
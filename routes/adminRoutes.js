@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
   getOverview,
   getCourseStats,
@@ -12,27 +12,69 @@ const {
   deleteAnnouncement,
   getPremiumSettings,
   updatePremiumSettings,
+  getCourseSettings,
+  updateCourseSettings,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getLockouts,
+  deleteLockout,
 } = require('../controllers/adminController');
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const {
+  startImpersonation,
+  endImpersonation,
+  getImpersonations,
+  getAuditLog,
+} = require('../controllers/impersonationController');
+const { getPendingReviews } = require('../controllers/revisionController');
 
-// All routes require admin role
+// All routes require authentication; each route requires its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // Statistics
-router.get('/overview', getOverview);
-router.get('/courses/stats', getCourseStats);
-router.get('/users/stats', getUserStats);
-router.get('/forum/stats', getForumStats);
-router.get('/tools/stats', getToolsStats);
+router.get('/overview', requirePermission('analytics:view'), getOverview);
+router.get('/courses/stats', requirePermission('analytics:view'), getCourseStats);
+router.get('/users/stats', requirePermission('analytics:view'), getUserStats);
+router.get('/forum/stats', requirePermission('analytics:view'), getForumStats);
+router.get('/tools/stats', requirePermission('analytics:view'), getToolsStats);
 
 // Announcements
-router.post('/announcements', createAnnouncement);
-router.get('/announcements', getAnnouncements);
-router.delete('/announcements/:id', deleteAnnouncement);
+router.post('/announcements', requirePermission('announcement:create'), createAnnouncement);
+router.get('/announcements', requirePermission('announcement:create'), getAnnouncements);
+router.delete('/announcements/:id', requirePermission('announcement:delete'), deleteAnnouncement);
 
 // Premium settings
-router.get('/premium/settings', getPremiumSettings);
-router.put('/premium/settings', updatePremiumSettings);
+router.get('/premium/settings', requirePermission('premium:configure'), getPremiumSettings);
+router.put('/premium/settings', requirePermission('premium:configure'), updatePremiumSettings);
 
-module.exports = router;
+// Course review (drafts of public courses waiting for approval)
+router.get('/courses/settings', requirePermission('course:review'), getCourseSettings);
+router.put('/courses/settings', requirePermission('course:review'), updateCourseSettings);
+router.get('/courses/reviews', requirePermission('course:review'), getPendingReviews);
+
+// Security settings
+router.get('/security/settings', requirePermission('security:configure'), getSecuritySettings);
+router.put('/security/settings', requirePermission('security:configure'), updateSecuritySettings);
+router.get('/security/lockouts', requirePermission('security:configure'), getLockouts);
+router.delete('/security/lockouts/:id', requirePermission('security:configure'), deleteLockout);
 
+// Roles and permissions
+router.get('/permissions', requirePermission('role:manage'), getPermissions);
+router.get('/roles', requirePermission('role:manage'), getRoles);
+router.post('/roles', requirePermission('role:manage'), createRole);
+router.put('/roles/:name', requirePermission('role:manage'), updateRole);
+router.delete('/roles/:name', requirePermission('role:manage'), deleteRole);
+
+// Impersonation ("view as user") and audit log
+router.get('/impersonations', requirePermission('user:impersonate'), getImpersonations);
+router.post('/impersonations', requirePermission('user:impersonate'), startImpersonation);
+router.delete('/impersonations/:id', requirePermission('user:impersonate'), endImpersonation);
+router.get('/audit-log', requirePermission('audit:view'), getAuditLog);
+
+module.exports = router;
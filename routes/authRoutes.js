@@ -7,19 +7,67 @@ const {
   resendVerification,
   refreshToken,
   logout,
+  logoutAll,
   forgotPassword,
   resetPassword,
+  getSessions,
+  deleteSession,
+  getPasswordRequirements,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require('../controllers/twoFactorController');
+const {
+  getProviders,
+  startOidcLogin,
+  oidcCallback,
+} = require('../controllers/oidcController');
+const { confirmEmailChange } = require('../controllers/accountController');
+const {
+  requestPasswordlessLogin,
+  verifyPasswordlessLogin,
+} = require('../controllers/passwordlessController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { limitLoginAttempts, limitEmailRequests } = require('../middleware/rateLimit');
 
 router.post('/register', register);
-router.post('/login', login);
+router.post('/login', limitLoginAttempts, login);
+router.post('/login/2fa', limitLoginAttempts, verifyTwoFactorLogin);
 router.get('/verify-email/:token', verifyEmail);
-router.post('/resend-verification', resendVerification);
+router.get('/confirm-email/:token', confirmEmailChange);
+router.post('/resend-verification', limitEmailRequests, resendVerification);
 router.post('/refresh-token', refreshToken);
 router.post('/logout', protect, logout);
-router.post('/forgot-password', forgotPassword);
+router.post('/logout-all', protect, logoutAll);
+router.post('/forgot-password', limitEmailRequests, forgotPassword);
 router.post('/reset-password', resetPassword);
+router.get('/password-policy', getPasswordRequirements);
+
+// Passwordless sign-in (magic link or six-digit email code)
+router.post('/passwordless/request', limitEmailRequests, requestPasswordlessLogin);
+router.post('/passwordless/verify', limitLoginAttempts, verifyPasswordlessLogin);
+
+// Device sessions
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+
+// Two-factor authentication
+// setup/enable accept either a signed-in user or an enrolment challenge token from login
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', optionalAuth, setupTwoFactor);
+router.post('/2fa/enable', optionalAuth, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// OpenID Connect sign-in (Google, Microsoft, generic issuer)
+router.get('/oidc/providers', getProviders);
+router.get('/oidc/:provider', startOidcLogin);
+router.get('/oidc/:provider/callback', oidcCallback);
 
 module.exports = router;
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getMyCertificates,
+  claimCertificate,
+  downloadCertificate,
+  verifyCertificate,
+} = require('../controllers/certificateController');
+
+// Public route - Verify a certificate serial
+router.get('/:serial/verify', verifyCertificate);
+
+// Protected routes
+router.get('/', protect, getMyCertificates);
+router.post('/course/:courseId', protect, claimCertificate);
+router.get('/:serial/download', protect, downloadCertificate);
+
+module.exports = router;
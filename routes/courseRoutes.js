@@ -3,7 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
 const {
   createCourse,
   getMyCourses,
@@ -14,48 +14,134 @@ const {
   downloadFile,
   updateCourse,
   deleteCourse,
+  exportCourse,
+  importCourse,
   getAllCourses,
+  searchCourses,
   seedDefaultCourses,
   assignCoursesToAdmin,
 } = require('../controllers/courseController');
+const {
+  createAssignment,
+  getAssignments,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getSubmissions,
+  downloadSubmissionFile,
+  gradeSubmission,
+  releaseGrades,
+  getGradebook,
+} = require('../controllers/assignmentController');
+const {
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  deleteReply,
+  reportReview,
+  getReportedReviews,
+  moderateReview,
+} = require('../controllers/reviewController');
+const { updateCertificateBranding } = require('../controllers/certificateController');
+const {
+  getDraft,
+  saveDraft,
+  discardDraft,
+  publishDraft,
+  reviewDraft,
+  getRevisions,
+  getRevision,
+  rollbackToRevision,
+} = require('../controllers/revisionController');
+const {
+  getPrerequisites,
+  updatePrerequisites,
+  getLearningPath,
+} = require('../controllers/prerequisiteController');
+const {
+  getStaff,
+  inviteStaff,
+  revokeInvitation,
+  updateStaffRole,
+  removeStaff,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getRoster,
+} = require('../controllers/staffController');
+const {
+  getLessonCaptions,
+  getCaptionFile,
+  uploadCaptions,
+  deleteCaptions,
+  searchCaptions,
+} = require('../controllers/captionController');
+const { getCourseAnalytics, exportCourseAnalytics } = require('../controllers/courseAnalyticsController');
 
-// Ensure uploads directory exists
+// Ensure upload directories exist
 const uploadsDir = path.join(__dirname, '../uploads/courses');
+// Assignment submissions are kept out of the public /uploads folder and served through a protected route
+const submissionsDir = path.join(__dirname, '../private-uploads/submissions');
+// Course packages are only kept while they are being imported
+const importsDir = path.join(__dirname, '../private-uploads/imports');
 (async () => {
   try {
     await fs.mkdir(uploadsDir, { recursive: true });
+    await fs.mkdir(submissionsDir, { recursive: true });
+    await fs.mkdir(importsDir, { recursive: true });
   } catch (error) {
     console.error('Error creating uploads directory:', error);
   }
 })();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
-});
+// Configure multer for file uploads into the given directory
+// Documents by default; pass allowedTypes/typeError for other kinds of file
+function createUploader(directory, { allowedTypes = /pdf|doc|docx|txt/, typeError = 'Only PDF, DOC, DOCX, and TXT files are allowed' } = {}) {
+  const storage = multer.diskStorage({
+    destination: async (req, file, cb) => {
+      cb(null, directory);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, uniqueSuffix + path.extname(file.originalname));
+    },
+  });
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|doc|docx|txt/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (extname && mimetype) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, DOC, DOCX, and TXT files are allowed'));
-    }
-  },
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: 50 * 1024 * 1024, // 50MB
+    },
+    fileFilter: (req, file, cb) => {
+      const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+      const mimetype = allowedTypes.test(file.mimetype);
+
+      if (extname && mimetype) {
+        cb(null, true);
+      } else {
+        cb(new Error(typeError));
+      }
+    },
+  });
+}
+
+const upload = createUploader(uploadsDir);
+const submissionUpload = createUploader(submissionsDir);
+// Certificate logos and signatures - pdfkit can only draw PNG and JPEG
+const imageUpload = createUploader(uploadsDir, {
+  allowedTypes: /png|jpg|jpeg/,
+  typeError: 'Only PNG and JPEG images are allowed',
+});
+// Caption files are read into the database, then removed
+const captionUpload = createUploader(importsDir, {
+  allowedTypes: /vtt|srt|subrip|text|octet-stream/,
+  typeError: 'Captions must be WebVTT (.vtt) or SRT (.srt) files',
+});
+const packageUpload = createUploader(importsDir, {
+  allowedTypes: /zip|octet-stream/, // Some browsers send zips as application/octet-stream
+  typeError: 'Course packages must be .zip files',
 });
 
 // Upload files endpoint
@@ -87,16 +173,24 @@ router.post('/upload', protect, upload.array('files', 10), async (req, res) => {
   }
 });
 
+// Public route - Search the course catalog
+router.get('/search', searchCourses);
+
 // Public route - Get course by access code (optional auth for notifications)
 router.get('/access/:accessCode', optionalAuth, getCourseByAccessCode);
 
 // Protected routes - specific routes must come before parameterized routes
-router.post('/', protect, createCourse);
+router.post('/', protect, requirePermission('course:create'), createCourse);
 router.post('/seed-default', protect, seedDefaultCourses);
+router.post('/import', protect, requirePermission('course:create'), packageUpload.single('package'), importCourse);
 router.post('/assign-to-admin', protect, assignCoursesToAdmin);
 router.get('/my-courses', protect, getMyCourses);
 router.get('/all', protect, getAllCourses);
 router.get('/enrolled/my-courses', protect, getEnrolledCourses);
+router.get('/reviews/reported', protect, requirePermission('review:moderate'), getReportedReviews);
+router.get('/invitations/mine', protect, getMyInvitations);
+router.post('/invitations/accept', protect, acceptInvitation);
+router.post('/invitations/decline', protect, declineInvitation);
 
 // Public route - Download course file (must come before /:courseId)
 router.get('/:courseId/files/:fileName', downloadFile);
@@ -104,7 +198,70 @@ router.get('/:courseId/files/:fileName', downloadFile);
 // Protected routes with parameters
 router.put('/:courseId', protect, updateCourse);
 router.delete('/:courseId', protect, deleteCourse);
+router.get('/:courseId/export', protect, exportCourse);
 router.post('/:courseId/enroll', protect, enrollInCourse);
+router.put(
+  '/:courseId/certificate',
+  protect,
+  imageUpload.fields([{ name: 'logo', maxCount: 1 }, { name: 'signature', maxCount: 1 }]),
+  updateCertificateBranding
+);
+
+// Assignments
+router.get('/:courseId/gradebook', protect, getGradebook);
+router.get('/:courseId/assignments', protect, getAssignments);
+router.post('/:courseId/assignments', protect, createAssignment);
+router.put('/:courseId/assignments/:assignmentId', protect, updateAssignment);
+router.delete('/:courseId/assignments/:assignmentId', protect, deleteAssignment);
+router.post('/:courseId/assignments/:assignmentId/release', protect, releaseGrades);
+router.get('/:courseId/assignments/:assignmentId/submissions', protect, getSubmissions);
+router.post('/:courseId/assignments/:assignmentId/submissions', protect, submissionUpload.array('files', 10), submitAssignment);
+router.get('/:courseId/assignments/:assignmentId/submissions/:submissionId/files/:fileIndex', protect, downloadSubmissionFile);
+router.put('/:courseId/assignments/:assignmentId/submissions/:submissionId/grade', protect, gradeSubmission);
+
+// Reviews (listing is public; optional auth adds your own review)
+router.get('/:courseId/reviews', optionalAuth, getReviews);
+router.post('/:courseId/reviews', protect, createReview);
+router.put('/:courseId/reviews/:reviewId', protect, updateReview);
+router.delete('/:courseId/reviews/:reviewId', protect, deleteReview);
+router.put('/:courseId/reviews/:reviewId/reply', protect, replyToReview);
+router.delete('/:courseId/reviews/:reviewId/reply', protect, deleteReply);
+router.post('/:courseId/reviews/:reviewId/report', protect, reportReview);
+router.put('/:courseId/reviews/:reviewId/moderation', protect, requirePermission('review:moderate'), moderateReview);
+
+// Course staff (co-instructors and TAs), staff invitations and the enrolment roster
+router.get('/:courseId/staff', protect, getStaff);
+router.post('/:courseId/staff/invitations', protect, inviteStaff);
+router.delete('/:courseId/staff/invitations/:invitationId', protect, revokeInvitation);
+router.put('/:courseId/staff/:userId', protect, updateStaffRole);
+router.delete('/:courseId/staff/:userId', protect, removeStaff);
+router.get('/:courseId/roster', protect, getRoster);
+
+// Course analytics for staff (CSV export per report)
+router.get('/:courseId/analytics', protect, getCourseAnalytics);
+router.get('/:courseId/analytics/export', protect, exportCourseAnalytics);
+
+// Lesson captions and searching what was said (signed in, or with the course's access code)
+router.get('/:courseId/captions/search', optionalAuth, searchCaptions);
+router.get('/:courseId/lessons/:lessonId/captions', optionalAuth, getLessonCaptions);
+router.get('/:courseId/lessons/:lessonId/captions/:language.vtt', optionalAuth, getCaptionFile);
+router.post('/:courseId/lessons/:lessonId/captions', protect, captionUpload.single('captions'), uploadCaptions);
+router.delete('/:courseId/lessons/:lessonId/captions/:language', protect, deleteCaptions);
+
+// Prerequisite links and learning paths
+router.get('/:courseId/prerequisites', optionalAuth, getPrerequisites);
+router.put('/:courseId/prerequisites', protect, updatePrerequisites);
+router.get('/:courseId/learning-path', protect, getLearningPath);
+
+// Drafts and revision history
+router.get('/:courseId/draft', protect, getDraft);
+router.put('/:courseId/draft', protect, saveDraft);
+router.delete('/:courseId/draft', protect, discardDraft);
+router.post('/:courseId/draft/publish', protect, publishDraft);
+router.post('/:courseId/draft/review', protect, requirePermission('course:review'), reviewDraft);
+router.get('/:courseId/revisions', protect, getRevisions);
+router.get('/:courseId/revisions/:revision', protect, getRevision);
+router.post('/:courseId/revisions/:revision/rollback', protect, rollbackToRevision);
 
 // Public route - Get course by ID (optional auth for notifications)
 router.get('/:courseId', optionalAuth, getCourseById);
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  createQuiz,
+  getCourseQuizzes,
+  getQuiz,
+  updateQuiz,
+  deleteQuiz,
+  startAttempt,
+  submitAttempt,
+  getAttempts,
+} = require('../controllers/quizController');
+
+// All routes require authentication
+router.use(protect);
+
+// Course quizzes (must come before /:quizId)
+router.get('/course/:courseId', getCourseQuizzes);
+
+// Manage quizzes (course owner or course:edit:any)
+router.post('/', createQuiz);
+router.get('/:quizId', getQuiz);
+router.put('/:quizId', updateQuiz);
+router.delete('/:quizId', deleteQuiz);
+
+// Attempts
+router.get('/:quizId/attempts', getAttempts);
+router.post('/:quizId/attempts', startAttempt);
+router.post('/:quizId/attempts/:attemptId/submit', submitAttempt);
+
+module.exports = router;
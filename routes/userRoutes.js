@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { hasPermission, roleExists } = require('../utils/permissionService');
+const { invalidateAccessTokens, signOutEverywhere } = require('../utils/sessionService');
+const { deleteAccountData } = require('../utils/accountService');
+const { checkPassword } = require('../utils/passwordPolicy');
+const {
+  requestEmailChange,
+  exportAccountData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} = require('../controllers/accountController');
 
 // GET current user profile - All authenticated users
 router.get('/me', protect, async (req, res) => {
@@ -29,8 +39,14 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// GET all users - Admin and Instructor can view all users
-router.get('/', protect, authorize('admin', 'instructor'), async (req, res) => {
+// Account self-service - email change, data export and deletion
+router.post('/me/email', protect, requestEmailChange);
+router.get('/me/export', protect, exportAccountData);
+router.delete('/me', protect, requestAccountDeletion);
+router.post('/me/deletion/cancel', protect, cancelAccountDeletion);
+
+// GET all users - requires user:view
+router.get('/', protect, requirePermission('user:view'), async (req, res) => {
   try {
     const users = await User.find().select('-password -refreshToken -emailVerificationToken').lean();
     // Ensure points are always whole numbers
@@ -52,7 +68,7 @@ router.get('/', protect, authorize('admin', 'instructor'), async (req, res) => {
   }
 });
 
-// GET a single user by ID - Users can view their own profile, admins and instructors can view any
+// GET a single user by ID - Users can view their own profile, user:view allows any
 router.get('/:id', protect, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password -refreshToken -emailVerificationToken').lean();
@@ -67,8 +83,8 @@ router.get('/:id', protect, async (req, res) => {
       user.points = Math.round(user.points);
     }
     
-    // Users can only view their own profile unless they're admin or instructor
-    if (req.user.role !== 'admin' && req.user.role !== 'instructor' && req.user._id.toString() !== req.params.id) {
+    // Users can only view their own profile unless they have user:view
+    if (req.user._id.toString() !== req.params.id && !(await hasPermission(req.user, 'user:view'))) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to view this user profile' 
@@ -87,8 +103,8 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// POST create a new user - Admin only
-router.post('/', protect, authorize('admin'), async (req, res) => {
+// POST create a new user - requires user:manage
+router.post('/', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { fullName, email, password, role } = req.body;
     
@@ -100,10 +116,10 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
     }
     
     // Validate role if provided
-    if (role && !['user', 'instructor', 'admin'].includes(role)) {
+    if (role && !(await roleExists(role))) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be one of: user, instructor, admin',
+        message: 'Invalid role. Role does not exist',
       });
     }
     
@@ -115,6 +131,16 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
         message: 'User already exists with this email',
       });
     }
+
+    // Check password policy
+    const passwordCheck = await checkPassword(password, { email, fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: passwordCheck.errors,
+      });
+    }
     
     const userData = {
       fullName,
@@ -143,29 +169,41 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// PUT update a user - Users can update their own profile, admins can update any
+// PUT update a user - Users can update their own profile, user:manage allows any
 router.put('/:id', protect, async (req, res) => {
   try {
-    // Users can only update their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+    // Users can only update their own profile unless they have user:manage
+    const canManageUsers = await hasPermission(req.user, 'user:manage');
+
+    if (!canManageUsers && req.user._id.toString() !== req.params.id) {
       return res.status(403).json({ 
         success: false,
         message: 'Not authorized to update this user profile' 
       });
     }
     
-    // Only admins can change roles
+    const previousUser = await User.findById(req.params.id).select('role email');
     const updateData = {
       fullName: req.body.fullName,
-      email: req.body.email,
     };
+
+    // Only user managers can set someone's email directly; users confirm a new address via POST /me/email
+    if (req.body.email && previousUser && req.body.email.toLowerCase() !== previousUser.email) {
+      if (!canManageUsers || req.user._id.toString() === req.params.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'To change your email, use POST /api/users/me/email so the new address can be confirmed',
+        });
+      }
+      updateData.email = req.body.email;
+    }
     
-    // Only admins can change roles
-    if (req.user.role === 'admin' && req.body.role) {
-      if (!['user', 'instructor', 'admin'].includes(req.body.role)) {
+    // Only user managers can change roles
+    if (canManageUsers && req.body.role) {
+      if (!(await roleExists(req.body.role))) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid role. Must be one of: user, instructor, admin',
+          message: 'Invalid role. Role does not exist',
         });
       }
       updateData.role = req.body.role;
@@ -183,6 +221,11 @@ router.put('/:id', protect, async (req, res) => {
         message: 'User not found' 
       });
     }
+
+    // Role changed - tokens issued under the old role must not keep working
+    if (previousUser && previousUser.role !== user.role) {
+      await invalidateAccessTokens(user._id);
+    }
     
     res.json({
       success: true,
@@ -196,21 +239,22 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
-// PUT update user role - Admin only
-router.put('/:id/role', protect, authorize('admin'), async (req, res) => {
+// PUT update user role - requires user:manage
+router.put('/:id/role', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     const { role } = req.body;
     
-    if (!role || !['user', 'instructor', 'admin'].includes(role)) {
+    if (!role || !(await roleExists(role))) {
       return res.status(400).json({ 
         success: false,
-        message: 'Valid role (user, instructor, admin) is required' 
+        message: 'A valid, existing role is required' 
       });
     }
     
+    // Bump token version so tokens issued under the old role stop working
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role },
+      { role, $inc: { tokenVersion: 1 } },
       { new: true, runValidators: true }
     ).select('-password -refreshToken -emailVerificationToken');
     
@@ -239,8 +283,8 @@ router.put('/:id/role', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// DELETE a user - Admin only
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// DELETE a user - requires user:manage
+router.delete('/:id', protect, requirePermission('user:manage'), async (req, res) => {
   try {
     // Prevent admin from deleting themselves
     if (req.user._id.toString() === req.params.id) {
@@ -250,13 +294,16 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
     
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id).select('_id');
     if (!user) {
       return res.status(404).json({ 
         success: false,
         message: 'User not found' 
       });
     }
+
+    // Removes personal data and credits forum posts to the deleted-user placeholder
+    await deleteAccountData(user._id);
     
     res.json({ 
       success: true,
@@ -452,14 +499,6 @@ router.put('/me/password', protect, async (req, res) => {
       });
     }
 
-    // Check password length
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters',
-      });
-    }
-
     // Find user with password field
     const user = await User.findById(req.user._id).select('+password');
 
@@ -479,10 +518,23 @@ router.put('/me/password', protect, async (req, res) => {
       });
     }
 
+    // Check password policy
+    const passwordCheck = await checkPassword(newPassword, { email: user.email, fullName: user.fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: passwordCheck.errors,
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this device keeps its session and refreshes its access token
+    await signOutEverywhere(user._id, 'password_changed', req.sessionId);
+
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
@@ -4,9 +4,20 @@ const { protect } = require('../middleware/auth');
 const {
   getProgress,
   completeLesson,
-  updateWatchTime,
+  recordHeartbeat,
   getUserProgress,
 } = require('../controllers/videoPlayerController');
+const {
+  getLessonNotes,
+  updateResumePosition,
+  addBookmark,
+  updateBookmark,
+  deleteBookmark,
+  addNote,
+  updateNote,
+  deleteNote,
+  downloadStudySheet,
+} = require('../controllers/lessonNotesController');
 
 // All routes require authentication
 router.use(protect);
@@ -20,8 +31,23 @@ router.get('/progress/:courseId', getProgress);
 // Complete a lesson
 router.post('/progress/:courseId/complete', completeLesson);
 
-// Update watch time
-router.post('/progress/:courseId/watch-time', updateWatchTime);
+// Playback heartbeats (watch-time is the older name, kept for existing players)
+router.post('/progress/:courseId/heartbeat', recordHeartbeat);
+router.post('/progress/:courseId/watch-time', recordHeartbeat);
+
+// Notes and bookmarks as a PDF study sheet
+router.get('/progress/:courseId/study-sheet', downloadStudySheet);
+
+// Per-lesson resume position, bookmarks and private notes
+router.get('/progress/:courseId/lessons/:lessonId', getLessonNotes);
+router.put('/progress/:courseId/lessons/:lessonId/position', updateResumePosition);
+router.post('/progress/:courseId/lessons/:lessonId/bookmarks', addBookmark);
+router.put('/progress/:courseId/lessons/:lessonId/bookmarks/:bookmarkId', updateBookmark);
+router.delete('/progress/:courseId/lessons/:lessonId/bookmarks/:bookmarkId', deleteBookmark);
+router.post('/progress/:courseId/lessons/:lessonId/notes', addNote);
+router.put('/progress/:courseId/lessons/:lessonId/notes/:noteId', updateNote);
+router.delete('/progress/:courseId/lessons/:lessonId/notes/:noteId', deleteNote);
+router.get('/progress/:courseId/lessons/:lessonId/study-sheet', downloadStudySheet);
 
 module.exports = router;
 
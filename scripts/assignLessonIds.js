@@ -0,0 +1,56 @@
+/**
+ * Migration script to give every course lesson a stable id
+ * Lessons saved before lesson ids existed were identified by their position, so courses
+ * without ids keep those positions (1, 2, 3...) as ids and student progress still matches.
+ * Saving the course lets the Course model assign the ids and lastLessonId.
+ *
+ * Usage: node backend/scripts/assignLessonIds.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const Course = require('../models/Course');
+
+async function assignLessonIds() {
+  try {
+    // Connect to database
+    const dbUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!dbUri) {
+      console.error('❌ MONGO_URI not found in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUri);
+    console.log('✅ Connected to database');
+
+    // Courses with a lesson that has no id, or that never recorded their highest id
+    const courses = await Course.find({
+      $or: [
+        { 'lessons.0': { $exists: true }, lastLessonId: { $in: [0, null] } },
+        { lessons: { $elemMatch: { id: null } } },
+      ],
+    });
+    let fixedCount = 0;
+
+    for (const course of courses) {
+      try {
+        await course.save();
+        console.log(`Assigned lesson ids for ${course.courseId} (${course.lessons.length} lessons, last id ${course.lastLessonId})`);
+        fixedCount++;
+      } catch (error) {
+        console.error(`⚠️  Skipped ${course.courseId}: ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ Migration complete! Assigned lesson ids for ${fixedCount} courses.`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error assigning lesson ids:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+assignLessonIds();
@@ -0,0 +1,70 @@
+/**
+ * Migration script to move role checks to the permission model
+ * Creates the built-in roles (user, instructor, admin) from config/permissions.js
+ * and assigns the 'user' role to accounts whose role is missing or no longer exists.
+ * Existing role documents are left alone unless --force is passed.
+ *
+ * Usage: node backend/scripts/migrateUserRoles.js [--force]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+async function migrateUserRoles() {
+  const force = process.argv.includes('--force');
+
+  try {
+    // Connect to database
+    const dbUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!dbUri) {
+      console.error('❌ MONGO_URI not found in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUri);
+    console.log('✅ Connected to database');
+
+    // Create built-in roles
+    let createdCount = 0;
+    let resetCount = 0;
+    for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+      const existing = await Role.findOne({ name });
+
+      if (!existing) {
+        await Role.create({ name, ...definition, isSystem: true });
+        console.log(`Created role ${name}: ${definition.permissions.join(', ')}`);
+        createdCount++;
+      } else if (force) {
+        existing.description = definition.description;
+        existing.permissions = definition.permissions;
+        existing.isSystem = true;
+        await existing.save();
+        console.log(`Reset role ${name}: ${definition.permissions.join(', ')}`);
+        resetCount++;
+      } else {
+        console.log(`Role ${name} already exists, keeping its permissions`);
+      }
+    }
+
+    // Users without a valid role fall back to 'user'
+    const roleNames = (await Role.find().select('name').lean()).map(role => role.name);
+    const result = await User.updateMany(
+      { $or: [{ role: { $exists: false } }, { role: null }, { role: { $nin: roleNames } }] },
+      { $set: { role: 'user' }, $inc: { tokenVersion: 1 } }
+    );
+
+    console.log(`\n✅ Migration complete! Created ${createdCount} roles, reset ${resetCount} roles, reassigned ${result.modifiedCount} users.`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating user roles:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateUserRoles();
@@ -0,0 +1,71 @@
+/**
+ * Migration script to store lesson durations in seconds
+ * Lessons used to hold duration text ("30 mins", "1 hour", "01:20:00"). This converts every
+ * lesson duration to a number of seconds and fills in each course's totalDurationSeconds.
+ * Durations that cannot be read are cleared and listed so they can be fixed by hand.
+ *
+ * Usage: node backend/scripts/normalizeLessonDurations.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const Course = require('../models/Course');
+const { parseDuration } = require('../utils/duration');
+
+async function normalizeLessonDurations() {
+  try {
+    // Connect to database
+    const dbUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!dbUri) {
+      console.error('❌ MONGO_URI not found in environment variables');
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUri);
+    console.log('✅ Connected to database');
+
+    // Read the raw documents: text durations do not cast to the Number schema type
+    const courses = await Course.collection.find({}, { projection: { courseId: 1, lessons: 1, totalDurationSeconds: 1 } }).toArray();
+    let fixedCount = 0;
+    let unreadableCount = 0;
+
+    for (const course of courses) {
+      const lessons = course.lessons || [];
+      let changed = false;
+
+      for (const lesson of lessons) {
+        if (lesson.duration === undefined || lesson.duration === null || typeof lesson.duration === 'number') {
+          continue;
+        }
+        const seconds = parseDuration(lesson.duration);
+        if (seconds === null && String(lesson.duration).trim() !== '') {
+          console.log(`⚠️  ${course.courseId}: could not read duration "${lesson.duration}" of lesson "${lesson.title}" - cleared`);
+          unreadableCount++;
+        }
+        lesson.duration = seconds;
+        changed = true;
+      }
+
+      const totalDurationSeconds = lessons.reduce((sum, lesson) => sum + (lesson.duration || 0), 0);
+      if (changed || course.totalDurationSeconds !== totalDurationSeconds) {
+        await Course.collection.updateOne(
+          { _id: course._id },
+          { $set: { lessons, totalDurationSeconds } }
+        );
+        console.log(`Normalized ${course.courseId}: ${lessons.length} lessons, ${totalDurationSeconds}s in total`);
+        fixedCount++;
+      }
+    }
+
+    console.log(`\n✅ Migration complete! Normalized ${fixedCount} courses (${unreadableCount} unreadable durations cleared).`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error normalizing lesson durations:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+normalizeLessonDurations();
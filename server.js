@@ -8,6 +8,11 @@ const connectDB = require('./config/database');
 
 const app = express();
 
+// Trust the reverse proxy so req.ip is the client address (used by login rate limiting)
+// TRUST_PROXY can be a hop count (e.g. 1 on Render) or a list of proxy addresses
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // Enable response compression (gzip) for all responses - reduces data transfer by 70-90%
 app.use(compression());
 
@@ -151,6 +156,8 @@ const forumRoutes = require('./routes/forumRoutes');
 const videoPlayerRoutes = require('./routes/videoPlayerRoutes');
 const premiumRoutes = require('./routes/premiumRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
 
 // Auth routes
 app.use('/auth', authRoutes);
@@ -197,6 +204,12 @@ app.use('/api/premium', premiumRoutes);
 // Notification routes
 app.use('/api/notifications', notificationRoutes);
 
+// Quiz routes
+app.use('/api/quizzes', quizRoutes);
+
+// Certificate routes
+app.use('/api/certificates', certificateRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -233,6 +246,22 @@ setInterval(async () => {
   }
 }, 60 * 60 * 1000); // Every hour
 
+// Delete accounts whose deletion grace period has ended (every hour)
+const { purgeScheduledDeletions } = require('./utils/accountService');
+
+setInterval(async () => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const result = await purgeScheduledDeletions();
+      if (result.due > 0) {
+        console.log(`Scheduled account deletions: ${result.deleted} of ${result.due} accounts deleted`);
+      }
+    } catch (error) {
+      console.error('Scheduled account deletion error:', error);
+    }
+  }
+}, 60 * 60 * 1000); // Every hour
+
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Shared setup for the sign-in flow tests: an express app with the auth routes, and the Mongoose
+// calls those routes make replaced with in-memory versions, so the flows run without a MongoDB server.
+const express = require('express');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const RateLimit = require('../../models/RateLimit');
+const AdminSettings = require('../../models/AdminSettings');
+const badgeService = require('../../utils/badgeService');
+
+// A query result that can be awaited or chained like a Mongoose query
+function mockQuery(result) {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject),
+  };
+  return query;
+}
+
+function sameId(a, b) {
+  return a !== undefined && a !== null && b !== undefined && b !== null && a.toString() === b.toString();
+}
+
+// Users, device sessions, rate limits and admin settings in memory.
+// Returns { users, sessions }; add users with users.push(new User({...})).
+function mockAuthPersistence() {
+  const users = [];
+  const sessions = [];
+
+  jest.spyOn(AdminSettings, 'getSettings').mockImplementation(async () => new AdminSettings());
+  jest.spyOn(badgeService, 'checkConsistent').mockResolvedValue();
+
+  // Rate limits never trip: every window holds a single request
+  jest.spyOn(RateLimit, 'findOneAndUpdate').mockImplementation(() => mockQuery({ hits: 1, windowStartedAt: new Date(), failures: 1 }));
+  jest.spyOn(RateLimit, 'findOne').mockImplementation(() => mockQuery(null));
+  jest.spyOn(RateLimit, 'updateOne').mockImplementation(() => mockQuery({}));
+
+  jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(() => users.find(user => sameId(user._id, id)) || null));
+  jest.spyOn(User, 'findOne').mockImplementation((filter = {}) => mockQuery(() => users.find(user => {
+    if (filter.email !== undefined && user.email !== filter.email) return false;
+    const identity = filter.oidcAccounts?.$elemMatch;
+    if (identity && !user.oidcAccounts.some(account => account.provider === identity.provider && account.subject === identity.subject)) {
+      return false;
+    }
+    return true;
+  }) || null));
+  jest.spyOn(User, 'create').mockImplementation(async data => {
+    const user = new User(data);
+    users.push(user);
+    return user;
+  });
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    if (!sessions.includes(this)) sessions.push(this);
+    return this;
+  });
+  jest.spyOn(Session, 'exists').mockImplementation(filter => mockQuery(() => {
+    const session = sessions.find(item => sameId(item._id, filter._id) && !item.revokedAt);
+    return session ? { _id: session._id } : null;
+  }));
+
+  return { users, sessions };
+}
+
+// The auth routes mounted where server.js mounts them
+function createAuthApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', require('../../routes/authRoutes'));
+  return app;
+}
+
+module.exports = {
+  mockQuery,
+  mockAuthPersistence,
+  createAuthApp,
+};
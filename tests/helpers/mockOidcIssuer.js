@@ -0,0 +1,87 @@
+// A local OpenID Connect provider for tests: discovery, an authorization endpoint that signs the
+// user in at once, a token endpoint that checks the PKCE verifier, and RS256-signed ID tokens.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Start the issuer on a free local port.
+// account: the claims of the user who signs in ({ sub, email, email_verified, name }).
+// Returns { issuer, clientId, authorizationRequests, close }.
+async function startMockOidcIssuer({ clientId = 'eduwave-test', account }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  const authorizationRequests = [];
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  let issuer;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // The user is signed in straight away and sent back with a code
+  app.get('/authorize', (req, res) => {
+    authorizationRequests.push({ ...req.query });
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (requestClientId !== clientId || req.query.code_challenge_method !== 'S256' || !codeChallenge) {
+      return res.status(400).send('invalid_request');
+    }
+
+    const code = base64Url(crypto.randomBytes(16));
+    codes.set(code, { redirectUri, nonce, codeChallenge });
+    res.redirect(`${redirectUri}?${new URLSearchParams({ code, state })}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: requestClientId, code_verifier: codeVerifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    const challenge = codeVerifier ? base64Url(crypto.createHash('sha256').update(codeVerifier).digest()) : null;
+    if (grantType !== 'authorization_code' || !pending || requestClientId !== clientId ||
+        redirectUri !== pending.redirectUri || challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...account, nonce: pending.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+    res.json({ access_token: base64Url(crypto.randomBytes(16)), token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    authorizationRequests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startMockOidcIssuer,
+};
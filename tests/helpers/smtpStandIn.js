@@ -0,0 +1,100 @@
+// A local SMTP stand-in for tests (like MailHog or Mailpit): accepts every message, without TLS
+// or authentication, and keeps what it receives.
+const net = require('net');
+
+// Quoted-printable body text (nodemailer's encoding for HTML) back to plain text
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Parse the DATA section of a message into { to, subject, body }
+function parseMessage(data, recipients) {
+  const [head, ...rest] = data.split('\r\n\r\n');
+  const headers = {};
+  for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  const body = rest.join('\r\n\r\n').replace(/^\.\./gm, '.');
+  return {
+    to: recipients,
+    subject: headers.subject,
+    body: /quoted-printable/i.test(headers['content-transfer-encoding'] || '') ? decodeQuotedPrintable(body) : body,
+  };
+}
+
+// Start the stand-in on a free local port. Returns { port, messages, waitForMessage, close }.
+async function startSmtpStandIn() {
+  const messages = [];
+  const waiting = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let recipients = [];
+    socket.setEncoding('utf8');
+    socket.write('220 localhost SMTP stand-in\r\n');
+
+    const handleCommand = line => {
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        socket.write('250 localhost\r\n');
+      } else if (command === 'MAIL') {
+        recipients = [];
+        socket.write('250 OK\r\n');
+      } else if (command === 'RCPT') {
+        recipients.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, '$1'));
+        socket.write('250 OK\r\n');
+      } else if (command === 'DATA') {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      for (;;) {
+        if (inData) {
+          const dataEnd = buffer.indexOf('\r\n.\r\n');
+          if (dataEnd === -1) break;
+          const message = parseMessage(buffer.slice(0, dataEnd), recipients);
+          buffer = buffer.slice(dataEnd + 5);
+          inData = false;
+          messages.push(message);
+          waiting.splice(0).forEach(resolve => resolve(message));
+          socket.write('250 OK: queued\r\n');
+        } else {
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) break;
+          const line = buffer.slice(0, lineEnd);
+          buffer = buffer.slice(lineEnd + 2);
+          handleCommand(line);
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    // The next message to arrive (or the last one, if it already has)
+    waitForMessage: (since = messages.length) => (messages.length > since
+      ? Promise.resolve(messages[since])
+      : new Promise(resolve => waiting.push(resolve))),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startSmtpStandIn,
+};
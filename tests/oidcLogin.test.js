@@ -0,0 +1,129 @@
+// OpenID Connect sign-in (authorization code with PKCE) against a local mock issuer
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { mockAuthPersistence, createAuthApp } = require('./helpers/authTestSetup');
+const { startMockOidcIssuer } = require('./helpers/mockOidcIssuer');
+
+const BACKEND_URL = 'http://localhost:5000';
+const FRONTEND_URL = 'http://frontend.test';
+
+describe('OIDC sign-in with PKCE', () => {
+  let issuer;
+  let app;
+  let users;
+  let pendingStates;
+
+  beforeAll(async () => {
+    issuer = await startMockOidcIssuer({
+      account: { sub: 'student-42', email: 'Ada.Student@uni.test', email_verified: true, name: 'Ada Student' },
+    });
+    process.env.OIDC_GENERIC_ISSUER = issuer.issuer;
+    process.env.OIDC_GENERIC_CLIENT_ID = issuer.clientId;
+    process.env.BACKEND_URL = BACKEND_URL;
+    process.env.FRONTEND_URL = FRONTEND_URL;
+    app = createAuthApp();
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    ({ users } = mockAuthPersistence());
+    pendingStates = [];
+    jest.spyOn(OidcState, 'create').mockImplementation(async data => {
+      pendingStates.push({ ...data });
+      return data;
+    });
+    jest.spyOn(OidcState, 'findOneAndDelete').mockImplementation(async ({ state, provider }) => {
+      const index = pendingStates.findIndex(item => item.state === state && item.provider === provider);
+      return index === -1 ? null : pendingStates.splice(index, 1)[0];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Start sign-in, let the issuer sign the user in, and return the callback path with code and state
+  async function authorize() {
+    const start = await request(app).get('/auth/oidc/generic').expect(302);
+    expect(start.headers.location.startsWith(`${issuer.issuer}/authorize?`)).toBe(true);
+
+    const authorization = await axios.get(start.headers.location, { maxRedirects: 0, validateStatus: null });
+    expect(authorization.status).toBe(302);
+    const callback = new URL(authorization.headers.location);
+    expect(callback.origin + callback.pathname).toBe(`${BACKEND_URL}/auth/oidc/generic/callback`);
+    return `${callback.pathname}${callback.search}`;
+  }
+
+  function readFrontendRedirect(response) {
+    const location = new URL(response.headers.location);
+    expect(location.origin + location.pathname).toBe(`${FRONTEND_URL}/oidc-callback.html`);
+    return Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+  }
+
+  test('signs a new user in and creates their account', async () => {
+    const callbackPath = await authorize();
+
+    const [authorizationRequest] = issuer.authorizationRequests.slice(-1);
+    expect(authorizationRequest.code_challenge_method).toBe('S256');
+    expect(authorizationRequest.scope).toBe('openid email profile');
+    // The verifier stays on the server; only its challenge is sent to the provider
+    expect(JSON.stringify(authorizationRequest)).not.toContain(pendingStates[0].codeVerifier);
+
+    const response = await request(app).get(callbackPath).expect(302);
+    const result = readFrontendRedirect(response);
+
+    expect(result.error).toBeUndefined();
+    expect(result.created).toBe('true');
+    expect(users).toHaveLength(1);
+    expect(users[0].email).toBe('ada.student@uni.test');
+    expect(users[0].emailVerified).toBe(true);
+    expect(users[0].oidcAccounts[0]).toMatchObject({ provider: 'generic', subject: 'student-42' });
+
+    const accessToken = jwt.decode(result.accessToken);
+    expect(accessToken.id).toBe(users[0]._id.toString());
+    expect(accessToken.sid).toBeDefined();
+  });
+
+  test('signs a returning user in to the linked account', async () => {
+    users.push(new User({
+      fullName: 'Ada Student',
+      email: 'ada.student@uni.test',
+      password: 'unused',
+      emailVerified: true,
+      oidcAccounts: [{ provider: 'generic', subject: 'student-42', email: 'ada.student@uni.test' }],
+    }));
+
+    const response = await request(app).get(await authorize()).expect(302);
+    const result = readFrontendRedirect(response);
+
+    expect(result.created).toBe('false');
+    expect(users).toHaveLength(1);
+    expect(jwt.decode(result.accessToken).id).toBe(users[0]._id.toString());
+  });
+
+  test('rejects a replayed callback', async () => {
+    const callbackPath = await authorize();
+    await request(app).get(callbackPath).expect(302);
+
+    const replay = await request(app).get(callbackPath).expect(302);
+    expect(readFrontendRedirect(replay)).toEqual({ error: 'invalid_state' });
+  });
+
+  test('fails when the code verifier does not match the challenge', async () => {
+    const callbackPath = await authorize();
+    pendingStates[0].codeVerifier = 'not-the-verifier-that-was-challenged';
+
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await request(app).get(callbackPath).expect(302);
+
+    expect(readFrontendRedirect(response)).toEqual({ error: 'sign_in_failed' });
+    expect(users).toHaveLength(0);
+    expect(consoleError).toHaveBeenCalled();
+  });
+});
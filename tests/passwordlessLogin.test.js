@@ -0,0 +1,151 @@
+// Passwordless sign-in (magic link and six-digit code) with email sent through a local SMTP stand-in
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginCode = require('../models/LoginCode');
+const { mockQuery, mockAuthPersistence, createAuthApp } = require('./helpers/authTestSetup');
+const { startSmtpStandIn } = require('./helpers/smtpStandIn');
+
+const FRONTEND_URL = 'http://frontend.test';
+
+describe('passwordless sign-in', () => {
+  let smtp;
+  let app;
+  let users;
+  let sessions;
+  let loginCodes;
+
+  beforeAll(async () => {
+    smtp = await startSmtpStandIn();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.FRONTEND_URL = FRONTEND_URL;
+    app = createAuthApp();
+  });
+
+  afterAll(async () => {
+    await smtp.close();
+  });
+
+  beforeEach(() => {
+    ({ users, sessions } = mockAuthPersistence());
+    users.push(new User({ fullName: 'Grace Hopper', email: 'grace@uni.test', password: 'unused', emailVerified: false }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    loginCodes = [];
+    const matches = (item, filter) => (
+      (filter._id === undefined || item._id.equals(filter._id)) &&
+      (filter.method === undefined || item.method === filter.method) &&
+      (filter.email === undefined || item.email === filter.email) &&
+      (filter.secretHash === undefined || item.secretHash === filter.secretHash) &&
+      (filter.attempts === undefined || item.attempts < filter.attempts.$lt) &&
+      (filter.expiresAt === undefined || item.expiresAt > filter.expiresAt.$gt)
+    );
+    const remove = item => loginCodes.splice(loginCodes.indexOf(item), 1);
+    jest.spyOn(LoginCode, 'create').mockImplementation(async data => {
+      const loginCode = new LoginCode(data);
+      loginCodes.push(loginCode);
+      return loginCode;
+    });
+    jest.spyOn(LoginCode, 'deleteMany').mockImplementation(filter => mockQuery(() => {
+      loginCodes.filter(item => item.user.equals(filter.user)).forEach(remove);
+      return {};
+    }));
+    jest.spyOn(LoginCode, 'findOneAndDelete').mockImplementation(filter => mockQuery(() => {
+      const found = loginCodes.find(item => matches(item, filter));
+      if (found) remove(found);
+      return found || null;
+    }));
+    jest.spyOn(LoginCode, 'findOneAndUpdate').mockImplementation((filter, update) => mockQuery(() => {
+      const found = loginCodes.find(item => matches(item, filter));
+      if (found) found.attempts += update.$inc.attempts;
+      return found || null;
+    }));
+    jest.spyOn(LoginCode.prototype, 'deleteOne').mockImplementation(async function() {
+      if (loginCodes.includes(this)) remove(this);
+      return {};
+    });
+
+    jest.spyOn(Session, 'find').mockImplementation(() => mockQuery(() => sessions.map(session => session.toObject())));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The access token from a sign-in works on a protected route
+  async function expectSignedIn(response) {
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.user.email).toBe('grace@uni.test');
+    const sessionsResponse = await request(app)
+      .get('/auth/sessions')
+      .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+      .expect(200);
+    expect(sessionsResponse.body.success).toBe(true);
+  }
+
+  test('emails a six-digit code that signs the user in', async () => {
+    const delivered = smtp.waitForMessage();
+    const requested = await request(app)
+      .post('/auth/passwordless/request')
+      .send({ email: 'Grace@uni.test', method: 'code' })
+      .expect(200);
+    expect(requested.body.data).toEqual({ method: 'code', expiresInMinutes: 10 });
+
+    const message = await delivered;
+    expect(message.to).toEqual(['grace@uni.test']);
+    const [, code] = message.subject.match(/^(\d{6}) is your EduWise sign-in code$/);
+    expect(message.body).toContain(code);
+
+    const response = await request(app)
+      .post('/auth/passwordless/verify')
+      .send({ email: 'grace@uni.test', code })
+      .expect(200);
+    await expectSignedIn(response);
+    // Receiving the email proves the address
+    expect(users[0].emailVerified).toBe(true);
+    expect(loginCodes).toHaveLength(0);
+  });
+
+  test('rejects a wrong code and counts the attempt', async () => {
+    const delivered = smtp.waitForMessage();
+    await request(app).post('/auth/passwordless/request').send({ email: 'grace@uni.test' }).expect(200);
+    const [, code] = (await delivered).subject.match(/^(\d{6})/);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    const response = await request(app)
+      .post('/auth/passwordless/verify')
+      .send({ email: 'grace@uni.test', code: wrongCode })
+      .expect(400);
+    expect(response.body.attemptsRemaining).toBe(4);
+    expect(loginCodes[0].attempts).toBe(1);
+  });
+
+  test('emails a magic link that signs the user in once', async () => {
+    const delivered = smtp.waitForMessage();
+    await request(app)
+      .post('/auth/passwordless/request')
+      .send({ email: 'grace@uni.test', method: 'link' })
+      .expect(200);
+
+    const message = await delivered;
+    expect(message.subject).toBe('Your sign-in link - EduWise');
+    const [, token] = message.body.match(new RegExp(`${FRONTEND_URL}/magic-login\\.html\\?token=([a-f0-9]{64})`));
+
+    const response = await request(app).post('/auth/passwordless/verify').send({ token }).expect(200);
+    await expectSignedIn(response);
+
+    const reused = await request(app).post('/auth/passwordless/verify').send({ token }).expect(400);
+    expect(reused.body.message).toBe('Invalid or expired sign-in link');
+  });
+
+  test('answers the same for an unknown address and sends nothing', async () => {
+    const sentBefore = smtp.messages.length;
+    const known = await request(app).post('/auth/passwordless/request').send({ email: 'grace@uni.test' }).expect(200);
+    await smtp.waitForMessage(sentBefore);
+    const unknown = await request(app).post('/auth/passwordless/request').send({ email: 'nobody@uni.test' }).expect(200);
+
+    expect(unknown.body).toEqual(known.body);
+    expect(smtp.messages).toHaveLength(sentBefore + 1);
+  });
+});
@@ -0,0 +1,207 @@
+const User = require('../models/User');
+const ForumPost = require('../models/Forum');
+const Notification = require('../models/Notification');
+const CGPACalculation = require('../models/CGPA');
+const CourseProgress = require('../models/CourseProgress');
+const Course = require('../models/Course');
+const Announcement = require('../models/Announcement');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const LoginCode = require('../models/LoginCode');
+const { StudySession, StudyPreferences } = require('../models/StudyPlan');
+const { ProgressData, Semester, AcademicGoal } = require('../models/ProgressData');
+const { GameStats } = require('../models/Game');
+const { AssignmentSubmission } = require('../models/Assignment');
+const { QuizAttempt } = require('../models/Quiz');
+const Certificate = require('../models/Certificate');
+const CourseInvitation = require('../models/CourseInvitation');
+const { createZip } = require('./zipArchive');
+const { generateRandomPassword } = require('./passwordPolicy');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Content written by deleted accounts is reassigned to this placeholder,
+// so forum threads and courses keep a valid author reference
+const DELETED_USER_EMAIL = 'deleted-user@eduwave.invalid';
+const DELETED_USER_NAME = 'Deleted user';
+
+async function getDeletedUserPlaceholder() {
+  let placeholder = await User.findOne({ email: DELETED_USER_EMAIL });
+  if (!placeholder) {
+    // .invalid is not accepted by the email validator and can never receive mail, so skip validation
+    placeholder = new User({
+      fullName: DELETED_USER_NAME,
+      email: DELETED_USER_EMAIL,
+      password: generateRandomPassword(),
+      role: 'user',
+      emailVerified: false,
+    });
+    await placeholder.save({ validateBeforeSave: false });
+  }
+  return placeholder;
+}
+
+// Forum posts and replies written by the user, in one list each
+async function getForumContent(userId) {
+  const posts = await ForumPost.find({ author: userId })
+    .select('-replies -votedBy')
+    .lean();
+
+  const postsWithReplies = await ForumPost.find({ 'replies.author': userId })
+    .select('title replies')
+    .lean();
+  const replies = [];
+  for (const post of postsWithReplies) {
+    for (const reply of post.replies) {
+      if (reply.author.toString() === userId.toString()) {
+        const { votedBy, ...rest } = reply;
+        replies.push({ ...rest, postId: post._id, postTitle: post.title });
+      }
+    }
+  }
+
+  return { posts, replies };
+}
+
+// Build a zip of everything stored about the user, one JSON file per collection
+async function buildAccountExport(userId) {
+  const profile = await User.findById(userId)
+    .select('-password -emailVerificationToken -passwordResetToken -pendingEmailToken')
+    .lean();
+
+  const [studySessions, studyPreferences, progressData, semesters, academicGoals, cgpaCalculations, forum, notifications, gameStats, reviews,
+    courseProgress, quizAttempts, certificates] = await Promise.all([
+    StudySession.find({ user: userId }).lean(),
+    StudyPreferences.findOne({ user: userId }).lean(),
+    ProgressData.find({ user: userId }).lean(),
+    Semester.find({ user: userId }).lean(),
+    AcademicGoal.find({ user: userId }).lean(),
+    CGPACalculation.find({ user: userId }).lean(),
+    getForumContent(userId),
+    Notification.find({ user: userId }).lean(),
+    GameStats.findOne({ user: userId }).lean(),
+    Review.find({ user: userId }).select('-reports').lean(),
+    // Lesson notes and bookmarks are stored with the progress of each lesson
+    CourseProgress.find({ user: userId }).lean(),
+    QuizAttempt.find({ user: userId }).sort({ startedAt: 1 }).lean(),
+    Certificate.find({ user: userId }).sort({ issuedAt: 1 }).lean(),
+  ]);
+
+  const files = {
+    'profile.json': profile,
+    'study-sessions.json': { sessions: studySessions, preferences: studyPreferences },
+    'progress-data.json': { progressData, semesters, academicGoals },
+    'cgpa-calculations.json': cgpaCalculations,
+    'forum-posts.json': forum,
+    'notifications.json': notifications,
+    'game-stats.json': gameStats,
+    'course-reviews.json': reviews,
+    'course-progress.json': courseProgress,
+    'quiz-attempts.json': quizAttempts,
+    'certificates.json': certificates,
+  };
+
+  const exportedAt = new Date();
+  const entries = Object.entries(files).map(([name, data]) => ({
+    name,
+    content: JSON.stringify(data, null, 2),
+  }));
+  entries.unshift({
+    name: 'README.txt',
+    content: `EduWave data export for ${profile.email}\nCreated ${exportedAt.toISOString()}\n\nEach .json file holds one part of your account data.\n`,
+  });
+
+  return createZip(entries, exportedAt);
+}
+
+// Permanently remove a user. Forum posts, replies and courses they created stay
+// but are credited to the deleted-user placeholder; personal records are removed.
+async function deleteAccountData(userId) {
+  const placeholder = await getDeletedUserPlaceholder();
+
+  await ForumPost.updateMany(
+    { author: userId },
+    { $set: { author: placeholder._id, authorName: DELETED_USER_NAME } }
+  );
+  await ForumPost.updateMany(
+    { 'replies.author': userId },
+    { $set: { 'replies.$[reply].author': placeholder._id, 'replies.$[reply].authorName': DELETED_USER_NAME } },
+    { arrayFilters: [{ 'reply.author': userId }] }
+  );
+  await ForumPost.updateMany({ votedBy: userId }, { $pull: { votedBy: userId } });
+  await ForumPost.updateMany({ 'replies.votedBy': userId }, { $pull: { 'replies.$[].votedBy': userId } });
+  await ForumPost.updateMany({ flaggedBy: userId }, { $set: { flaggedBy: placeholder._id } });
+  await ForumPost.updateMany(
+    { 'replies.reportedBy': userId },
+    { $set: { 'replies.$[reply].reportedBy': placeholder._id } },
+    { arrayFilters: [{ 'reply.reportedBy': userId }] }
+  );
+
+  await Course.updateMany({ instructor: userId }, { $set: { instructor: placeholder._id } });
+  await Course.updateMany(
+    { 'enrolledStudents.userId': userId },
+    { $pull: { enrolledStudents: { userId } }, $inc: { studentsEnrolled: -1 } }
+  );
+  await Course.updateMany({ 'staff.user': userId }, { $pull: { staff: { user: userId } } });
+  await Announcement.updateMany({ createdBy: userId }, { $set: { createdBy: placeholder._id } });
+
+  // Reviews are one per student per course, so they are removed rather than reassigned
+  const reviewedCourses = await Review.distinct('course', { user: userId });
+  await Review.deleteMany({ user: userId });
+  for (const courseObjectId of reviewedCourses) {
+    await Review.updateCourseRating(courseObjectId);
+  }
+  await Review.updateMany({ 'reports.user': userId }, { $pull: { reports: { user: userId } } });
+
+  // Submitted work, including the uploaded files
+  await AssignmentSubmission.deleteWithFiles({ user: userId });
+
+  // Staff invitations sent to the user are withdrawn; ones they sent or answered stay on the course record
+  const user = await User.findById(userId).select('email').lean();
+  if (user) {
+    await CourseInvitation.deleteMany({ email: user.email.toLowerCase() });
+  }
+  await CourseInvitation.updateMany({ invitedBy: userId }, { $set: { invitedBy: placeholder._id } });
+  await CourseInvitation.updateMany({ respondedBy: userId }, { $set: { respondedBy: placeholder._id } });
+
+  await Promise.all([
+    StudySession.deleteMany({ user: userId }),
+    StudyPreferences.deleteMany({ user: userId }),
+    ProgressData.deleteMany({ user: userId }),
+    Semester.deleteMany({ user: userId }),
+    AcademicGoal.deleteMany({ user: userId }),
+    CGPACalculation.deleteMany({ user: userId }),
+    CourseProgress.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    GameStats.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    LoginCode.deleteMany({ user: userId }),
+    QuizAttempt.deleteMany({ user: userId }),
+    // Certificate verification would otherwise keep showing the student's name
+    Certificate.deleteMany({ user: userId }),
+  ]);
+
+  return User.findByIdAndDelete(userId);
+}
+
+// Delete every account whose grace period has ended (run periodically from server.js)
+async function purgeScheduledDeletions() {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      await deleteAccountData(user._id);
+      deleted++;
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error);
+    }
+  }
+  return { due: due.length, deleted };
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildAccountExport,
+  deleteAccountData,
+  purgeScheduledDeletions,
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Offline breached-password check using the k-anonymity range model.
+// The file is a list of upper-case SHA-1 hashes sorted by hash, one per line,
+// optionally followed by ":count" - the format produced by haveibeenpwned-downloader.
+// Only the 5 character prefix is used to read a range of candidate suffixes; the
+// full hash is never looked up directly, so the file can be swapped for a remote
+// range API without changing callers.
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '../data/breached-passwords.txt');
+
+const PREFIX_LENGTH = 5;
+const CHUNK_SIZE = 256; // longer than any line in the file
+
+let missingFileLogged = false;
+
+async function readChunk(handle, position) {
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  const { bytesRead } = await handle.read(buffer, 0, CHUNK_SIZE, position);
+  return buffer.toString('utf8', 0, bytesRead);
+}
+
+// First complete line starting at or after position, or null at end of file
+async function lineAtOrAfter(handle, position, size) {
+  let start = position;
+  if (position > 0) {
+    const before = await readChunk(handle, position - 1);
+    const newline = before.indexOf('\n');
+    if (newline === -1) return null;
+    start = position + newline;
+  }
+  if (start >= size) return null;
+
+  const text = await readChunk(handle, start);
+  const end = text.indexOf('\n');
+  return {
+    start,
+    next: end === -1 ? size : start + end + 1,
+    line: (end === -1 ? text : text.slice(0, end)).trim().toUpperCase(),
+  };
+}
+
+// All hash suffixes (with counts) in the file for a 5 character SHA-1 prefix
+async function getRange(prefix) {
+  const handle = await fs.promises.open(BREACHED_PASSWORDS_FILE, 'r');
+  try {
+    const { size } = await handle.stat();
+
+    // Binary search for the first line whose hash is >= prefix
+    let low = 0;
+    let high = size;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const entry = await lineAtOrAfter(handle, mid, size);
+      if (entry && entry.line.slice(0, PREFIX_LENGTH) < prefix) {
+        low = entry.next;
+      } else {
+        high = mid;
+      }
+    }
+
+    const range = new Map();
+    let entry = await lineAtOrAfter(handle, low, size);
+    while (entry && entry.line.startsWith(prefix)) {
+      const [hash, count] = entry.line.split(':');
+      range.set(hash.slice(PREFIX_LENGTH), parseInt(count, 10) || 1);
+      entry = await lineAtOrAfter(handle, entry.next, size);
+    }
+    return range;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Number of times the password appears in the breach corpus (0 if not found),
+// or null when the corpus file is not available
+async function getBreachCount(password) {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+
+  try {
+    const range = await getRange(hash.slice(0, PREFIX_LENGTH));
+    return range.get(hash.slice(PREFIX_LENGTH)) || 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      if (!missingFileLogged) {
+        console.warn(`Breached password file not found at ${BREACHED_PASSWORDS_FILE}, skipping breach checks`);
+        missingFileLogged = true;
+      }
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  getRange,
+  getBreachCount,
+};
@@ -0,0 +1,238 @@
+// Lesson captions: WebVTT and SRT parsing, normalisation to WebVTT, and searching caption text
+const Course = require('../models/Course');
+const LessonCaption = require('../models/LessonCaption');
+const { findLesson, getLessonId, getLessonSchedule } = require('./courseSchedule');
+
+const MAX_CAPTION_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_CUES = 20000;
+// BCP 47 style: "en", "pt-BR", "zh-Hant"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// "01:02:03.456", "02:03.456" (WebVTT) or "01:02:03,456" (SRT) -> seconds
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/;
+const TIMING_PATTERN = /^(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+
+function parseTimestamp(value) {
+  const match = value.match(TIMESTAMP_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds, fraction] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) {
+    return null;
+  }
+  return (Number(hours) || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+function formatVttTimestamp(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:${pad(Math.floor(totalMs / 1000) % 60)}.${pad(totalMs % 1000, 3)}`;
+}
+
+// Cue text as it goes into the WebVTT file: SRT's <font> and {\an8}-style tags dropped,
+// stray ampersands escaped. <b>, <i>, <u> and <v Speaker> are valid WebVTT and kept.
+function cleanCueText(lines) {
+  return lines
+    .map(line => line
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/<\/?font[^>]*>/gi, '')
+      .replace(/&(?!(?:[a-z]+|#\d+);)/gi, '&amp;')
+      .replace(/-->/g, '->')
+      .trimEnd())
+    .filter(line => line.trim() !== '')
+    .join('\n');
+}
+
+// Cue text without markup, for search
+function toPlainText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse a WebVTT or SRT file.
+// Returns { format: 'vtt' | 'srt', cues: [{ start, end, text, settings }] } sorted by start, or { error }.
+function parseCaptions(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  const blocks = text.split(/\n[ \t]*\n/);
+  const isVtt = /^WEBVTT(?:[ \t]|$)/.test(blocks[0]);
+  if (isVtt) {
+    blocks.shift(); // Header block: WEBVTT line and any metadata under it
+  }
+
+  const cues = [];
+  for (let i = 0; i < blocks.length; i++) {
+    const lines = blocks[i].split('\n');
+    if (isVtt && /^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) {
+      continue;
+    }
+
+    // The timing line comes first, or after a cue identifier / SRT sequence number
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      return { error: `Caption block ${i + 1} has no "start --> end" timing line` };
+    }
+    const timing = lines[timingIndex].trim().match(TIMING_PATTERN);
+    const start = timing ? parseTimestamp(timing[1]) : null;
+    const end = timing ? parseTimestamp(timing[2]) : null;
+    if (start === null || end === null) {
+      return { error: `Caption block ${i + 1} has an invalid timing line "${lines[timingIndex].trim()}"` };
+    }
+    if (end <= start) {
+      return { error: `Caption block ${i + 1} ends before it starts (${timing[1]} --> ${timing[2]})` };
+    }
+
+    const cueText = cleanCueText(lines.slice(timingIndex + 1));
+    if (!cueText) {
+      continue; // Empty cues show nothing
+    }
+    cues.push({
+      start,
+      end,
+      text: cueText,
+      // Positioning settings only exist in WebVTT; SRT has none (some files carry X1:/Y1: coordinates)
+      settings: isVtt && timing[3] ? timing[3].trim() : '',
+    });
+    if (cues.length > MAX_CUES) {
+      return { error: `Caption files can have at most ${MAX_CUES} cues` };
+    }
+  }
+
+  if (cues.length === 0) {
+    return { error: 'No captions found - upload a WebVTT (.vtt) or SRT (.srt) file' };
+  }
+
+  return {
+    format: isVtt ? 'vtt' : 'srt',
+    cues: cues.sort((a, b) => a.start - b.start),
+  };
+}
+
+// Cues from parseCaptions as a WebVTT file
+function buildWebVtt(cues) {
+  const body = cues.map((cue, index) => [
+    String(index + 1),
+    `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+    cue.text,
+  ].join('\n'));
+  return `WEBVTT\n\n${body.join('\n\n')}\n`;
+}
+
+// Lower-cased words of a search query
+function getSearchTerms(query) {
+  return String(query || '').toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+}
+
+// Cues of a stored caption containing every search term
+function findMatchingCues(caption, terms) {
+  return caption.cues.filter(cue => {
+    const text = cue.text.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+// Where a query is said in a course's lessons, in course order then by time.
+// Returns [{ lessonId, lessonTitle, language, start, end, text }]. Captions of removed lessons are skipped,
+// as are lessons not in lessonIds when it is given.
+async function searchCourseCaptions(course, query, { language, lessonIds, limit = 50 } = {}) {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const filter = { courseId: course.courseId };
+  if (language) {
+    filter.language = language;
+  }
+  if (lessonIds) {
+    filter.lessonId = { $in: lessonIds };
+  }
+  const captions = await LessonCaption.find(filter).select('lessonId language cues').lean();
+
+  const matches = [];
+  for (const caption of captions) {
+    const found = findLesson(course, caption.lessonId);
+    if (!found) continue;
+    for (const cue of findMatchingCues(caption, terms)) {
+      matches.push({
+        lessonId: getLessonId(found.lesson, found.index),
+        lessonTitle: found.lesson.title,
+        lessonIndex: found.index,
+        language: caption.language,
+        start: cue.start,
+        end: cue.end,
+        text: cue.text,
+      });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.lessonIndex - b.lessonIndex || a.start - b.start)
+    .slice(0, limit)
+    .map(({ lessonIndex, ...match }) => match);
+}
+
+// Caption matches across many courses for catalog search, best caption files first.
+// courseFilter limits which courses count (e.g. published and public). Lessons that are not released to a
+// student enrolling now are skipped.
+// Returns [{ courseId, title, lessonId, lessonTitle, language, start, end, text }].
+async function searchCatalogCaptions(query, courseFilter, { limit = 20 } = {}) {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const captions = await LessonCaption.find({ $text: { $search: query } })
+    .select({ courseId: 1, lessonId: 1, language: 1, cues: 1, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(50)
+    .lean();
+  if (captions.length === 0) {
+    return [];
+  }
+
+  const courses = await Course.find({ ...courseFilter, courseId: { $in: [...new Set(captions.map(c => c.courseId))] } })
+    .select('courseId title lessons modules')
+    .lean();
+  const coursesById = new Map(courses.map(course => [course.courseId, course]));
+  const schedules = new Map(courses.map(course => [course.courseId, getLessonSchedule(course)]));
+
+  const matches = [];
+  for (const caption of captions) {
+    const course = coursesById.get(caption.courseId);
+    const found = course && findLesson(course, caption.lessonId);
+    if (!found || !schedules.get(course.courseId)[found.index].unlocked) continue;
+    for (const cue of findMatchingCues(caption, terms)) {
+      matches.push({
+        courseId: course.courseId,
+        title: course.title,
+        lessonId: getLessonId(found.lesson, found.index),
+        lessonTitle: found.lesson.title,
+        language: caption.language,
+        start: cue.start,
+        end: cue.end,
+        text: cue.text,
+      });
+      if (matches.length >= limit) {
+        return matches;
+      }
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  MAX_CAPTION_FILE_SIZE,
+  LANGUAGE_PATTERN,
+  parseCaptions,
+  buildWebVtt,
+  toPlainText,
+  searchCourseCaptions,
+  searchCatalogCaptions,
+};
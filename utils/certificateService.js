@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+const User = require('../models/User');
+const { getLessonDurationSeconds } = require('./courseSchedule');
+const { formatDuration } = require('./duration');
+
+// No 0/O or 1/I, so serials can be read back off a printed certificate
+const SERIAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. EW-7KQ2-M9XD-4TPA
+function generateSerial() {
+  const groups = [];
+  for (let group = 0; group < 3; group++) {
+    let chars = '';
+    for (let i = 0; i < 4; i++) {
+      chars += SERIAL_ALPHABET[crypto.randomInt(SERIAL_ALPHABET.length)];
+    }
+    groups.push(chars);
+  }
+  return `EW-${groups.join('-')}`;
+}
+
+// Issue the user's certificate for a course, or return the one they already have
+async function issueCertificate(userId, course, completedAt = new Date()) {
+  const existing = await Certificate.findOne({ user: userId, course: course._id });
+  if (existing) {
+    return existing;
+  }
+
+  const user = await User.findById(userId).select('fullName');
+  for (let tries = 0; tries < 5; tries++) {
+    try {
+      return await Certificate.create({
+        serial: generateSerial(),
+        user: userId,
+        course: course._id,
+        courseId: course.courseId,
+        studentName: user ? user.fullName : 'Student',
+        courseTitle: course.title,
+        instructorName: course.instructorName,
+        courseDurationSeconds: (course.lessons || []).reduce((sum, lesson) => sum + getLessonDurationSeconds(lesson), 0),
+        completedAt,
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Either the serial collided (try another) or a parallel request issued it first
+      const issued = await Certificate.findOne({ user: userId, course: course._id });
+      if (issued) {
+        return issued;
+      }
+    }
+  }
+  throw new Error('Could not generate a unique certificate serial');
+}
+
+// Draw an uploaded logo or signature if the file is still there; pdfkit only reads PNG and JPEG
+function drawImage(doc, storedPath, x, y, options) {
+  if (!storedPath) return false;
+  const filePath = path.join(__dirname, '..', storedPath);
+  if (!fs.existsSync(filePath)) return false;
+  try {
+    doc.image(filePath, x, y, options);
+    return true;
+  } catch (error) {
+    console.error(`Could not draw certificate image ${storedPath}:`, error.message);
+    return false;
+  }
+}
+
+// Build the certificate PDF. Returns the pdfkit document; the caller pipes it and calls end().
+function renderCertificatePdf(certificate, branding = {}, verifyUrl) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0 });
+  const width = doc.page.width;
+  const height = doc.page.height;
+  const contentWidth = width - 160;
+
+  // Border
+  doc.lineWidth(6).strokeColor('#1e3a8a').rect(24, 24, width - 48, height - 48).stroke();
+  doc.lineWidth(1).strokeColor('#93c5fd').rect(36, 36, width - 72, height - 72).stroke();
+
+  drawImage(doc, branding.logoPath, width / 2 - 50, 56, { fit: [100, 60], align: 'center', valign: 'center' });
+
+  doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(34)
+    .text('Certificate of Completion', 80, 130, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#374151').font('Helvetica').fontSize(14)
+    .text('This certifies that', 80, 190, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(30)
+    .text(certificate.studentName, 80, 218, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#374151').font('Helvetica').fontSize(14)
+    .text('has successfully completed the course', 80, 268, { width: contentWidth, align: 'center' });
+
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(22)
+    .text(certificate.courseTitle, 80, 294, { width: contentWidth, align: 'center' });
+
+  const completedOn = new Date(certificate.completedAt).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  doc.fillColor('#374151').font('Helvetica').fontSize(12)
+    .text(
+      certificate.courseDurationSeconds > 0
+        ? `Completed on ${completedOn} · ${formatDuration(certificate.courseDurationSeconds)} of course content`
+        : `Completed on ${completedOn}`,
+      80, 350, { width: contentWidth, align: 'center' }
+    );
+
+  // Signature block
+  const lineY = 460;
+  const signatureX = width / 2 - 110;
+  drawImage(doc, branding.signaturePath, signatureX + 30, lineY - 60, { fit: [160, 55], align: 'center', valign: 'bottom' });
+  doc.lineWidth(1).strokeColor('#6b7280').moveTo(signatureX, lineY).lineTo(signatureX + 220, lineY).stroke();
+  doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12)
+    .text(branding.signatoryName || certificate.instructorName || '', signatureX, lineY + 8, { width: 220, align: 'center' });
+  doc.fillColor('#6b7280').font('Helvetica').fontSize(10)
+    .text(branding.signatoryTitle || 'Instructor', signatureX, lineY + 24, { width: 220, align: 'center' });
+
+  // Serial and where to check it
+  doc.fillColor('#6b7280').font('Helvetica').fontSize(9)
+    .text(`Certificate ID: ${certificate.serial}`, 60, height - 78, { width: width - 120, align: 'center' });
+  if (verifyUrl) {
+    doc.text(`Verify at ${verifyUrl}`, 60, height - 64, { width: width - 120, align: 'center', link: verifyUrl });
+  }
+
+  return doc;
+}
+
+module.exports = {
+  generateSerial,
+  issueCertificate,
+  renderCertificatePdf,
+};
@@ -0,0 +1,268 @@
+// Instructor analytics for a course, built from Course.enrolledStudents and CourseProgress:
+// enrolment funnel, per-lesson engagement and drop-off, time to complete and weekly activity
+const { getLessonId } = require('./courseSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+// A student who has not finished and has not been back for this long has stopped
+const INACTIVE_DAYS = 14;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 52;
+
+// Days from enrolment to completion
+const TIME_TO_COMPLETE_BUCKETS = [
+  { label: 'Under 1 day', maxDays: 1 },
+  { label: '1-7 days', maxDays: 7 },
+  { label: '1-2 weeks', maxDays: 14 },
+  { label: '2-4 weeks', maxDays: 28 },
+  { label: '1-3 months', maxDays: 90 },
+  { label: 'Over 3 months', maxDays: Infinity },
+];
+
+function toIdString(value) {
+  return (value._id || value).toString();
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+// Monday 00:00 UTC of the week a date falls in
+function startOfWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// Times a student did something in a lesson
+function lessonActivityDates(lessonProgress) {
+  const dates = [lessonProgress.lastWatchedAt, lessonProgress.completedAt];
+  for (const segment of lessonProgress.watchedSegments || []) {
+    dates.push(segment.firstWatchedAt, segment.lastWatchedAt);
+  }
+  return dates.filter(Boolean).map(date => new Date(date));
+}
+
+function hasStartedLesson(lessonProgress) {
+  return Boolean(lessonProgress && (lessonProgress.completed || lessonProgress.watchTime > 0));
+}
+
+// Build the analytics for a course.
+// progressList: the course's CourseProgress documents (lean). Course staff are left out of every figure.
+// Returns { summary, funnel, lessons, dropOff, timeToComplete, weeklyActiveLearners, heatmap }.
+function buildCourseAnalytics(course, progressList, { now = new Date(), weeks = DEFAULT_WEEKS } = {}) {
+  const staffIds = new Set([course.instructor, ...(course.staff || []).map(member => member.user)]
+    .filter(Boolean)
+    .map(toIdString));
+
+  // Students: everyone enrolled, plus anyone with progress who got in another way (e.g. premium access)
+  const enrolledAt = new Map();
+  for (const student of course.enrolledStudents || []) {
+    if (student.userId && !staffIds.has(toIdString(student.userId))) {
+      enrolledAt.set(toIdString(student.userId), student.enrolledAt);
+    }
+  }
+  const progressByUser = new Map();
+  for (const progress of progressList) {
+    const userId = toIdString(progress.user);
+    if (staffIds.has(userId)) continue;
+    progressByUser.set(userId, progress);
+    if (!enrolledAt.has(userId)) {
+      enrolledAt.set(userId, progress.createdAt);
+    }
+  }
+  const studentIds = [...enrolledAt.keys()];
+  const lessonIds = (course.lessons || []).map((lesson, index) => getLessonId(lesson, index));
+
+  const lessonMaps = new Map();
+  for (const [userId, progress] of progressByUser) {
+    lessonMaps.set(userId, new Map((progress.lessons || []).map(item => [item.lessonId, item])));
+  }
+
+  // Funnel
+  const started = studentIds.filter(userId => {
+    const lessons = lessonMaps.get(userId);
+    return lessons && [...lessons.values()].some(hasStartedLesson);
+  });
+  const halfway = studentIds.filter(userId => (progressByUser.get(userId)?.progress || 0) >= 50);
+  const completed = studentIds.filter(userId => progressByUser.get(userId)?.completed);
+  const funnel = [
+    { stage: 'enrolled', count: studentIds.length },
+    { stage: 'started', count: started.length },
+    { stage: 'halfway', count: halfway.length },
+    { stage: 'completed', count: completed.length },
+  ].map(step => ({ ...step, percent: percent(step.count, studentIds.length) }));
+
+  // Where students stopped: the first lesson they have not completed, for students who started,
+  // have not finished and have been inactive for INACTIVE_DAYS
+  const stoppedAt = new Map();
+  const inactiveSince = now.getTime() - INACTIVE_DAYS * DAY_MS;
+  for (const userId of started) {
+    const progress = progressByUser.get(userId);
+    if (progress.completed || new Date(progress.lastAccessedAt).getTime() > inactiveSince) continue;
+    const lessons = lessonMaps.get(userId);
+    const stopLessonId = lessonIds.find(lessonId => !lessons.get(lessonId)?.completed);
+    if (stopLessonId !== undefined) {
+      stoppedAt.set(stopLessonId, (stoppedAt.get(stopLessonId) || 0) + 1);
+    }
+  }
+
+  const lessons = (course.lessons || []).map((lesson, index) => {
+    const lessonId = lessonIds[index];
+    const entries = studentIds.map(userId => lessonMaps.get(userId)?.get(lessonId)).filter(Boolean);
+    const watchTimes = entries.map(entry => entry.watchTime || 0).filter(watchTime => watchTime > 0);
+    const completedCount = entries.filter(entry => entry.completed).length;
+    return {
+      lessonId,
+      title: lesson.title,
+      started: entries.filter(hasStartedLesson).length,
+      completed: completedCount,
+      completionRate: percent(completedCount, studentIds.length),
+      medianWatchTime: Math.round(median(watchTimes)), // seconds, among students who watched
+      stoppedHere: stoppedAt.get(lessonId) || 0,
+    };
+  });
+
+  const dropOffLesson = lessons.reduce((worst, lesson) => (
+    lesson.stoppedHere > 0 && (!worst || lesson.stoppedHere > worst.stoppedHere) ? lesson : worst
+  ), null);
+  const stoppedTotal = [...stoppedAt.values()].reduce((sum, count) => sum + count, 0);
+
+  // Time to complete
+  const completionDays = completed
+    .map(userId => {
+      const completedAt = progressByUser.get(userId).completedAt;
+      const startedAt = enrolledAt.get(userId);
+      return completedAt && startedAt ? Math.max(0, (new Date(completedAt) - new Date(startedAt)) / DAY_MS) : null;
+    })
+    .filter(days => days !== null);
+  const timeToComplete = {
+    medianDays: Math.round(median(completionDays) * 10) / 10,
+    buckets: TIME_TO_COMPLETE_BUCKETS.map((bucket, index) => {
+      const minDays = index === 0 ? 0 : TIME_TO_COMPLETE_BUCKETS[index - 1].maxDays;
+      return {
+        label: bucket.label,
+        count: completionDays.filter(days => days >= minDays && days < bucket.maxDays).length,
+      };
+    }),
+  };
+
+  // Weekly active learners and the lesson-by-week heatmap, oldest week first
+  const weekCount = Math.min(Math.max(parseInt(weeks) || DEFAULT_WEEKS, 1), MAX_WEEKS);
+  const currentWeek = startOfWeek(now).getTime();
+  const weekStarts = Array.from({ length: weekCount }, (_, i) => currentWeek - (weekCount - 1 - i) * WEEK_MS);
+  const weekIndex = date => {
+    const index = Math.round((startOfWeek(date).getTime() - weekStarts[0]) / WEEK_MS);
+    return index >= 0 && index < weekCount ? index : -1;
+  };
+
+  const activeByWeek = weekStarts.map(() => new Set());
+  const heatmapCells = new Map(lessonIds.map(lessonId => [lessonId, weekStarts.map(() => new Set())]));
+  for (const [userId, progress] of progressByUser) {
+    if (progress.lastAccessedAt) {
+      const index = weekIndex(new Date(progress.lastAccessedAt));
+      if (index !== -1) activeByWeek[index].add(userId);
+    }
+    for (const lessonProgress of progress.lessons || []) {
+      const cells = heatmapCells.get(lessonProgress.lessonId);
+      for (const date of lessonActivityDates(lessonProgress)) {
+        const index = weekIndex(date);
+        if (index === -1) continue;
+        activeByWeek[index].add(userId);
+        if (cells) cells[index].add(userId);
+      }
+    }
+  }
+
+  const weekLabels = weekStarts.map(time => new Date(time).toISOString().slice(0, 10));
+
+  return {
+    summary: {
+      enrolled: studentIds.length,
+      started: started.length,
+      completed: completed.length,
+      completionRate: percent(completed.length, studentIds.length),
+      stopped: stoppedTotal,
+    },
+    funnel,
+    lessons,
+    dropOff: dropOffLesson ? {
+      lessonId: dropOffLesson.lessonId,
+      title: dropOffLesson.title,
+      count: dropOffLesson.stoppedHere,
+      percentOfStopped: percent(dropOffLesson.stoppedHere, stoppedTotal),
+    } : null,
+    timeToComplete,
+    weeklyActiveLearners: weekLabels.map((weekStart, index) => ({ weekStart, count: activeByWeek[index].size })),
+    heatmap: {
+      weeks: weekLabels,
+      lessons: lessons.map(lesson => ({
+        lessonId: lesson.lessonId,
+        title: lesson.title,
+        counts: heatmapCells.get(lesson.lessonId).map(cell => cell.size),
+      })),
+    },
+  };
+}
+
+// Reports for CSV export: name -> analytics -> { columns, rows }
+const CSV_REPORTS = {
+  lessons: analytics => ({
+    columns: ['lessonId', 'title', 'started', 'completed', 'completionRate', 'medianWatchTime', 'stoppedHere'],
+    rows: analytics.lessons,
+  }),
+  funnel: analytics => ({
+    columns: ['stage', 'count', 'percent'],
+    rows: analytics.funnel,
+  }),
+  'time-to-complete': analytics => ({
+    columns: ['label', 'count'],
+    rows: analytics.timeToComplete.buckets,
+  }),
+  'weekly-active': analytics => ({
+    columns: ['weekStart', 'count'],
+    rows: analytics.weeklyActiveLearners,
+  }),
+  heatmap: analytics => ({
+    columns: ['lessonId', 'title', ...analytics.heatmap.weeks],
+    rows: analytics.heatmap.lessons.map(lesson => ({
+      lessonId: lesson.lessonId,
+      title: lesson.title,
+      ...Object.fromEntries(analytics.heatmap.weeks.map((week, index) => [week, lesson.counts[index]])),
+    })),
+  }),
+};
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Stop spreadsheets reading lesson titles as formulas
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One report as CSV text, or null for an unknown report name
+function analyticsToCsv(analytics, report = 'lessons') {
+  if (!Object.prototype.hasOwnProperty.call(CSV_REPORTS, report)) {
+    return null;
+  }
+  const { columns, rows } = CSV_REPORTS[report](analytics);
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  CSV_REPORTS,
+  buildCourseAnalytics,
+  analyticsToCsv,
+};
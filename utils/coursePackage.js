@@ -0,0 +1,343 @@
+// Course packages: a course's content, metadata and attached files in one zip archive,
+// used to move courses between servers and to seed default courses from disk.
+//
+// Layout:
+//   manifest.json   - { format, version, exportedAt, course: {...}, files: [{ name, path, size, type }] }
+//   files/...       - attached files and certificate images, referenced from the manifest by path
+const path = require('path');
+const fs = require('fs').promises;
+const Course = require('../models/Course');
+const { createZip, readZip } = require('./zipArchive');
+const { CONTENT_FIELDS, snapshotCourse } = require('./courseVersioning');
+const { validateCourseStructure } = require('./courseSchedule');
+
+const PACKAGE_FORMAT = 'eduwave-course';
+const PACKAGE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads/courses');
+const SEED_PACKAGES_DIR = process.env.SEED_COURSES_DIR || path.join(__dirname, '../data/seed-courses');
+
+// Archive paths must be plain file names inside files/ so an import cannot write anywhere else
+const ARCHIVE_PATH_PATTERN = /^files\/[^/\\]+$/;
+const CERTIFICATE_IMAGE_PATTERN = /\.(png|jpe?g)$/i;
+// Imported files keep their extension and are served from /uploads, so only the document types
+// the course upload route accepts are allowed
+const COURSE_FILE_PATTERN = /\.(pdf|docx?|txt)$/i;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Keep archive file names readable but safe
+function toArchiveName(index, name) {
+  const safeName = path.basename(String(name || 'file')).replace(/[^\w.-]+/g, '_');
+  return `files/${index + 1}-${safeName}`;
+}
+
+// Same naming scheme multer uses for course uploads
+function generateStoredName(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalName);
+}
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Stored paths look like /uploads/courses/<file>
+function readStoredFile(storedPath) {
+  return readFileIfExists(path.join(__dirname, '..', storedPath));
+}
+
+// Build the package archive for a course. Files missing from disk are left out and listed in missingFiles.
+async function buildCoursePackage(course) {
+  const entries = [];
+  const missingFiles = [];
+  const content = snapshotCourse(course);
+
+  const files = [];
+  for (const [index, file] of (course.files || []).entries()) {
+    const data = await readStoredFile(file.path);
+    if (!data) {
+      missingFiles.push(file.name);
+      continue;
+    }
+    const archivePath = toArchiveName(index, file.name);
+    entries.push({ name: archivePath, content: data });
+    files.push({ name: file.name, path: archivePath, size: data.length, type: file.type || '' });
+  }
+
+  const branding = course.certificate || {};
+  const certificate = {
+    signatoryName: branding.signatoryName,
+    signatoryTitle: branding.signatoryTitle,
+  };
+  for (const field of ['logo', 'signature']) {
+    const storedPath = branding[`${field}Path`];
+    const data = storedPath && await readStoredFile(storedPath);
+    if (storedPath && !data) {
+      missingFiles.push(path.basename(storedPath));
+    }
+    if (data) {
+      const archivePath = `files/certificate-${field}${path.extname(storedPath).toLowerCase()}`;
+      entries.push({ name: archivePath, content: data });
+      certificate[field] = archivePath;
+    }
+  }
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: {
+      ...content,
+      sourceCourseId: course.courseId,
+      instructorName: course.instructorName,
+      lastLessonId: course.lastLessonId || 0,
+      certificate,
+    },
+    files,
+  };
+
+  entries.unshift({ name: MANIFEST_NAME, content: JSON.stringify(manifest, null, 2) });
+  return { buffer: createZip(entries), manifest, missingFiles };
+}
+
+// Check a manifest before anything is created from it. archivePaths: the files available in the package.
+// Returns an error message, or null when the manifest is valid.
+function validateManifest(manifest, archivePaths) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return 'manifest.json must contain an object';
+  }
+  if (manifest.format !== PACKAGE_FORMAT) {
+    return `Not a course package (format must be "${PACKAGE_FORMAT}")`;
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > PACKAGE_VERSION) {
+    return `Unsupported package version ${manifest.version} (this server reads up to version ${PACKAGE_VERSION})`;
+  }
+
+  const course = manifest.course;
+  if (!course || typeof course !== 'object' || Array.isArray(course)) {
+    return 'manifest.course must be an object';
+  }
+  for (const field of ['title', 'instructorName', 'category', 'description']) {
+    if (!isNonEmptyString(course[field])) {
+      return `manifest.course.${field} is required`;
+    }
+  }
+  if (course.lessons !== undefined) {
+    if (!Array.isArray(course.lessons)) {
+      return 'manifest.course.lessons must be an array';
+    }
+    const badLesson = course.lessons.findIndex(lesson => !lesson || typeof lesson !== 'object' || !isNonEmptyString(lesson.title));
+    if (badLesson !== -1) {
+      return `Lesson ${badLesson + 1} in the manifest needs a title`;
+    }
+  }
+  if (course.objectives !== undefined &&
+      (!Array.isArray(course.objectives) || course.objectives.some(objective => typeof objective !== 'string'))) {
+    return 'manifest.course.objectives must be a list of strings';
+  }
+  const structureError = validateCourseStructure(course.modules, course.lessons);
+  if (structureError) {
+    return structureError;
+  }
+
+  const files = manifest.files === undefined ? [] : manifest.files;
+  if (!Array.isArray(files)) {
+    return 'manifest.files must be an array';
+  }
+  for (const [index, file] of files.entries()) {
+    if (!file || !isNonEmptyString(file.name) || typeof file.path !== 'string') {
+      return `File ${index + 1} in the manifest needs a name and path`;
+    }
+    if (!ARCHIVE_PATH_PATTERN.test(file.path)) {
+      return `Invalid file path "${file.path}" in the manifest`;
+    }
+    if (!COURSE_FILE_PATTERN.test(file.name)) {
+      return `File "${file.name}" in the manifest must be a PDF, DOC, DOCX or TXT file`;
+    }
+    if (!archivePaths.has(file.path)) {
+      return `File "${file.path}" is listed in the manifest but missing from the package`;
+    }
+  }
+
+  const certificate = course.certificate || {};
+  for (const field of ['logo', 'signature']) {
+    const archivePath = certificate[field];
+    if (archivePath === undefined || archivePath === null) continue;
+    if (typeof archivePath !== 'string' || !ARCHIVE_PATH_PATTERN.test(archivePath) || !CERTIFICATE_IMAGE_PATTERN.test(archivePath)) {
+      return `Certificate ${field} must be a PNG or JPEG file in files/`;
+    }
+    if (!archivePaths.has(archivePath)) {
+      return `Certificate ${field} "${archivePath}" is missing from the package`;
+    }
+  }
+
+  return null;
+}
+
+// Parse and validate a package archive.
+// Returns { manifest, files: Map<archivePath, Buffer> } or { error }.
+function readCoursePackage(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    return { error: `Could not read the package: ${error.message}` };
+  }
+
+  const files = new Map(entries.map(entry => [entry.name, entry.content]));
+  if (!files.has(MANIFEST_NAME)) {
+    return { error: 'The package has no manifest.json' };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(MANIFEST_NAME).toString('utf8'));
+  } catch (error) {
+    return { error: `manifest.json is not valid JSON: ${error.message}` };
+  }
+  files.delete(MANIFEST_NAME);
+
+  const error = validateManifest(manifest, new Set(files.keys()));
+  if (error) {
+    return { error };
+  }
+  return { manifest, files };
+}
+
+// Read an unpacked package: a directory holding manifest.json and its files/ folder
+async function readCoursePackageDirectory(directory) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(directory, MANIFEST_NAME), 'utf8'));
+  } catch (error) {
+    return { error: `Could not read manifest.json: ${error.message}` };
+  }
+
+  const files = new Map();
+  const referenced = [
+    ...(Array.isArray(manifest.files) ? manifest.files.map(file => file && file.path) : []),
+    manifest.course?.certificate?.logo,
+    manifest.course?.certificate?.signature,
+  ];
+  for (const archivePath of referenced) {
+    if (typeof archivePath === 'string' && ARCHIVE_PATH_PATTERN.test(archivePath)) {
+      const data = await readFileIfExists(path.join(directory, archivePath));
+      if (data) {
+        files.set(archivePath, data);
+      }
+    }
+  }
+
+  const error = validateManifest(manifest, new Set(files.keys()));
+  if (error) {
+    return { error };
+  }
+  return { manifest, files };
+}
+
+// Seed packages on disk: *.zip archives and unpacked package directories.
+// Returns [{ source, manifest, files }] with { source, error } for packages that cannot be used.
+async function loadSeedPackages(directory = SEED_PACKAGES_DIR) {
+  let names;
+  try {
+    names = (await fs.readdir(directory)).sort();
+  } catch (error) {
+    return [];
+  }
+
+  const packages = [];
+  for (const name of names) {
+    const fullPath = path.join(directory, name);
+    const stats = await fs.stat(fullPath);
+    if (stats.isDirectory()) {
+      packages.push({ source: name, ...(await readCoursePackageDirectory(fullPath)) });
+    } else if (name.toLowerCase().endsWith('.zip')) {
+      packages.push({ source: name, ...readCoursePackage(await fs.readFile(fullPath)) });
+    }
+  }
+  return packages;
+}
+
+// Create a course from a validated package. options: courseId, accessCode, instructor, plus any
+// course fields to override (instructorName, isPublished). Files are copied into the course uploads.
+async function createCourseFromPackage({ manifest, files }, options) {
+  const { courseId, accessCode, instructor, ...overrides } = options;
+  const source = manifest.course;
+  const written = [];
+
+  // Copy a packaged file into uploads and return its stored path
+  const storeFile = async (archivePath, originalName) => {
+    const storedName = generateStoredName(originalName);
+    await fs.writeFile(path.join(UPLOADS_DIR, storedName), files.get(archivePath));
+    const storedPath = `/uploads/courses/${storedName}`;
+    written.push(storedPath);
+    return storedPath;
+  };
+
+  try {
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+
+    const courseData = {
+      courseId,
+      instructor,
+      instructorName: source.instructorName,
+      lastLessonId: source.lastLessonId || 0,
+      files: [],
+    };
+    for (const field of CONTENT_FIELDS) {
+      if (source[field] !== undefined) {
+        courseData[field] = source[field];
+      }
+    }
+    if (accessCode) {
+      courseData.accessCode = accessCode;
+    }
+
+    for (const file of manifest.files || []) {
+      courseData.files.push({
+        name: file.name,
+        path: await storeFile(file.path, file.name),
+        size: files.get(file.path).length,
+        type: file.type || path.extname(file.name).substring(1),
+      });
+    }
+
+    const certificate = source.certificate || {};
+    courseData.certificate = {
+      signatoryName: certificate.signatoryName,
+      signatoryTitle: certificate.signatoryTitle,
+    };
+    for (const field of ['logo', 'signature']) {
+      if (certificate[field]) {
+        courseData.certificate[`${field}Path`] = await storeFile(certificate[field], certificate[field]);
+      }
+    }
+
+    return await Course.create({ ...courseData, ...overrides });
+  } catch (error) {
+    for (const storedPath of written) {
+      await fs.unlink(path.join(__dirname, '..', storedPath)).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  SEED_PACKAGES_DIR,
+  buildCoursePackage,
+  validateManifest,
+  readCoursePackage,
+  readCoursePackageDirectory,
+  loadSeedPackages,
+  createCourseFromPackage,
+};
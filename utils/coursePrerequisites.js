@@ -0,0 +1,201 @@
+// Prerequisite links between courses (Course.prerequisiteCourses holds courseIds):
+// link validation with cycle detection, enrolment checks and learning paths
+const Course = require('../models/Course');
+const CourseProgress = require('../models/CourseProgress');
+const { hasPermission } = require('./permissionService');
+const { hasCourseStaffPermission } = require('./courseStaff');
+
+// Load every course reachable through prerequisite links from the given courseIds.
+// Returns Map<courseId, { courseId, title, prerequisiteCourses }>; links to deleted courses are left dangling.
+async function loadPrerequisiteGraph(courseIds) {
+  const graph = new Map();
+  let frontier = [...new Set(courseIds)];
+
+  while (frontier.length > 0) {
+    const courses = await Course.find({ courseId: { $in: frontier } })
+      .select('courseId title prerequisiteCourses')
+      .lean();
+    const next = new Set();
+    for (const course of courses) {
+      graph.set(course.courseId, {
+        courseId: course.courseId,
+        title: course.title,
+        prerequisiteCourses: course.prerequisiteCourses || [],
+      });
+      for (const prerequisiteId of course.prerequisiteCourses || []) {
+        if (!graph.has(prerequisiteId)) {
+          next.add(prerequisiteId);
+        }
+      }
+    }
+    frontier = [...next].filter(courseId => !graph.has(courseId));
+  }
+
+  return graph;
+}
+
+// Path of courseIds that leads from startId back to itself, or null when there is no cycle through it
+function findCyclePath(graph, startId) {
+  const visited = new Set();
+
+  const visit = (courseId, trail) => {
+    for (const prerequisiteId of graph.get(courseId)?.prerequisiteCourses || []) {
+      if (prerequisiteId === startId) {
+        return [...trail, startId];
+      }
+      if (!visited.has(prerequisiteId)) {
+        visited.add(prerequisiteId);
+        const cycle = visit(prerequisiteId, [...trail, prerequisiteId]);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  };
+
+  return visit(startId, [startId]);
+}
+
+function describeCycle(graph, cycle) {
+  return cycle.map(courseId => graph.get(courseId)?.title || courseId).join(' → ');
+}
+
+// Check new prerequisite links for a course set by user. Prerequisites and learning paths show linked courses'
+// titles to anyone, so only courses without an access code, or that the user can manage, can be linked.
+// Returns { prerequisiteCourses } (cleaned list) or { error }.
+async function validatePrerequisiteLinks(course, requestedIds, user) {
+  if (!Array.isArray(requestedIds) || requestedIds.some(courseId => typeof courseId !== 'string')) {
+    return { error: 'prerequisiteCourses must be a list of course IDs' };
+  }
+
+  const prerequisiteCourses = [...new Set(requestedIds.map(courseId => courseId.trim()).filter(Boolean))];
+  if (prerequisiteCourses.includes(course.courseId)) {
+    return { error: 'A course cannot be its own prerequisite' };
+  }
+
+  const existing = await Course.find({ courseId: { $in: prerequisiteCourses } })
+    .select('courseId accessCode instructor staff')
+    .lean();
+  const canEditAny = await hasPermission(user, 'course:edit:any');
+  const linkable = new Set(existing
+    .filter(item => !item.accessCode || canEditAny || hasCourseStaffPermission(user, item, 'content'))
+    .map(item => item.courseId));
+  // Private courses the user cannot manage are reported as missing, so their IDs cannot be probed
+  const missing = prerequisiteCourses.filter(courseId => !linkable.has(courseId));
+  if (missing.length > 0) {
+    return { error: `Courses not found: ${missing.join(', ')}` };
+  }
+
+  // Any new cycle has to pass through this course, since the links before this edit had none
+  const graph = await loadPrerequisiteGraph(prerequisiteCourses);
+  graph.set(course.courseId, {
+    courseId: course.courseId,
+    title: course.title,
+    prerequisiteCourses,
+  });
+  const cycle = findCyclePath(graph, course.courseId);
+  if (cycle) {
+    return { error: `These prerequisites would create a cycle: ${describeCycle(graph, cycle)}` };
+  }
+
+  return { prerequisiteCourses };
+}
+
+async function getCompletedCourseIds(userId, courseIds) {
+  const completed = await CourseProgress.find({ user: userId, courseId: { $in: courseIds }, completed: true })
+    .select('courseId')
+    .lean();
+  return new Set(completed.map(progress => progress.courseId));
+}
+
+// Direct prerequisites of a course the user has not completed: [{ courseId, title }]
+async function getUnmetPrerequisites(userId, course) {
+  const prerequisiteIds = course.prerequisiteCourses || [];
+  if (prerequisiteIds.length === 0) {
+    return [];
+  }
+
+  const completed = await getCompletedCourseIds(userId, prerequisiteIds);
+  const unmetIds = prerequisiteIds.filter(courseId => !completed.has(courseId));
+  if (unmetIds.length === 0) {
+    return [];
+  }
+
+  const courses = await Course.find({ courseId: { $in: unmetIds } }).select('courseId title').lean();
+  return courses.map(item => ({ courseId: item.courseId, title: item.title }));
+}
+
+// Extra response fields when a student enrols with prerequisites missing (warn mode)
+function prerequisiteWarning(missingPrerequisites) {
+  if (missingPrerequisites.length === 0) {
+    return {};
+  }
+  return {
+    warning: `This course recommends completing ${missingPrerequisites.map(item => `"${item.title}"`).join(', ')} first`,
+    missingPrerequisites,
+  };
+}
+
+// Courses a student still needs before (and including) the target course, prerequisites first.
+// Returns { target, path, completed, edges }, { error } when the links contain a cycle, or null if the course does not exist.
+async function buildLearningPath(userId, targetCourseId) {
+  const graph = await loadPrerequisiteGraph([targetCourseId]);
+  if (!graph.has(targetCourseId)) {
+    return null;
+  }
+
+  // Depth-first, listing a course after all its prerequisites
+  const ordered = [];
+  const state = new Map(); // courseId -> 'visiting' | 'done'
+  const visit = (courseId, trail) => {
+    state.set(courseId, 'visiting');
+    for (const prerequisiteId of graph.get(courseId).prerequisiteCourses) {
+      if (!graph.has(prerequisiteId)) continue; // Deleted course
+      if (state.get(prerequisiteId) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(prerequisiteId)), prerequisiteId];
+        return `Prerequisite links contain a cycle: ${describeCycle(graph, cycle)}`;
+      }
+      if (!state.has(prerequisiteId)) {
+        const error = visit(prerequisiteId, [...trail, prerequisiteId]);
+        if (error) return error;
+      }
+    }
+    state.set(courseId, 'done');
+    ordered.push(courseId);
+    return null;
+  };
+  const cycleError = visit(targetCourseId, [targetCourseId]);
+  if (cycleError) {
+    return { error: cycleError };
+  }
+
+  const completedIds = await getCompletedCourseIds(userId, ordered);
+  const toNode = courseId => {
+    const node = graph.get(courseId);
+    const prerequisiteCourses = node.prerequisiteCourses.filter(prerequisiteId => graph.has(prerequisiteId));
+    return {
+      courseId,
+      title: node.title,
+      prerequisiteCourses,
+      completed: completedIds.has(courseId),
+      // Every prerequisite is done, so this course can be started now
+      ready: prerequisiteCourses.every(prerequisiteId => completedIds.has(prerequisiteId)),
+    };
+  };
+
+  const nodes = ordered.map(toNode);
+  return {
+    target: toNode(targetCourseId),
+    path: nodes.filter(node => !node.completed),
+    completed: nodes.filter(node => node.completed),
+    edges: nodes.flatMap(node => node.prerequisiteCourses.map(prerequisiteId => ({ from: prerequisiteId, to: node.courseId }))),
+  };
+}
+
+module.exports = {
+  loadPrerequisiteGraph,
+  findCyclePath,
+  validatePrerequisiteLinks,
+  getUnmetPrerequisites,
+  prerequisiteWarning,
+  buildLearningPath,
+};
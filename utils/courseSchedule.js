@@ -0,0 +1,193 @@
+// Course structure (modules -> sections -> lessons) and drip-release scheduling.
+// Lesson ids here match CourseProgress.lessons[].lessonId: the lesson's stable id (see models/Course).
+
+const { parseDuration, formatDuration } = require('./duration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stable id of a lesson; lessons saved before ids existed are numbered by position
+function getLessonId(lesson, index) {
+  return lesson.id !== undefined && lesson.id !== null ? lesson.id : index + 1;
+}
+
+// Lesson duration in seconds (0 when unknown). Loaded Course documents always hold seconds
+// (see the init hook in models/Course); lean reads of courses not yet migrated by
+// scripts/normalizeLessonDurations.js can still hold duration text.
+function getLessonDurationSeconds(lesson) {
+  return parseDuration(lesson && lesson.duration) || 0;
+}
+
+// { lesson, index } for a lesson id, or null
+function findLesson(course, lessonId) {
+  const id = parseInt(lessonId);
+  const index = (course.lessons || []).findIndex((lesson, i) => getLessonId(lesson, i) === id);
+  return index === -1 ? null : { lesson: course.lessons[index], index };
+}
+
+function sameId(a, b) {
+  return a !== undefined && a !== null && b !== undefined && b !== null && a.toString() === b.toString();
+}
+
+// When the user enrolled - the enrolment record, or when they first opened the course player
+function getEnrollmentDate(course, userId, progress) {
+  const enrollment = (course.enrolledStudents || []).find(
+    student => student.userId && sameId(student.userId._id || student.userId, userId)
+  );
+  return enrollment?.enrolledAt || progress?.createdAt || new Date();
+}
+
+// Release date of a module for a student who enrolled at enrolledAt (null = released immediately)
+function getModuleReleaseDate(module, enrolledAt) {
+  if (module.releaseType === 'date' && module.releaseAt) {
+    return new Date(module.releaseAt);
+  }
+  if (module.releaseType === 'after_enrollment') {
+    return new Date(new Date(enrolledAt).getTime() + (module.releaseAfterDays || 0) * DAY_MS);
+  }
+  return null;
+}
+
+// Release state of every lesson, in course order.
+// unlockAll is for course staff previewing the course.
+function getLessonSchedule(course, { enrolledAt = new Date(), now = new Date(), unlockAll = false } = {}) {
+  const modules = new Map((course.modules || []).map(module => [module.id, module]));
+
+  return (course.lessons || []).map((lesson, index) => {
+    const module = modules.get(lesson.moduleId) || null;
+    const releaseAt = module ? getModuleReleaseDate(module, enrolledAt) : null;
+    return {
+      lessonId: getLessonId(lesson, index),
+      moduleId: module ? module.id : null,
+      sectionId: module && lesson.sectionId !== undefined ? lesson.sectionId : null,
+      releaseAt,
+      unlocked: unlockAll || !releaseAt || releaseAt <= now,
+    };
+  });
+}
+
+// Copy of the course lessons with locked/releaseAt added; locked lessons lose their video URLs
+function annotateLessons(course, lessons, options) {
+  const schedule = getLessonSchedule(course, options);
+  return lessons.map((lesson, index) => {
+    const { unlocked, releaseAt } = schedule[index];
+    const annotated = {
+      ...lesson,
+      lessonId: getLessonId(lesson, index),
+      duration: getLessonDurationSeconds(lesson),
+      durationLabel: lesson.duration ? formatDuration(getLessonDurationSeconds(lesson)) : null,
+      locked: !unlocked,
+      releaseAt,
+    };
+    if (!unlocked) {
+      delete annotated.videoUrl;
+      delete annotated.sourceUrl;
+    }
+    return annotated;
+  });
+}
+
+// Modules -> sections -> lessons with lock state, for the course player.
+// Lessons that are not in a module are returned separately and are always unlocked.
+function buildCourseOutline(course, options = {}) {
+  const schedule = getLessonSchedule(course, options);
+  const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+  const lessons = (course.lessons || []).map((lesson, index) => ({
+    lessonId: schedule[index].lessonId,
+    title: lesson.title,
+    duration: getLessonDurationSeconds(lesson), // seconds
+    durationLabel: lesson.duration ? formatDuration(getLessonDurationSeconds(lesson)) : null,
+    moduleId: schedule[index].moduleId,
+    sectionId: schedule[index].sectionId,
+    locked: !schedule[index].unlocked,
+    releaseAt: schedule[index].releaseAt,
+  }));
+
+  const modules = [...(course.modules || [])].sort(byOrder).map(module => {
+    const moduleLessons = lessons.filter(lesson => lesson.moduleId === module.id);
+    const sectionIds = new Set((module.sections || []).map(section => section.id));
+    const releaseAt = getModuleReleaseDate(module, options.enrolledAt || new Date());
+
+    return {
+      id: module.id,
+      title: module.title,
+      description: module.description,
+      order: module.order,
+      releaseType: module.releaseType || 'immediate',
+      durationSeconds: moduleLessons.reduce((sum, lesson) => sum + lesson.duration, 0),
+      releaseAt,
+      locked: !options.unlockAll && Boolean(releaseAt) && releaseAt > (options.now || new Date()),
+      sections: [...(module.sections || [])].sort(byOrder).map(section => ({
+        id: section.id,
+        title: section.title,
+        order: section.order,
+        lessons: moduleLessons.filter(lesson => lesson.sectionId === section.id),
+      })),
+      lessons: moduleLessons.filter(lesson => !sectionIds.has(lesson.sectionId)),
+    };
+  });
+
+  return {
+    modules,
+    lessons: lessons.filter(lesson => lesson.moduleId === null),
+  };
+}
+
+// Check module/section ids are unique, every lesson points at a module and section that exist,
+// and lesson durations can be read.
+// Returns an error message, or null when the structure is valid.
+function validateCourseStructure(modules = [], lessons = []) {
+  const moduleSections = new Map();
+
+  for (const module of modules) {
+    if (module.id === undefined || module.id === null || isNaN(Number(module.id))) {
+      return 'Every module needs a numeric id';
+    }
+    if (moduleSections.has(Number(module.id))) {
+      return `Duplicate module id ${module.id}`;
+    }
+    const sectionIds = new Set();
+    for (const section of module.sections || []) {
+      if (section.id === undefined || section.id === null || isNaN(Number(section.id))) {
+        return `Every section in module ${module.id} needs a numeric id`;
+      }
+      if (sectionIds.has(Number(section.id))) {
+        return `Duplicate section id ${section.id} in module ${module.id}`;
+      }
+      sectionIds.add(Number(section.id));
+    }
+    moduleSections.set(Number(module.id), sectionIds);
+  }
+
+  for (const [index, lesson] of lessons.entries()) {
+    const hasModule = lesson.moduleId !== undefined && lesson.moduleId !== null;
+    const hasSection = lesson.sectionId !== undefined && lesson.sectionId !== null;
+    if (hasSection && !hasModule) {
+      return `Lesson ${index + 1} has a section but no module`;
+    }
+    if (hasModule && !moduleSections.has(Number(lesson.moduleId))) {
+      return `Lesson ${index + 1} belongs to module ${lesson.moduleId}, which does not exist`;
+    }
+    if (hasSection && !moduleSections.get(Number(lesson.moduleId)).has(Number(lesson.sectionId))) {
+      return `Lesson ${index + 1} belongs to section ${lesson.sectionId}, which is not in module ${lesson.moduleId}`;
+    }
+    const hasDuration = lesson.duration !== undefined && lesson.duration !== null && lesson.duration !== '';
+    if (hasDuration && parseDuration(lesson.duration) === null) {
+      return `Lesson ${index + 1} has a duration "${lesson.duration}" that is not understood - use seconds, hh:mm:ss, ISO 8601 (PT1H20M) or text like "1h 20m"`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getLessonId,
+  getLessonDurationSeconds,
+  findLesson,
+  getEnrollmentDate,
+  getModuleReleaseDate,
+  getLessonSchedule,
+  annotateLessons,
+  buildCourseOutline,
+  validateCourseStructure,
+};
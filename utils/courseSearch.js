@@ -0,0 +1,165 @@
+// Course catalog search: MongoDB text search, facet counts and cursor pagination
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { searchCatalogCaptions } = require('./captions');
+
+const FACET_FIELDS = ['category', 'difficulty', 'contentType', 'licenseType'];
+
+// Sort key for each sort option; _id breaks ties so the cursor is stable
+const SORT_FIELDS = {
+  relevance: 'score',
+  rating: 'rating',
+  enrollment: 'enrollmentCount',
+  newest: 'createdAt',
+};
+
+const RESULT_FIELDS = {
+  courseId: 1,
+  title: 1,
+  instructorName: 1,
+  category: 1,
+  description: 1,
+  duration: 1,
+  totalDurationSeconds: 1,
+  icon: 1,
+  difficulty: 1,
+  contentType: 1,
+  licenseType: 1,
+  objectives: 1,
+  rating: 1,
+  totalLessons: 1,
+  createdAt: 1,
+  enrollmentCount: 1,
+  score: 1,
+};
+
+// "a,b" or ['a', 'b'] -> ['a', 'b']
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+function encodeCursor(course, sortField) {
+  const value = course[sortField];
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: course._id.toString(),
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!id || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    return { value: d ? new Date(v) : v, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Search the published public catalog (courses without an access code).
+// Facet counts for each field ignore that field's own filter, so the frontend can offer the other values.
+// Returns { results, facets, transcriptMatches, total, sort, nextCursor } or { error }.
+async function searchCourses({ q, sort, limit, cursor, ...filters } = {}) {
+  const text = (q || '').trim();
+  // Relevance only means something with a search term
+  const sortKey = SORT_FIELDS[sort] && !(sort === 'relevance' && !text) ? sort : (text ? 'relevance' : 'newest');
+  const sortField = SORT_FIELDS[sortKey];
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+  const baseMatch = { isPublished: true, accessCode: null };
+  if (text) {
+    baseMatch.$text = { $search: text };
+  }
+
+  const filterMatches = {};
+  for (const field of FACET_FIELDS) {
+    const values = toList(filters[field]);
+    if (values.length > 0) {
+      filterMatches[field] = { $in: values };
+    }
+  }
+  const matchExcept = excluded => Object.fromEntries(
+    Object.entries(filterMatches).filter(([field]) => field !== excluded)
+  );
+
+  let cursorMatch = {};
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return { error: 'Invalid cursor' };
+    }
+    const id = new mongoose.Types.ObjectId(decoded.id);
+    cursorMatch = {
+      $or: [
+        { [sortField]: { $lt: decoded.value } },
+        { [sortField]: decoded.value, _id: { $lt: id } },
+      ],
+    };
+  }
+
+  const facetStages = {};
+  for (const field of FACET_FIELDS) {
+    facetStages[field] = [
+      { $match: matchExcept(field) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+  }
+
+  const [result] = await Course.aggregate([
+    { $match: baseMatch },
+    {
+      $addFields: {
+        score: text ? { $meta: 'textScore' } : 0,
+        // Seeded courses carry a display count in studentsEnrolled; real enrolments are in enrolledStudents
+        enrollmentCount: { $max: ['$studentsEnrolled', { $size: { $ifNull: ['$enrolledStudents', []] } }] },
+      },
+    },
+    {
+      $facet: {
+        results: [
+          { $match: { ...filterMatches, ...cursorMatch } },
+          { $sort: { [sortField]: -1, _id: -1 } },
+          { $limit: limitNum + 1 },
+          { $project: RESULT_FIELDS },
+        ],
+        total: [
+          { $match: filterMatches },
+          { $count: 'count' },
+        ],
+        ...facetStages,
+      },
+    },
+  ]);
+
+  const hasMore = result.results.length > limitNum;
+  const results = result.results.slice(0, limitNum);
+  const facets = {};
+  for (const field of FACET_FIELDS) {
+    facets[field] = result[field].map(bucket => ({ value: bucket._id, count: bucket.count }));
+  }
+
+  // Lessons where the search term is said, with timestamps - on the first page only
+  const transcriptMatches = text && !cursor
+    ? await searchCatalogCaptions(text, { isPublished: true, accessCode: null, ...filterMatches })
+    : [];
+
+  return {
+    results,
+    facets,
+    transcriptMatches,
+    total: result.total[0]?.count || 0,
+    sort: sortKey,
+    nextCursor: hasMore ? encodeCursor(results[results.length - 1], sortField) : null,
+  };
+}
+
+module.exports = {
+  FACET_FIELDS,
+  searchCourses,
+};
@@ -0,0 +1,39 @@
+// Course staff roles: the course instructor is the owner, Course.staff holds co-instructors and TAs
+const { COURSE_STAFF_ROLES } = require('../config/permissions');
+
+// Roles that can be given through an invitation (there is only ever one owner)
+const INVITABLE_ROLES = Object.keys(COURSE_STAFF_ROLES).filter(role => role !== 'owner');
+
+function toIdString(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+// The user's role on a course: 'owner', 'co_instructor', 'ta' or null
+function getCourseStaffRole(user, course) {
+  if (!user || !course) return null;
+  const userId = user._id.toString();
+  if (toIdString(course.instructor) === userId) {
+    return 'owner';
+  }
+  const member = (course.staff || []).find(item => toIdString(item.user) === userId);
+  return member ? member.role : null;
+}
+
+// Whether the user's role on the course grants a course permission (content, grade, roster, staff, delete)
+function hasCourseStaffPermission(user, course, permission) {
+  const role = getCourseStaffRole(user, course);
+  return Boolean(role && COURSE_STAFF_ROLES[role].permissions.includes(permission));
+}
+
+// Query matching every course the user owns or is on the staff of
+function staffCoursesQuery(userId) {
+  return { $or: [{ instructor: userId }, { 'staff.user': userId }] };
+}
+
+module.exports = {
+  INVITABLE_ROLES,
+  getCourseStaffRole,
+  hasCourseStaffPermission,
+  staffCoursesQuery,
+};
@@ -0,0 +1,217 @@
+// Course revisions: content snapshots, lesson id assignment for drafts, diffs and publishing
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+const { hasPermission } = require('./permissionService');
+const { getLessonId } = require('./courseSchedule');
+
+// Fields a revision captures - the same ones updateCourse can change
+const CONTENT_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'icon',
+  'difficulty',
+  'duration',
+  'videoUrl',
+  'notes',
+  'modules',
+  'lessons',
+  'totalLessons',
+  'objectives',
+  'prerequisites',
+  'contentType',
+  'attribution',
+  'licenseType',
+];
+
+const LESSON_DIFF_FIELDS = ['title', 'videoUrl', 'duration', 'description', 'source', 'sourceUrl', 'moduleId', 'sectionId'];
+const MODULE_DIFF_FIELDS = ['title', 'description', 'order', 'sections', 'releaseType', 'releaseAt', 'releaseAfterDays'];
+
+// Plain JSON copy without Mongoose subdocument _ids (they change on every save)
+function stripIds(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key !== '_id') {
+        copy[key] = stripIds(item);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Content fields of a course as plain data, with every lesson carrying its stable id
+function snapshotCourse(course) {
+  const data = JSON.parse(JSON.stringify(course.toObject ? course.toObject() : course));
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (data[field] !== undefined) {
+      content[field] = stripIds(data[field]);
+    }
+  }
+  content.lessons = (content.lessons || []).map((lesson, index) => ({ ...lesson, id: getLessonId(lesson, index) }));
+  return content;
+}
+
+function applyContent(course, content) {
+  for (const field of CONTENT_FIELDS) {
+    if (content[field] !== undefined) {
+      course[field] = content[field];
+    }
+  }
+}
+
+// Lessons keep ids the course has already issued (1..lastLessonId); new lessons get fresh ids.
+// Returns { lessons, lastLessonId } or { error }.
+function assignLessonIds(lessons, lastLessonId) {
+  if (!Array.isArray(lessons)) {
+    return { error: 'lessons must be an array' };
+  }
+
+  let last = lastLessonId || 0;
+  const seen = new Set();
+  const result = [];
+  for (const lesson of lessons) {
+    const id = parseInt(lesson && lesson.id);
+    const issued = id >= 1 && id <= lastLessonId;
+    if (issued && seen.has(id)) {
+      return { error: `Lesson id ${id} is used by more than one lesson` };
+    }
+    const assignedId = issued ? id : ++last;
+    seen.add(assignedId);
+    result.push({ ...stripIds(lesson), id: assignedId });
+  }
+  return { lessons: result, lastLessonId: last };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Added, removed, changed and moved items of two lists matched by id
+function diffById(beforeList = [], afterList = [], fields) {
+  const beforeById = new Map(beforeList.map((item, index) => [item.id, { item, index }]));
+  const afterIds = new Set(afterList.map(item => item.id));
+  const added = [];
+  const changed = [];
+  const moved = [];
+
+  afterList.forEach((item, index) => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      added.push({ id: item.id, title: item.title, position: index + 1 });
+      return;
+    }
+    const changes = fields
+      .filter(field => !sameValue(previous.item[field], item[field]))
+      .map(field => ({ field, before: previous.item[field], after: item[field] }));
+    if (changes.length > 0) {
+      changed.push({ id: item.id, title: item.title, changes });
+    }
+    if (previous.index !== index) {
+      moved.push({ id: item.id, title: item.title, from: previous.index + 1, to: index + 1 });
+    }
+  });
+
+  const removed = beforeList
+    .filter(item => !afterIds.has(item.id))
+    .map(item => ({ id: item.id, title: item.title }));
+
+  return { added, removed, changed, moved };
+}
+
+// What publishing `after` over `before` would change
+function diffCourseContent(before, after) {
+  const fields = CONTENT_FIELDS
+    .filter(field => field !== 'lessons' && field !== 'modules')
+    .filter(field => after[field] !== undefined && !sameValue(before[field], after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+
+  const lessons = diffById(before.lessons, after.lessons, LESSON_DIFF_FIELDS);
+  const modules = diffById(before.modules, after.modules, MODULE_DIFF_FIELDS);
+  const hasChanges = fields.length > 0 ||
+    [lessons, modules].some(diff => Object.values(diff).some(list => list.length > 0));
+
+  return { hasChanges, fields, lessons, modules };
+}
+
+async function getNextRevisionNumber(courseObjectId) {
+  const latest = await CourseRevision.findOne({ course: courseObjectId }).sort({ revision: -1 }).select('revision');
+  return latest ? latest.revision + 1 : 1;
+}
+
+async function supersedeOtherRevisions(courseObjectId, revisionId) {
+  await CourseRevision.updateMany(
+    { course: courseObjectId, status: 'published', _id: { $ne: revisionId } },
+    { $set: { status: 'superseded' } }
+  );
+}
+
+// Record the live content of a course that was just saved as a new published revision
+async function recordPublishedRevision(course, userId, extra = {}) {
+  const revision = await CourseRevision.create({
+    course: course._id,
+    courseId: course.courseId,
+    revision: await getNextRevisionNumber(course._id),
+    status: 'published',
+    content: snapshotCourse(course),
+    lastLessonId: course.lastLessonId,
+    createdBy: userId,
+    publishedBy: userId,
+    publishedAt: new Date(),
+    ...extra,
+  });
+  await supersedeOtherRevisions(course._id, revision._id);
+  await Course.updateOne({ _id: course._id }, { $set: { publishedRevision: revision.revision } });
+  course.publishedRevision = revision.revision;
+  return revision;
+}
+
+// Courses created before versioning get their current content recorded as the first revision
+async function ensureBaselineRevision(course, userId) {
+  if (await CourseRevision.exists({ course: course._id })) {
+    return null;
+  }
+  return recordPublishedRevision(course, userId, { note: 'Content before versioning' });
+}
+
+// Make a revision's content live
+async function publishRevision(course, revision, userId) {
+  applyContent(course, revision.content);
+  course.lastLessonId = Math.max(course.lastLessonId || 0, revision.lastLessonId || 0);
+  course.publishedRevision = revision.revision;
+  await course.save();
+
+  revision.status = 'published';
+  revision.publishedBy = userId;
+  revision.publishedAt = new Date();
+  await revision.save();
+  await supersedeOtherRevisions(course._id, revision._id);
+  return revision;
+}
+
+// Drafts of public (no access code) courses need approval when the admin setting is on
+async function isReviewRequired(course, user) {
+  if (course.accessCode) {
+    return false;
+  }
+  const settings = await AdminSettings.getSettings();
+  return settings.courseReviewRequired && !(await hasPermission(user, 'course:review'));
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  snapshotCourse,
+  assignLessonIds,
+  diffCourseContent,
+  getNextRevisionNumber,
+  recordPublishedRevision,
+  ensureBaselineRevision,
+  publishRevision,
+  isReviewRequired,
+};
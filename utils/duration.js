@@ -0,0 +1,111 @@
+// Lesson durations are stored in seconds. Input can be a number of seconds, ISO 8601 ("PT1H20M"),
+// a clock ("01:20:00", "20:30" = mm:ss) or text ("1h 20m", "1 hour 20 minutes", "30 mins").
+
+const UNIT_SECONDS = {
+  d: 86400,
+  h: 3600,
+  m: 60,
+  s: 1,
+};
+
+// "hours", "hrs", "h" -> 'h' etc.
+const HUMAN_UNITS = [
+  [/^(days?|d)$/, 'd'],
+  [/^(hours?|hrs?|h)$/, 'h'],
+  [/^(minutes?|mins?|m)$/, 'm'],
+  [/^(seconds?|secs?|s)$/, 's'],
+];
+
+const ISO_PATTERN = /^p(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/;
+const CLOCK_PATTERN = /^(\d+):([0-5]?\d)(?::([0-5]?\d(?:\.\d+)?))?$/;
+const HUMAN_PART_PATTERN = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+
+function parseIso(text) {
+  const match = text.match(ISO_PATTERN);
+  // "P" and "PT" alone match the pattern but say nothing
+  if (!match || text === 'p' || text.endsWith('t')) {
+    return null;
+  }
+  const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  return days * UNIT_SECONDS.d + hours * UNIT_SECONDS.h + minutes * UNIT_SECONDS.m + seconds;
+}
+
+function parseClock(text) {
+  const match = text.match(CLOCK_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const numbers = match.slice(1).filter(part => part !== undefined).map(Number);
+  // Two parts are mm:ss, three are hh:mm:ss
+  return numbers.length === 3
+    ? numbers[0] * 3600 + numbers[1] * 60 + numbers[2]
+    : numbers[0] * 60 + numbers[1];
+}
+
+function parseHuman(text) {
+  let total = 0;
+  let found = false;
+  const rest = text.replace(HUMAN_PART_PATTERN, (part, amount, unitText) => {
+    const unit = HUMAN_UNITS.find(([pattern]) => pattern.test(unitText));
+    if (!unit) {
+      return part; // Left in the remainder, so the whole value is rejected
+    }
+    total += parseFloat(amount) * UNIT_SECONDS[unit[1]];
+    found = true;
+    return ' ';
+  });
+  // Only separators may be left over ("1 hour, 20 mins", "1 hour and 20 minutes")
+  if (!found || rest.replace(/\b(and)\b|[\s,]+/g, '').length > 0) {
+    return null;
+  }
+  return total;
+}
+
+// Duration in whole seconds, or null when the value is empty or not understood
+function parseDuration(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text)); // Plain number of seconds
+  }
+
+  const seconds = parseIso(text) ?? parseClock(text) ?? parseHuman(text);
+  return seconds === null ? null : Math.round(seconds);
+}
+
+// 5400 -> "1h 30m", 45 -> "45s"
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (secs || parts.length === 0) parts.push(`${secs}s`);
+  return parts.join(' ');
+}
+
+// Playback position as a clock: 95 -> "1:35", 3725 -> "1:02:05"
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  formatTimestamp,
+};
@@ -1,30 +1,57 @@
 const jwt = require('jsonwebtoken');
 
 // Generate JWT Access Token
-const generateAccessToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_ACCESS_SECRET || 'your-access-secret-key', {
+// sessionId ties the access token to the device session that issued it
+// tokenVersion must match User.tokenVersion for the token to be accepted (see middleware/auth)
+const generateAccessToken = (userId, { sessionId, tokenVersion = 0 } = {}) => {
+  const payload = { id: userId, tv: tokenVersion };
+  if (sessionId) payload.sid = sessionId.toString();
+
+  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET || 'your-access-secret-key', {
     expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
   });
 };
 
 // Generate JWT Refresh Token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key', {
+// jti identifies this exact token so a rotated token can be recognised if it is replayed
+const generateRefreshToken = (userId, { sessionId, jti } = {}) => {
+  const payload = { id: userId };
+  if (sessionId) payload.sid = sessionId.toString();
+  if (jti) payload.jti = jti;
+
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key', {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
   });
 };
 
 // Generate both tokens
-const generateTokens = (userId) => {
-  const accessToken = generateAccessToken(userId);
-  const refreshToken = generateRefreshToken(userId);
+const generateTokens = (userId, { sessionId, jti, tokenVersion } = {}) => {
+  const accessToken = generateAccessToken(userId, { sessionId, tokenVersion });
+  const refreshToken = generateRefreshToken(userId, { sessionId, jti });
   return { accessToken, refreshToken };
 };
 
+// Generate short-lived token for the second login step
+// purpose is 'login' (enter a code) or 'enroll' (role requires 2FA that is not set up yet)
+const generateTwoFactorToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_2FA_SECRET || 'your-2fa-secret-key', {
+    expiresIn: process.env.JWT_2FA_EXPIRE || '5m',
+  });
+};
+
+// Generate access token for an admin viewing the app as another user
+// imp points at the Impersonation record that must still be active for the token to work
+const generateImpersonationToken = (userId, impersonationId, expiresAt) => {
+  const expiresIn = Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ id: userId, imp: impersonationId.toString() }, process.env.JWT_ACCESS_SECRET || 'your-access-secret-key', {
+    expiresIn,
+  });
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokens,
+  generateTwoFactorToken,
+  generateImpersonationToken,
 };
-
-
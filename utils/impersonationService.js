@@ -0,0 +1,139 @@
+const Impersonation = require('../models/Impersonation');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { generateImpersonationToken } = require('./generateToken');
+const { hasPermission } = require('./permissionService');
+
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 60;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Account and credential endpoints stay off-limits even when writes are allowed
+const ALWAYS_BLOCKED_PATHS = [
+  '/auth',
+  '/api/users/me/password',
+  '/api/users/me/email',
+  '/api/users/me/export',
+  '/api/users/me/deletion',
+];
+
+function requestPath(req) {
+  return req.originalUrl.split('?')[0];
+}
+
+// Write an audit entry without ever failing the request that triggered it
+async function writeAuditLog(entry) {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Audit log write failed:', error);
+  }
+}
+
+// Start viewing the app as targetUser. Returns { impersonation, accessToken }.
+async function startImpersonation(admin, targetUser, { reason, allowWrites = false, durationMinutes } = {}, req) {
+  const minutes = Math.min(Math.max(parseInt(durationMinutes, 10) || DEFAULT_DURATION_MINUTES, 1), MAX_DURATION_MINUTES);
+
+  const impersonation = await Impersonation.create({
+    admin: admin._id,
+    targetUser: targetUser._id,
+    reason,
+    allowWrites: Boolean(allowWrites),
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').substring(0, 255),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+
+  await writeAuditLog({
+    action: 'impersonation_start',
+    actor: admin._id,
+    targetUser: targetUser._id,
+    impersonation: impersonation._id,
+    details: `${reason}${impersonation.allowWrites ? ' (writes allowed)' : ''}`,
+    ip: req.ip,
+    userAgent: impersonation.userAgent,
+  });
+
+  const accessToken = generateImpersonationToken(targetUser._id, impersonation._id, impersonation.expiresAt);
+  return { impersonation, accessToken };
+}
+
+async function endImpersonation(impersonationId, endedBy, req) {
+  const impersonation = await Impersonation.findOneAndUpdate(
+    { _id: impersonationId, endedAt: { $exists: false } },
+    { $set: { endedAt: new Date(), endedBy } },
+    { new: true }
+  );
+
+  if (impersonation) {
+    await writeAuditLog({
+      action: 'impersonation_end',
+      actor: endedBy,
+      targetUser: impersonation.targetUser,
+      impersonation: impersonation._id,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').substring(0, 255),
+    });
+  }
+  return impersonation;
+}
+
+// Impersonation behind a token, or null if it has ended, expired or the admin lost the permission
+async function getActiveImpersonation(impersonationId, targetUserId) {
+  const impersonation = await Impersonation.findById(impersonationId);
+  if (!impersonation || !impersonation.isActive() || impersonation.targetUser.toString() !== targetUserId.toString()) {
+    return null;
+  }
+
+  const admin = await User.findById(impersonation.admin).select('role');
+  if (!(await hasPermission(admin, 'user:impersonate'))) {
+    return null;
+  }
+  return impersonation;
+}
+
+// Read-only by default; allowWrites permits writes except deletes and account/credential endpoints
+function getBlockReason(impersonation, req) {
+  const path = requestPath(req);
+  if (ALWAYS_BLOCKED_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) {
+    return 'Account and sign-in settings cannot be used while viewing as another user';
+  }
+  if (SAFE_METHODS.includes(req.method)) {
+    return null;
+  }
+  if (!impersonation.allowWrites) {
+    return 'This impersonation session is read-only';
+  }
+  if (req.method === 'DELETE') {
+    return 'Deleting is not allowed while viewing as another user';
+  }
+  return null;
+}
+
+// Record an impersonated request once the response has been sent
+function auditImpersonatedRequest(impersonation, req, res, blocked = false) {
+  res.on('finish', () => {
+    writeAuditLog({
+      action: 'impersonated_request',
+      actor: impersonation.admin,
+      targetUser: impersonation.targetUser,
+      impersonation: impersonation._id,
+      method: req.method,
+      path: requestPath(req),
+      statusCode: res.statusCode,
+      blocked,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').substring(0, 255),
+    });
+  });
+}
+
+module.exports = {
+  MAX_DURATION_MINUTES,
+  startImpersonation,
+  endImpersonation,
+  getActiveImpersonation,
+  getBlockReason,
+  auditImpersonatedRequest,
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and signing keys are cached per issuer
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Random values for state, nonce and the PKCE verifier/challenge (RFC 7636, S256)
+function generateAuthParams() {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  };
+}
+
+// Fetch /.well-known/openid-configuration for an issuer
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const { data } = await axios.get(url, { timeout: 10000 });
+
+  if (!data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+    throw new Error(`Incomplete OpenID configuration from ${issuer}`);
+  }
+
+  discoveryCache.set(issuer, { config: data, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return data;
+}
+
+// Build the URL the browser is sent to
+async function buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeChallenge }) {
+  const config = await discover(provider.issuer);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return `${config.authorization_endpoint}?${params.toString()}`;
+}
+
+// Exchange the authorization code for tokens
+async function exchangeCode(provider, { code, redirectUri, codeVerifier }) {
+  const config = await discover(provider.issuer);
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const { data } = await axios.post(config.token_endpoint, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    timeout: 10000,
+  });
+
+  if (!data.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+  return data;
+}
+
+// Public key for a key ID, refetching the JWKS once if the key is unknown (key rotation)
+async function getSigningKey(jwksUri, kid) {
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys?.find(k => k.kid === kid);
+
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri, { timeout: 10000 });
+    keys = data.keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = keys.find(k => k.kid === kid) || (!kid && keys.length === 1 ? keys[0] : null);
+  }
+
+  if (!jwk) {
+    throw new Error('Signing key for ID token not found');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Verify an ID token's signature and claims. Returns the claims.
+async function verifyIdToken(provider, idToken, nonce) {
+  const config = await discover(provider.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(config.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    audience: provider.clientId,
+  });
+
+  // Multi-tenant issuers (Microsoft) advertise a {tenantid} placeholder
+  const expectedIssuer = config.issuer.replace('{tenantid}', claims.tid || '');
+  if (claims.iss !== expectedIssuer) {
+    throw new Error('ID token issuer mismatch');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  generateAuthParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
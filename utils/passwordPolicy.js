@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const AdminSettings = require('../models/AdminSettings');
+const { getBreachCount } = require('./breachedPasswords');
+
+// Parts of the email and name a password must not contain (shorter fragments are too common to matter)
+function getPersonalTokens({ email, fullName } = {}) {
+  const tokens = [];
+  if (email) {
+    const localPart = email.toLowerCase().split('@')[0];
+    tokens.push(localPart, ...localPart.split(/[^a-z0-9]+/));
+  }
+  if (fullName) {
+    tokens.push(...fullName.toLowerCase().split(/\s+/));
+  }
+  return [...new Set(tokens)].filter(token => token.length >= 3);
+}
+
+async function getPasswordPolicy() {
+  const settings = await AdminSettings.getSettings();
+  return settings.passwordPolicy.toObject ? settings.passwordPolicy.toObject() : settings.passwordPolicy;
+}
+
+// Check a password against the configured policy.
+// Returns { valid, errors: [{ code, message }] } so clients can show every problem at once.
+async function checkPassword(password, { email, fullName } = {}) {
+  const policy = await getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push({ code: 'too_short', message: `Password must be at least ${policy.minLength} characters` });
+  } else if (password.length > policy.maxLength) {
+    errors.push({ code: 'too_long', message: `Password cannot exceed ${policy.maxLength} characters` });
+  }
+
+  if (typeof password !== 'string') {
+    return { valid: false, errors };
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push({ code: 'missing_uppercase', message: 'Password must contain an uppercase letter' });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push({ code: 'missing_lowercase', message: 'Password must contain a lowercase letter' });
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push({ code: 'missing_number', message: 'Password must contain a number' });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push({ code: 'missing_symbol', message: 'Password must contain a symbol' });
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lowered = password.toLowerCase();
+    if (getPersonalTokens({ email, fullName }).some(token => lowered.includes(token))) {
+      errors.push({ code: 'contains_personal_info', message: 'Password must not contain your name or email address' });
+    }
+  }
+
+  // Only worth checking once the cheap rules pass
+  if (policy.checkBreached && errors.length === 0) {
+    const breachCount = await getBreachCount(password);
+    if (breachCount) {
+      errors.push({
+        code: 'breached',
+        message: 'This password has appeared in a data breach and cannot be used. Please choose a different one.',
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Random password for accounts that never sign in with one (OIDC, system users).
+// Never checked against the policy; it contains every character class all the same.
+function generateRandomPassword() {
+  return `${crypto.randomBytes(16).toString('hex')}Aa1!`;
+}
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  generateRandomPassword,
+};
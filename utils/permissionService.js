@@ -0,0 +1,54 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Role permissions are read on every protected request, so keep them in memory briefly
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheExpiresAt = 0;
+
+async function loadRoles() {
+  if (roleCache && roleCacheExpiresAt > Date.now()) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().select('name permissions').lean();
+  const map = new Map(roles.map(role => [role.name, role.permissions]));
+
+  // Built-in roles work before scripts/migrateUserRoles.js has been run
+  for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+    if (!map.has(name)) map.set(name, role.permissions);
+  }
+
+  roleCache = map;
+  roleCacheExpiresAt = Date.now() + CACHE_TTL_MS;
+  return map;
+}
+
+// Call after creating, editing or deleting a role
+function clearRoleCache() {
+  roleCache = null;
+}
+
+async function getRolePermissions(roleName) {
+  const roles = await loadRoles();
+  return roles.get(roleName) || [];
+}
+
+async function roleExists(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName);
+}
+
+// Check a user's role grants a permission
+async function hasPermission(user, permission) {
+  if (!user) return false;
+  const permissions = await getRolePermissions(user.role);
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+}
+
+module.exports = {
+  getRolePermissions,
+  roleExists,
+  hasPermission,
+  clearRoleCache,
+};
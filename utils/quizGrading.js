@@ -0,0 +1,200 @@
+// Quiz question validation, automatic grading and per-question feedback
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+function toIndexList(value) {
+  const list = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+  return [...new Set(list.map(index => parseInt(index, 10)).filter(index => !isNaN(index)))];
+}
+
+function normalizeText(text, caseSensitive) {
+  const normalized = String(text || '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+// Clean up questions from the request body. Returns { questions } or { error }.
+function normalizeQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'A quiz needs at least one question' };
+  }
+
+  const normalized = [];
+  for (const [index, question] of questions.entries()) {
+    const number = index + 1;
+    if (!question || !question.prompt || !String(question.prompt).trim()) {
+      return { error: `Question ${number} needs a prompt` };
+    }
+
+    const result = {
+      type: question.type,
+      prompt: String(question.prompt).trim(),
+      points: question.points === undefined ? 1 : Number(question.points),
+      explanation: question.explanation,
+      options: [],
+      correctOptions: [],
+      acceptedAnswers: [],
+      caseSensitive: Boolean(question.caseSensitive),
+    };
+    if (question._id) {
+      result._id = question._id;
+    }
+    if (isNaN(result.points) || result.points < 0) {
+      return { error: `Question ${number} has an invalid points value` };
+    }
+
+    if (question.type === 'short_answer') {
+      result.acceptedAnswers = (question.acceptedAnswers || [])
+        .map(answer => String(answer).trim())
+        .filter(Boolean);
+      if (result.acceptedAnswers.length === 0) {
+        return { error: `Question ${number} needs at least one accepted answer` };
+      }
+      normalized.push(result);
+      continue;
+    }
+
+    if (question.type === 'true_false') {
+      result.options = TRUE_FALSE_OPTIONS;
+    } else if (question.type === 'multiple_choice' || question.type === 'multi_select') {
+      result.options = (question.options || []).map(option => String(option).trim());
+      if (result.options.length < 2 || result.options.some(option => !option)) {
+        return { error: `Question ${number} needs at least two non-empty options` };
+      }
+    } else {
+      return { error: `Question ${number} has an unknown type: ${question.type}` };
+    }
+
+    result.correctOptions = toIndexList(question.correctOptions);
+    if (result.correctOptions.some(option => option < 0 || option >= result.options.length)) {
+      return { error: `Question ${number} marks an option that does not exist as correct` };
+    }
+    if (question.type === 'multi_select' ? result.correctOptions.length === 0 : result.correctOptions.length !== 1) {
+      return {
+        error: question.type === 'multi_select'
+          ? `Question ${number} needs at least one correct option`
+          : `Question ${number} needs exactly one correct option`,
+      };
+    }
+    normalized.push(result);
+  }
+
+  return { questions: normalized };
+}
+
+// Grade one answer. Multi-select earns partial credit: each wrong pick cancels a right one.
+function gradeQuestion(question, answer = {}) {
+  const points = question.points || 0;
+
+  if (question.type === 'short_answer') {
+    const given = normalizeText(answer.textAnswer, question.caseSensitive);
+    const correct = Boolean(given) && question.acceptedAnswers.some(
+      accepted => normalizeText(accepted, question.caseSensitive) === given
+    );
+    return { correct, pointsAwarded: correct ? points : 0 };
+  }
+
+  const selected = toIndexList(answer.selectedOptions);
+  const correctOptions = question.correctOptions.map(Number);
+
+  if (question.type === 'multi_select') {
+    const right = selected.filter(option => correctOptions.includes(option)).length;
+    const wrong = selected.length - right;
+    const correct = wrong === 0 && right === correctOptions.length;
+    const credit = Math.max(0, right - wrong) / correctOptions.length;
+    return { correct, pointsAwarded: Math.round(points * credit * 100) / 100 };
+  }
+
+  const correct = selected.length === 1 && selected[0] === correctOptions[0];
+  return { correct, pointsAwarded: correct ? points : 0 };
+}
+
+// Grade a whole submission. answers: [{ questionId, selectedOptions, textAnswer }]
+function gradeAttempt(quiz, answers = []) {
+  const byQuestion = new Map(
+    (Array.isArray(answers) ? answers : [])
+      .filter(answer => answer && answer.questionId)
+      .map(answer => [answer.questionId.toString(), answer])
+  );
+
+  let pointsEarned = 0;
+  let pointsPossible = 0;
+  const graded = quiz.questions.map(question => {
+    const answer = byQuestion.get(question._id.toString()) || {};
+    const { correct, pointsAwarded } = gradeQuestion(question, answer);
+    pointsEarned += pointsAwarded;
+    pointsPossible += question.points || 0;
+    return {
+      questionId: question._id,
+      selectedOptions: toIndexList(answer.selectedOptions),
+      textAnswer: answer.textAnswer === undefined ? undefined : String(answer.textAnswer),
+      correct,
+      pointsAwarded,
+    };
+  });
+
+  const score = pointsPossible > 0 ? Math.round((pointsEarned / pointsPossible) * 100) : 100;
+  return {
+    answers: graded,
+    pointsEarned: Math.round(pointsEarned * 100) / 100,
+    pointsPossible,
+    score,
+    passed: score >= quiz.passingScore,
+  };
+}
+
+// Per-question feedback for a graded attempt
+function buildFeedback(quiz, attempt) {
+  const byQuestion = new Map(attempt.answers.map(answer => [answer.questionId.toString(), answer]));
+
+  return quiz.questions.map(question => {
+    const answer = byQuestion.get(question._id.toString()) || { correct: false, pointsAwarded: 0 };
+    const feedback = {
+      questionId: question._id,
+      prompt: question.prompt,
+      correct: answer.correct,
+      pointsAwarded: answer.pointsAwarded,
+      points: question.points,
+      selectedOptions: answer.selectedOptions,
+      textAnswer: answer.textAnswer,
+      explanation: question.explanation,
+    };
+    if (quiz.showCorrectAnswers) {
+      if (question.type === 'short_answer') {
+        feedback.acceptedAnswers = question.acceptedAnswers;
+      } else {
+        feedback.correctOptions = question.correctOptions;
+      }
+    }
+    return feedback;
+  });
+}
+
+// Quiz as students see it - no answers or explanations
+function toStudentQuiz(quiz) {
+  return {
+    _id: quiz._id,
+    courseId: quiz.courseId,
+    lessonId: quiz.lessonId,
+    title: quiz.title,
+    description: quiz.description,
+    passingScore: quiz.passingScore,
+    maxAttempts: quiz.maxAttempts,
+    timeLimitMinutes: quiz.timeLimitMinutes,
+    requiredToComplete: quiz.requiredToComplete,
+    questions: quiz.questions.map(question => ({
+      _id: question._id,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.options,
+      points: question.points,
+    })),
+  };
+}
+
+module.exports = {
+  normalizeQuestions,
+  gradeQuestion,
+  gradeAttempt,
+  buildFeedback,
+  toStudentQuiz,
+};
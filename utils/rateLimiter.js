@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const RateLimit = require('../models/RateLimit');
+const AdminSettings = require('../models/AdminSettings');
+
+// Idle counters are dropped after a day (or once a lockout has ended, whichever is later)
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function buildKey(action, scope, identifier) {
+  return `${action}:${scope}:${String(identifier).trim().toLowerCase()}`;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+// Count one request against a fixed window.
+// Returns { allowed, retryAfter } - retryAfter in seconds when not allowed.
+async function consume(action, scope, identifier, { limit, windowMs }) {
+  const key = buildKey(action, scope, identifier);
+  const now = new Date();
+
+  // Increment inside the current window
+  let entry = await RateLimit.findOneAndUpdate(
+    { key, windowStartedAt: { $gt: new Date(now.getTime() - windowMs) } },
+    { $inc: { hits: 1 }, $set: { expiresAt: new Date(now.getTime() + RETENTION_MS) } },
+    { new: true }
+  );
+
+  // No entry or the window has passed - start a new window
+  if (!entry) {
+    try {
+      entry = await RateLimit.findOneAndUpdate(
+        { key },
+        {
+          $set: { hits: 1, windowStartedAt: now, expiresAt: new Date(now.getTime() + RETENTION_MS) },
+          $setOnInsert: { action, scope, identifier: String(identifier).trim().toLowerCase() },
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // Two requests created the entry at the same time - count against the winner
+      if (error.code !== 11000) throw error;
+      return consume(action, scope, identifier, { limit, windowMs });
+    }
+  }
+
+  if (entry.hits > limit) {
+    return {
+      allowed: false,
+      retryAfter: secondsUntil(entry.windowStartedAt.getTime() + windowMs),
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Check whether an identifier is locked out or still inside its backoff delay.
+// Returns { blocked, locked, retryAfter }.
+async function getBlock(action, scope, identifier) {
+  const entry = await RateLimit.findOne({ key: buildKey(action, scope, identifier) }).lean();
+  const now = new Date();
+
+  if (entry?.lockedUntil && entry.lockedUntil > now) {
+    return { blocked: true, locked: true, retryAfter: secondsUntil(entry.lockedUntil) };
+  }
+  if (entry?.nextAttemptAt && entry.nextAttemptAt > now) {
+    return { blocked: true, locked: false, retryAfter: secondsUntil(entry.nextAttemptAt) };
+  }
+
+  return { blocked: false };
+}
+
+// Record a failed attempt: apply exponential backoff, and lock out after maxFailures.
+// Failures older than failureWindowMs no longer count. The count is incremented in one atomic
+// update, so parallel attempts cannot read the same count and skip the backoff or lockout.
+async function recordFailure(action, scope, identifier, options) {
+  const { maxFailures, failureWindowMs, lockoutMs, backoffBaseMs, backoffMaxMs } = options;
+  const key = buildKey(action, scope, identifier);
+  const now = new Date();
+
+  let entry;
+  try {
+    entry = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          action,
+          scope,
+          identifier: String(identifier).trim().toLowerCase(),
+          failures: {
+            $add: [
+              {
+                $cond: [
+                  { $or: [{ $not: ['$lastFailureAt'] }, { $gt: [{ $subtract: [now, '$lastFailureAt'] }, failureWindowMs] }] },
+                  0,
+                  { $ifNull: ['$failures', 0] },
+                ],
+              },
+              1,
+            ],
+          },
+          lastFailureAt: now,
+          expiresAt: { $max: [new Date(now.getTime() + RETENTION_MS), { $ifNull: ['$lockedUntil', now] }] },
+        },
+      }],
+      { new: true, upsert: true }
+    ).lean();
+  } catch (error) {
+    // Two failures created the entry at the same time - retry against the saved one
+    if (error.code !== 11000) throw error;
+    return recordFailure(action, scope, identifier, options);
+  }
+
+  if (entry.failures >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + lockoutMs);
+    // Only the attempt that reached the limit starts the lockout; later ones find failures reset
+    await RateLimit.updateOne(
+      { key, failures: { $gte: maxFailures } },
+      {
+        $set: { failures: 0, lockedUntil, expiresAt: new Date(Math.max(now.getTime() + RETENTION_MS, lockedUntil.getTime())) },
+        $inc: { lockoutCount: 1 },
+        $unset: { nextAttemptAt: 1 },
+      }
+    );
+    return { failures: entry.failures, locked: true, lockedUntil };
+  }
+
+  // 1st failure is free, then base, 2x base, 4x base ... capped
+  const delay = entry.failures > 1
+    ? Math.min(backoffBaseMs * 2 ** (entry.failures - 2), backoffMaxMs)
+    : 0;
+  if (delay > 0) {
+    await RateLimit.updateOne({ key }, { $max: { nextAttemptAt: new Date(now.getTime() + delay) } });
+  }
+
+  return {
+    failures: entry.failures,
+    locked: Boolean(entry.lockedUntil && entry.lockedUntil > now),
+    lockedUntil: entry.lockedUntil,
+  };
+}
+
+// Clear failures after a successful attempt
+async function resetFailures(action, scope, identifier) {
+  await RateLimit.updateOne(
+    { key: buildKey(action, scope, identifier) },
+    { $set: { failures: 0 }, $unset: { nextAttemptAt: 1, lastFailureAt: 1 } }
+  );
+}
+
+// Limits from admin settings, converted to milliseconds
+async function getLoginProtection() {
+  const settings = await AdminSettings.getSettings();
+  const config = settings.loginProtection;
+
+  return {
+    ipMaxAttempts: config.ipMaxAttempts,
+    ipWindowMs: config.ipWindowMinutes * 60 * 1000,
+    maxFailures: config.accountMaxFailures,
+    failureWindowMs: config.failureWindowMinutes * 60 * 1000,
+    lockoutMs: config.lockoutMinutes * 60 * 1000,
+    backoffBaseMs: config.backoffBaseSeconds * 1000,
+    backoffMaxMs: config.backoffMaxSeconds * 1000,
+    emailMaxPerHour: config.emailMaxPerHour,
+  };
+}
+
+// Wrong password or 2FA code for an account (keyed by email so unknown accounts are throttled too)
+async function recordLoginFailure(email) {
+  const options = await getLoginProtection();
+  return recordFailure('login', 'account', email, options);
+}
+
+async function recordLoginSuccess(email) {
+  return resetFailures('login', 'account', email);
+}
+
+// Active lockouts, newest first (admin view)
+async function getActiveLockouts() {
+  return RateLimit.find({ lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .select('action scope identifier lockedUntil lockoutCount lastFailureAt')
+    .lean();
+}
+
+// Lift a lockout early (admin action)
+async function clearLockout(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return RateLimit.findByIdAndUpdate(
+    id,
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1, nextAttemptAt: 1, lastFailureAt: 1 } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  consume,
+  getBlock,
+  recordFailure,
+  resetFailures,
+  getLoginProtection,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getActiveLockouts,
+  clearLockout,
+};
@@ -1,9 +1,11 @@
 const { Resend } = require('resend');
 const dotenv = require('dotenv');
+const { isSmtpConfigured, sendSmtpEmail } = require('./smtpTransport');
 
 dotenv.config();
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Resend throws without an API key, so only create the client when it can be used
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
 // Helper function to format the 'from' field correctly
 // Resend requires: "email@example.com" or "Name <email@example.com>"
@@ -39,8 +41,8 @@ const formatFromEmail = (email, name = 'EduWave') => {
 
 const sendEmail = async (options) => {
   try {
-    if (!process.env.RESEND_API_KEY) {
-      const errorMsg = 'RESEND_API_KEY not set. Email sending disabled. Please set RESEND_API_KEY in your .env file.';
+    if (!isSmtpConfigured() && !process.env.RESEND_API_KEY) {
+      const errorMsg = 'RESEND_API_KEY not set. Email sending disabled. Please set RESEND_API_KEY (or SMTP_HOST) in your .env file.';
       console.error(errorMsg);
       throw new Error(errorMsg);
     }
@@ -62,6 +64,11 @@ const sendEmail = async (options) => {
       throw new Error('Email HTML content is required');
     }
 
+    // SMTP (e.g. a local stand-in) takes priority over Resend when configured
+    if (isSmtpConfigured()) {
+      return await sendSmtpEmail(options);
+    }
+
     // Format the 'from' field correctly - must use verified domain
     const fromEmail = formatFromEmail(process.env.FROM_EMAIL, process.env.FROM_NAME || 'EduWave');
     console.log(`Using 'from' email: ${fromEmail}`);
@@ -1,12 +1,21 @@
 const { Resend } = require('resend');
 const dotenv = require('dotenv');
+const { isSmtpConfigured, sendSmtpEmail } = require('./smtpTransport');
 
 dotenv.config();
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 
 const sendEmail = async (options) => {
   try {
+    if (isSmtpConfigured()) {
+      return await sendSmtpEmail(options);
+    }
+
+    if (!resend) {
+      throw new Error('RESEND_API_KEY not set. Email sending disabled.');
+    }
+
     const { data, error } = await resend.emails.send({
       from: process.env.FROM_EMAIL || 'EduWise <onboarding@resend.dev>',
       to: options.email,
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateTokens } = require('./generateToken');
+
+// Refresh token payload -> session expiry date
+function getTokenExpiry(refreshToken) {
+  const { exp } = jwt.decode(refreshToken);
+  return new Date(exp * 1000);
+}
+
+function newJti() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Start a new device session and issue its first token pair
+async function createSession(user, req) {
+  const jti = newJti();
+  const session = new Session({
+    user: user._id,
+    currentJti: jti,
+    userAgent: (req.get('user-agent') || 'Unknown device').substring(0, 255),
+    ip: req.ip,
+    expiresAt: new Date(), // replaced below once the token is signed
+  });
+
+  const tokens = generateTokens(user._id, {
+    sessionId: session._id,
+    jti,
+    tokenVersion: user.tokenVersion || 0,
+  });
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
+
+  return { session, ...tokens };
+}
+
+// Revoke a single session
+async function revokeSession(sessionId, reason) {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+}
+
+// Whether a session is still signed in; access tokens of revoked sessions are rejected (see middleware/auth)
+async function isSessionActive(sessionId) {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: { $exists: false } }));
+}
+
+// Revoke every active session of a user, optionally keeping one (e.g. the device making the request)
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Invalidate every access token already issued to a user by bumping their token version.
+// Sessions that are still active simply refresh to get a token with the new version.
+async function invalidateAccessTokens(userId) {
+  return User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+}
+
+// Sign a user out everywhere: revoke all sessions and all outstanding access tokens
+async function signOutEverywhere(userId, reason, exceptSessionId) {
+  await revokeAllSessions(userId, reason, exceptSessionId);
+  await invalidateAccessTokens(userId);
+}
+
+// Exchange a refresh token for a new pair.
+// Returns { tokens } on success or { reason } ('invalid' | 'revoked' | 'reused') on failure.
+// Presenting a token that was already rotated revokes the whole session (token family).
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
+  } catch (error) {
+    return { reason: 'invalid' };
+  }
+
+  // Tokens issued before sessions existed carry no sid/jti
+  if (!decoded.sid || !decoded.jti) {
+    return { reason: 'invalid' };
+  }
+
+  const user = await User.findById(decoded.id).select('tokenVersion');
+  if (!user) {
+    return { reason: 'invalid' };
+  }
+
+  const jti = newJti();
+  const tokens = generateTokens(decoded.id, {
+    sessionId: decoded.sid,
+    jti,
+    tokenVersion: user.tokenVersion || 0,
+  });
+
+  // Atomic swap so two concurrent refreshes with the same token cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      user: decoded.id,
+      currentJti: decoded.jti,
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        currentJti: jti,
+        lastUsedAt: new Date(),
+        expiresAt: getTokenExpiry(tokens.refreshToken),
+        ip: req.ip,
+      },
+      $push: { rotatedJtis: decoded.jti },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, tokens };
+  }
+
+  const existing = await Session.findOne({ _id: decoded.sid, user: decoded.id }).select('+rotatedJtis');
+  if (!existing) {
+    return { reason: 'invalid' };
+  }
+  if (existing.revokedAt) {
+    return { reason: 'revoked' };
+  }
+  if (existing.rotatedJtis.includes(decoded.jti)) {
+    await revokeSession(existing._id, 'token_reuse');
+    console.warn(`Refresh token reuse detected for user ${decoded.id}, session ${existing._id} revoked`);
+    return { reason: 'reused' };
+  }
+
+  return { reason: 'invalid' };
+}
+
+// Active sessions of a user, most recently used first
+async function getActiveSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  isSessionActive,
+  revokeAllSessions,
+  invalidateAccessTokens,
+  signOutEverywhere,
+  getActiveSessions,
+};
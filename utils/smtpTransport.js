@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Plain SMTP delivery, used instead of Resend when SMTP_HOST is set.
+// Point it at a local stand-in (MailHog, Mailpit, smtp4dev) to test email flows offline.
+let transporter = null;
+
+const isSmtpConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const sendSmtpEmail = async (options) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.FROM_EMAIL || 'EduWave <noreply@localhost>',
+    to: options.email,
+    subject: options.subject,
+    html: options.html,
+  });
+
+  console.log('Email sent successfully via SMTP. Message ID:', info.messageId);
+  return {
+    messageId: info.messageId,
+    response: info,
+  };
+};
+
+module.exports = {
+  isSmtpConfigured,
+  sendSmtpEmail,
+};
@@ -0,0 +1,87 @@
+// PDF study sheet of a student's timestamped notes and bookmarks, lesson by lesson
+const PDFDocument = require('pdfkit');
+const { formatTimestamp } = require('./duration');
+const { getLessonId } = require('./courseSchedule');
+
+const MARGIN = 56;
+
+// Lessons of a course with the student's notes and bookmarks, in course order, sorted by position.
+// Lessons without any are left out. lessonIds limits the sheet to those lessons.
+function collectStudySheetLessons(course, progress, lessonIds = null) {
+  const lessonProgress = new Map((progress.lessons || []).map(item => [item.lessonId, item]));
+
+  return (course.lessons || [])
+    .map((lesson, index) => {
+      const lessonId = getLessonId(lesson, index);
+      const entry = lessonProgress.get(lessonId);
+      return {
+        lessonId,
+        number: index + 1,
+        title: lesson.title,
+        notes: [...(entry?.notes || [])].sort((a, b) => a.position - b.position),
+        bookmarks: [...(entry?.bookmarks || [])].sort((a, b) => a.position - b.position),
+      };
+    })
+    .filter(lesson => !lessonIds || lessonIds.includes(lesson.lessonId))
+    .filter(lesson => lesson.notes.length > 0 || lesson.bookmarks.length > 0);
+}
+
+// Build the study sheet PDF. Returns the pdfkit document; the caller pipes it and calls end().
+function renderStudySheetPdf({ courseTitle, studentName, lessons }) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const contentWidth = doc.page.width - MARGIN * 2;
+
+  doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(22)
+    .text(courseTitle || 'Study sheet', { width: contentWidth });
+  doc.moveDown(0.2);
+  doc.fillColor('#6b7280').font('Helvetica').fontSize(10)
+    .text(`Study notes for ${studentName || 'Student'} · ${new Date().toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    })}`, { width: contentWidth });
+  doc.moveDown(1);
+
+  if (lessons.length === 0) {
+    doc.fillColor('#374151').font('Helvetica-Oblique').fontSize(12)
+      .text('No notes or bookmarks yet.', { width: contentWidth });
+    return doc;
+  }
+
+  for (const lesson of lessons) {
+    // Keep a lesson heading together with at least its first entry
+    if (doc.y > doc.page.height - MARGIN - 80) {
+      doc.addPage();
+    }
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(14)
+      .text(`Lesson ${lesson.number}: ${lesson.title}`, MARGIN, doc.y, { width: contentWidth });
+    doc.moveDown(0.4);
+
+    for (const note of lesson.notes) {
+      doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(10)
+        .text(`[${formatTimestamp(note.position)}]`, MARGIN, doc.y, { continued: true });
+      doc.fillColor('#111827').font('Helvetica').fontSize(11)
+        .text(`  ${note.text}`, { width: contentWidth });
+      doc.moveDown(0.3);
+    }
+
+    if (lesson.bookmarks.length > 0) {
+      doc.fillColor('#6b7280').font('Helvetica').fontSize(10)
+        .text(
+          `Bookmarks: ${lesson.bookmarks.map(bookmark => (bookmark.label
+            ? `${formatTimestamp(bookmark.position)} ${bookmark.label}`
+            : formatTimestamp(bookmark.position))).join(' · ')}`,
+          MARGIN, doc.y, { width: contentWidth }
+        );
+    }
+    doc.moveDown(1);
+  }
+
+  return doc;
+}
+
+module.exports = {
+  collectStudySheetLessons,
+  renderStudySheetPdf,
+};
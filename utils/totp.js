@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second step) - the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value (RFC 4226) for a given counter
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+}
+
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// Current TOTP code for a secret
+function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, getTimeStep(time));
+}
+
+// Check a code against the current step +/- window steps (clock drift).
+// Returns the matching time step, or null. Steps at or below lastUsedStep are rejected
+// so a code cannot be replayed.
+function verifyTotp(secret, code, { window = 1, lastUsedStep = -1, time = Date.now() } = {}) {
+  if (!secret || !code || !/^\d{6}$/.test(String(code).trim())) {
+    return null;
+  }
+
+  const expected = Buffer.from(String(code).trim());
+  const currentStep = getTimeStep(time);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= lastUsedStep) continue;
+    const candidate = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+function buildOtpAuthUri(secret, accountName, issuer = 'EduWave') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,86 @@
+// Watch-time heartbeats: the player reports its playback position every few seconds and the
+// server turns consecutive heartbeats into watched intervals, using its own clock to time them.
+// Coverage is the length of the union of those intervals, so rewatching or looping a part of a
+// lesson, or claiming more than real time allows, does not add watch time.
+
+// Fastest playback speed players offer
+const MAX_PLAYBACK_RATE = 2;
+// Slack for network jitter, in seconds of video - only decides whether a heartbeat is rejected,
+// never adds to the interval credited
+const POSITION_TOLERANCE_SECONDS = 2;
+// Heartbeats closer together than this are ignored (players send one every 10-30 seconds)
+const MIN_HEARTBEAT_GAP_SECONDS = 5;
+// Heartbeats further apart than this do not form an interval (paused, tab asleep, connection lost)
+const MAX_HEARTBEAT_GAP_SECONDS = 60;
+
+// Work out what a heartbeat at `position` (seconds) means given the previous one ({ position, at }).
+// Returns { segment: { start, end } } for a watched interval, { rejected: reason } when the position
+// moved faster than playback allows, { ignored: true } when it came too soon after the previous one
+// (the previous heartbeat stays the starting point), or {} when there is nothing to record (first
+// heartbeat, pause, seek, long gap).
+function evaluateHeartbeat(previous, position, now = new Date(), { seeked = false } = {}) {
+  if (!previous || previous.position === undefined || previous.position === null || !previous.at || seeked) {
+    return {};
+  }
+
+  const elapsedSeconds = (now.getTime() - new Date(previous.at).getTime()) / 1000;
+  if (elapsedSeconds < MIN_HEARTBEAT_GAP_SECONDS) {
+    return { ignored: true };
+  }
+
+  const advanced = position - previous.position;
+  if (elapsedSeconds > MAX_HEARTBEAT_GAP_SECONDS || advanced <= 0) {
+    return {};
+  }
+
+  const maxAdvance = elapsedSeconds * MAX_PLAYBACK_RATE;
+  if (advanced > maxAdvance + POSITION_TOLERANCE_SECONDS) {
+    return {
+      rejected: `Playback moved ${Math.round(advanced)}s in ${Math.round(elapsedSeconds)}s, faster than the maximum ${MAX_PLAYBACK_RATE}x playback rate`,
+    };
+  }
+
+  // Jitter within the tolerance is let through but not credited
+  return { segment: { start: previous.position, end: previous.position + Math.min(advanced, maxAdvance) } };
+}
+
+// Add an interval to a list of watched intervals, merging any that overlap or touch.
+// Intervals are { start, end, firstWatchedAt, lastWatchedAt }; returns a new list sorted by start.
+function mergeSegment(segments, segment, now = new Date()) {
+  const all = [
+    ...segments.map(item => ({
+      start: item.start,
+      end: item.end,
+      firstWatchedAt: item.firstWatchedAt,
+      lastWatchedAt: item.lastWatchedAt,
+    })),
+    { start: segment.start, end: segment.end, firstWatchedAt: now, lastWatchedAt: now },
+  ].sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const item of all) {
+    const last = merged[merged.length - 1];
+    if (last && item.start <= last.end) {
+      last.end = Math.max(last.end, item.end);
+      last.firstWatchedAt = new Date(Math.min(new Date(last.firstWatchedAt), new Date(item.firstWatchedAt)));
+      last.lastWatchedAt = new Date(Math.max(new Date(last.lastWatchedAt), new Date(item.lastWatchedAt)));
+    } else {
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+// Seconds of the lesson covered by the (merged) intervals
+function getCoverageSeconds(segments = []) {
+  return Math.round(segments.reduce((sum, item) => sum + Math.max(0, item.end - item.start), 0));
+}
+
+module.exports = {
+  MAX_PLAYBACK_RATE,
+  MAX_HEARTBEAT_GAP_SECONDS,
+  MIN_HEARTBEAT_GAP_SECONDS,
+  evaluateHeartbeat,
+  mergeSegment,
+  getCoverageSeconds,
+};
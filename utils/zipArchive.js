@@ -0,0 +1,173 @@
+const zlib = require('zlib');
+
+// Minimal zip writer and reader for small in-memory archives (data exports, course packages).
+// Entries are deflated; no zip64, so each archive must stay under 4 GB.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time used in zip headers
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// entries: [{ name: 'profile.json', content: Buffer | string }]
+function createZip(entries, date = new Date()) {
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(0, 30); // Extra field length
+    central.writeUInt16LE(0, 32); // Comment length
+    central.writeUInt16LE(0, 34); // Disk number
+    central.writeUInt16LE(0, 36); // Internal attributes
+    central.writeUInt32LE(0, 38); // External attributes
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(0, 20);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Read the entries of a zip created by createZip or a common zip tool (stored or deflated entries).
+// maxTotalSize caps the uncompressed size of all entries so a small archive cannot expand without limit.
+// Returns [{ name, content: Buffer }]; throws on a corrupt or unsupported archive.
+function readZip(buffer, { maxTotalSize = 200 * 1024 * 1024 } = {}) {
+  // The end of central directory record is in the last 22 bytes plus an optional comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue; // Directory entry
+    }
+    if (flags & 0x0001) {
+      throw new Error(`Encrypted zip entries are not supported (${name})`);
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error('Zip archive is too large once extracted');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = Buffer.from(data);
+    } else if (method === 8) {
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} (${name})`);
+    }
+    if (content.length !== size || crc32(content) !== checksum) {
+      throw new Error(`Zip entry ${name} failed its integrity check`);
+    }
+
+    entries.push({ name, content });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  crc32,
+};